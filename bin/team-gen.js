@@ -0,0 +1,507 @@
+#!/usr/bin/env node
+// Command-line access to a group's roster and saved teams, for scripts and cron jobs.
+//
+// With --api (or TEAM_GEN_API) it talks to a running server. Without it the server's
+// app runs inside this process against the configured store (STORAGE_BACKEND,
+// MONGODB_URI, DATA_DIR), so validation and team generation are exactly what the
+// web UI gets. Either way it logs in like the UI does. The password is read from
+// TEAM_GEN_PASSWORD, or asked for when run from a terminal, so it never appears in
+// shell history or the process list.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { overallRating, round1 } = require('../public/team-generator');
+
+const USAGE = `Usage: team-gen <command> [options]
+
+Commands:
+  players list                       List the roster
+  players add --name NAME --stat KEY=VALUE ... [--primary POS] [--secondary POS]
+  players import FILE [--mode create|upsert] [--dry-run]
+  generate --teams N [--players NAME,NAME,...] [--seed SEED] [--strategy S]
+           [--formation F] [--rating-mode M] [--uneven] [--variety 0-100]
+           [--save] [--name NAME]
+  saved list [--from DATE] [--to DATE] [--tag TAG] [--player NAME] [--limit N] [--offset N]
+  saved show ID
+  saved delete ID
+
+Options:
+  --api URL          Server to talk to (TEAM_GEN_API); without it the data store is used directly
+  --user NAME        Account to log in as (TEAM_GEN_USER); the password comes from
+                     TEAM_GEN_PASSWORD or is asked for
+  --group NAME       Group to work in, by name or id (TEAM_GEN_GROUP); defaults to the first one
+  --sport NAME       Sport profile, by name or id; defaults to the group's default sport
+  --json             Print JSON instead of tables
+  -h, --help         Show this help`;
+
+const OPTIONS = {
+    api: { type: 'string' },
+    user: { type: 'string' },
+    group: { type: 'string' },
+    sport: { type: 'string' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' },
+    name: { type: 'string' },
+    stat: { type: 'string', multiple: true },
+    primary: { type: 'string' },
+    secondary: { type: 'string' },
+    mode: { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    teams: { type: 'string' },
+    players: { type: 'string' },
+    seed: { type: 'string' },
+    strategy: { type: 'string' },
+    formation: { type: 'string' },
+    'rating-mode': { type: 'string' },
+    uneven: { type: 'boolean' },
+    variety: { type: 'string' },
+    save: { type: 'boolean' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    tag: { type: 'string' },
+    player: { type: 'string' },
+    limit: { type: 'string' },
+    offset: { type: 'string' }
+};
+
+// Exit codes: 1 when the server refuses a request, 2 for a mistake on the command line
+class UsageError extends Error {}
+
+class ApiError extends Error {
+    constructor(data, status) {
+        const message = data.error || `Request failed with status ${status}`;
+        // Same layout as the web UI's validation alerts
+        super(data.details ? `${message}\n${data.details.map(detail => `- ${detail.field} ${detail.message}`).join('\n')}` : message);
+        this.status = status;
+    }
+}
+
+// ----------------------------------------------------------------------
+// API Client
+// ----------------------------------------------------------------------
+
+// Starts the app on a local port when there is no server to talk to
+async function startLocalServer() {
+    const app = require('../server');
+    // stdout is kept for command output
+    app.locals.log = message => process.stderr.write(`${message}\n`);
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server)).on('error', reject);
+    });
+}
+
+// Typed without echo; scripts without a terminal have to set TEAM_GEN_PASSWORD
+function promptPassword(user) {
+    const { stdin, stderr } = process;
+    if (!stdin.isTTY) {
+        return Promise.reject(new UsageError('Set TEAM_GEN_PASSWORD when not running in a terminal.'));
+    }
+    return new Promise((resolve, reject) => {
+        let password = '';
+        const finish = () => {
+            stdin.setRawMode(false);
+            stdin.pause();
+            stdin.off('data', onData);
+            stderr.write('\n');
+        };
+        const onData = chunk => {
+            for (const char of chunk) {
+                if (char === '\r' || char === '\n') {
+                    finish();
+                    return resolve(password);
+                }
+                if (char === '\u0003') {
+                    finish();
+                    return reject(new UsageError('Cancelled.'));
+                }
+                password = char === '\u007f' ? password.slice(0, -1) : password + char;
+            }
+        };
+        stderr.write(`Password for ${user}: `);
+        stdin.setEncoding('utf8');
+        stdin.setRawMode(true);
+        stdin.resume();
+        stdin.on('data', onData);
+    });
+}
+
+async function connect(options) {
+    const api = options.api || process.env.TEAM_GEN_API;
+    const user = options.user || process.env.TEAM_GEN_USER;
+    if (!user) {
+        throw new UsageError('Give --user (or set TEAM_GEN_USER).');
+    }
+    const password = process.env.TEAM_GEN_PASSWORD || await promptPassword(user);
+
+    const server = api ? null : await startLocalServer();
+    const baseUrl = api ? api.replace(/\/+$/, '') : `http://127.0.0.1:${server.address().port}`;
+    let cookie = '';
+
+    async function request(method, route, body) {
+        const headers = cookie ? { Cookie: cookie } : {};
+        let payload;
+        if (body instanceof FormData) {
+            payload = body;
+        } else if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+            payload = JSON.stringify(body);
+        }
+        const response = await fetch(`${baseUrl}/api${route}`, { method, headers, body: payload });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new ApiError(data, response.status);
+        }
+        const setCookie = response.headers.getSetCookie().find(value => value.startsWith('tg_session='));
+        if (setCookie) {
+            cookie = setCookie.split(';')[0];
+        }
+        return { data, headers: response.headers };
+    }
+
+    await request('POST', '/auth/login', { username: user, password });
+
+    const group = options.group || process.env.TEAM_GEN_GROUP;
+    if (group) {
+        const { data: me } = await request('GET', '/auth/me');
+        const match = me.groups.find(g => g._id === group || g.name.toLowerCase() === group.toLowerCase());
+        if (!match) {
+            throw new UsageError(`You are not in a group called "${group}".`);
+        }
+        await request('POST', `/auth/groups/${match._id}/switch`);
+    }
+
+    return {
+        get: route => request('GET', route).then(result => result.data),
+        send: (method, route, body) => request(method, route, body).then(result => result.data),
+        request,
+        async close() {
+            // Cron jobs would otherwise leave a session behind on every run
+            await request('POST', '/auth/logout').catch(() => {});
+            if (server) server.close();
+        }
+    };
+}
+
+// ----------------------------------------------------------------------
+// Output
+// ----------------------------------------------------------------------
+
+function print(text = '') {
+    process.stdout.write(`${text}\n`);
+}
+
+function printJson(value) {
+    print(JSON.stringify(value, null, 2));
+}
+
+function printTable(columns, rows) {
+    const cells = rows.map(row => columns.map(column => String(row[column.key] ?? '')));
+    const widths = columns.map((column, i) => Math.max(column.label.length, ...cells.map(row => row[i].length)));
+    const line = values => values.map((value, i) => columns[i].right ? value.padStart(widths[i]) : value.padEnd(widths[i])).join('  ').trimEnd();
+    print(line(columns.map(column => column.label)));
+    print(line(widths.map(width => '-'.repeat(width))));
+    cells.forEach(row => print(line(row)));
+}
+
+function formatPositions(positions) {
+    return [positions?.primary, positions?.secondary].filter(Boolean).join('/');
+}
+
+// Deleted players only have the rating they were saved with
+function memberOverall(member, statDefs) {
+    if (member.deleted) return member.snapshot?.overall ?? '';
+    return member.stats ? round1(overallRating(member.stats, statDefs, member.positions?.primary)) : '';
+}
+
+function printTeams(teams, bench, statDefs) {
+    teams.forEach(team => {
+        print();
+        print(`${team.name}${team.averages ? ` (average ${team.averages.overall})` : ''}`);
+        printTable(
+            [{ key: 'name', label: 'Player' }, { key: 'position', label: 'Pos' }, { key: 'overall', label: 'OVR', right: true }],
+            team.members.map(member => ({
+                name: member.deleted ? `${member.name} (deleted)` : member.name,
+                position: member.assignedPosition || formatPositions(member.positions),
+                overall: memberOverall(member, statDefs)
+            }))
+        );
+    });
+    if (bench && bench.length > 0) {
+        print();
+        print(`Substitutes: ${bench.map(member => member.name).join(', ')}`);
+    }
+}
+
+// ----------------------------------------------------------------------
+// Lookups
+// ----------------------------------------------------------------------
+
+async function loadSport(client, wanted) {
+    const sports = await client.get('/sports');
+    if (!wanted) return sports[0];
+    const sport = sports.find(s => s._id === wanted || s.name.toLowerCase() === wanted.toLowerCase());
+    if (!sport) {
+        throw new UsageError(`No sport called "${wanted}". Known sports: ${sports.map(s => s.name).join(', ')}.`);
+    }
+    return sport;
+}
+
+async function loadPlayers(client, sport) {
+    return client.get(`/persons?sportId=${sport._id}`);
+}
+
+// Players are named on the command line by name (any case) or id
+function findPlayers(roster, list) {
+    const wanted = list.split(',').map(entry => entry.trim()).filter(Boolean);
+    const missing = [];
+    const found = wanted.map(entry => {
+        const player = roster.find(p => p._id === entry || p.name.toLowerCase() === entry.toLowerCase());
+        if (!player) missing.push(entry);
+        return player;
+    });
+    if (missing.length > 0) {
+        throw new UsageError(`Not on the roster: ${missing.join(', ')}.`);
+    }
+    return found;
+}
+
+function parseWholeNumber(value, flag) {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number)) {
+        throw new UsageError(`--${flag} must be a whole number.`);
+    }
+    return number;
+}
+
+// ----------------------------------------------------------------------
+// Commands
+// ----------------------------------------------------------------------
+
+async function listPlayers(client, options) {
+    const sport = await loadSport(client, options.sport);
+    const roster = await loadPlayers(client, sport);
+    if (options.json) return printJson(roster);
+
+    printTable([
+        { key: 'name', label: 'Name' },
+        { key: 'positions', label: 'Pos' },
+        ...sport.stats.map(stat => ({ key: stat.key, label: stat.short, right: true })),
+        { key: 'overall', label: 'OVR', right: true },
+        { key: 'rating', label: 'Form', right: true }
+    ], roster.sort((a, b) => a.name.localeCompare(b.name)).map(person => ({
+        ...person.stats,
+        name: person.name,
+        positions: formatPositions(person.positions),
+        overall: memberOverall(person, sport.stats),
+        rating: Math.round(person.rating ?? 1500)
+    })));
+}
+
+async function addPlayer(client, options) {
+    if (!options.name) {
+        throw new UsageError('players add needs --name.');
+    }
+    const sport = await loadSport(client, options.sport);
+    const stats = {};
+    (options.stat || []).forEach(entry => {
+        const [key, value] = entry.split('=');
+        if (value === undefined) {
+            throw new UsageError(`--stat takes KEY=VALUE (got "${entry}").`);
+        }
+        stats[key.trim()] = Number(value);
+    });
+    const positions = options.primary || options.secondary
+        ? { primary: options.primary || null, secondary: options.secondary || null }
+        : null;
+
+    const person = await client.send('POST', '/persons', { name: options.name, stats, positions, sportId: sport._id });
+    if (options.json) return printJson(person);
+    print(`Added ${person.name} (${person._id})`);
+}
+
+async function importPlayers(client, options, file) {
+    if (!file) {
+        throw new UsageError('players import needs a .csv or .json file.');
+    }
+    const sport = await loadSport(client, options.sport);
+    const form = new FormData();
+    form.append('mode', options.mode || 'create');
+    form.append('dryRun', String(Boolean(options['dry-run'])));
+    form.append('sportId', sport._id);
+    form.append('file', new Blob([fs.readFileSync(file)]), path.basename(file));
+
+    const report = await client.send('POST', '/persons/import', form);
+    if (options.json) return printJson(report);
+
+    printTable(
+        [{ key: 'row', label: 'Row', right: true }, { key: 'name', label: 'Name' }, { key: 'action', label: 'Action' }, { key: 'errors', label: 'Problems' }],
+        report.rows.map(row => ({ ...row, errors: row.errors.join('; ') }))
+    );
+    const { created, updated, skipped } = report.summary;
+    print();
+    print(`${report.dryRun ? 'Would create' : 'Created'} ${created}, ${report.dryRun ? 'update' : 'updated'} ${updated}, skipped ${skipped}.`);
+}
+
+async function generate(client, options) {
+    const numTeams = parseWholeNumber(options.teams, 'teams');
+    if (numTeams === undefined) {
+        throw new UsageError('generate needs --teams.');
+    }
+    const sport = await loadSport(client, options.sport);
+    const roster = await loadPlayers(client, sport);
+    const players = options.players ? findPlayers(roster, options.players) : roster;
+
+    const result = await client.send('POST', '/teams/generate', {
+        playerIds: players.map(player => player._id),
+        numTeams,
+        unevenMode: options.uneven ? 'uneven' : 'bench',
+        formation: options.formation,
+        ratingMode: options['rating-mode'],
+        strategy: options.strategy,
+        variety: parseWholeNumber(options.variety, 'variety'),
+        seed: options.seed,
+        sportId: sport._id
+    });
+
+    // Saved the same way the web UI saves a draw, seed included
+    let saved = null;
+    if (options.save) {
+        saved = await client.send('POST', '/teams', {
+            teams: result.teams,
+            balance: result.balance,
+            bench: result.bench,
+            formation: result.formation,
+            ratingMode: result.ratingMode,
+            sportId: result.sportId,
+            strategy: result.strategy,
+            ratingModel: result.ratingModel,
+            draw: result.draw,
+            name: options.name
+        });
+    }
+
+    if (options.json) return printJson(saved ? { ...result, savedTeamId: saved._id } : result);
+    print(`Balance score ${result.balance.score} / 100 (rating spread ${result.balance.overallSpread}) · seed ${result.seed}`);
+    printTeams(result.teams, result.bench, sport.stats);
+    (result.violations || []).forEach(violation => {
+        print(`Could not ${violation.type === 'together' ? 'keep together' : 'keep apart'}: ${violation.names.join(' & ')}`);
+    });
+    if (saved) {
+        print();
+        print(`Saved as ${saved._id}`);
+    }
+}
+
+async function listSaved(client, options) {
+    const query = new URLSearchParams();
+    ['from', 'to', 'tag', 'limit', 'offset'].forEach(key => {
+        if (options[key] !== undefined) query.set(key, options[key]);
+    });
+    if (options.player) {
+        const sport = await loadSport(client, options.sport);
+        const [player] = findPlayers(await loadPlayers(client, sport), options.player);
+        query.set('personId', player._id);
+    }
+
+    const { data: savedTeams, headers } = await client.request('GET', `/teams?${query}`);
+    if (options.json) return printJson(savedTeams);
+
+    printTable([
+        { key: 'id', label: 'ID' },
+        { key: 'date', label: 'Date' },
+        { key: 'name', label: 'Name' },
+        { key: 'teams', label: 'Teams' },
+        { key: 'result', label: 'Result' }
+    ], savedTeams.map(saved => ({
+        id: saved._id,
+        date: new Date(saved.matchDate || saved.createdAt).toISOString().slice(0, 16).replace('T', ' '),
+        name: saved.name || '',
+        teams: saved.teams.map(team => `${team.name} (${team.members.length})`).join(', '),
+        result: saved.result ? saved.result.scores.join('-') : ''
+    })));
+    print();
+    print(`${savedTeams.length} of ${headers.get('X-Total-Count') ?? savedTeams.length} saved configurations`);
+}
+
+async function showSaved(client, options, id) {
+    if (!id) {
+        throw new UsageError('saved show needs an id.');
+    }
+    const saved = await client.get(`/teams/${id}`);
+    if (options.json) return printJson(saved);
+
+    print(`${saved.name || 'Saved teams'} · ${new Date(saved.matchDate || saved.createdAt).toLocaleString()}`);
+    if (saved.venue) print(`Venue: ${saved.venue}`);
+    if (saved.tags?.length > 0) print(`Tags: ${saved.tags.join(', ')}`);
+    if (saved.balance) print(`Balance score ${saved.balance.score} / 100`);
+    if (saved.draw) print(`Seed ${saved.draw.seed}`);
+    if (saved.result) print(`Result: ${saved.result.scores.join('-')}`);
+    if (saved.notes) print(`Notes: ${saved.notes}`);
+    const statDefs = saved.ratingModel || (await loadSport(client, saved.sportId)).stats;
+    printTeams(saved.teams, saved.bench, statDefs);
+}
+
+async function deleteSaved(client, options, id) {
+    if (!id) {
+        throw new UsageError('saved delete needs an id.');
+    }
+    const response = await client.send('DELETE', `/teams/${id}`);
+    if (options.json) return printJson(response);
+    print(response.message);
+}
+
+const COMMANDS = {
+    'players list': listPlayers,
+    'players add': addPlayer,
+    'players import': importPlayers,
+    generate,
+    'saved list': listSaved,
+    'saved show': showSaved,
+    'saved delete': deleteSaved
+};
+
+// ----------------------------------------------------------------------
+// Entry Point
+// ----------------------------------------------------------------------
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const { values: options, positionals } = parsed;
+    if (options.help || positionals.length === 0) {
+        print(USAGE);
+        return;
+    }
+
+    const name = COMMANDS[positionals[0]] ? positionals[0] : positionals.slice(0, 2).join(' ');
+    const command = COMMANDS[name];
+    if (!command) {
+        throw new UsageError(`Unknown command "${positionals.join(' ')}".`);
+    }
+    const args = positionals.slice(name.split(' ').length);
+
+    const client = await connect(options);
+    try {
+        await command(client, options, ...args);
+    } finally {
+        await client.close();
+    }
+}
+
+main(process.argv.slice(2))
+    .then(() => 0, error => {
+        if (error instanceof UsageError) {
+            process.stderr.write(`${error.message}\nRun team-gen --help for usage.\n`);
+            return 2;
+        }
+        process.stderr.write(`${error.message}\n`);
+        return 1;
+    })
+    // A Mongo connection would otherwise keep the process alive
+    .then(code => process.exit(code));
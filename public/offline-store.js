@@ -0,0 +1,60 @@
+// Local copy of the roster and saved teams in IndexedDB, plus the queue of
+// changes made while offline that still have to be sent to the API.
+
+const DB_NAME = 'team-generator';
+const DB_VERSION = 1;
+
+let databasePromise = null;
+
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('cache', { keyPath: 'key' });
+                db.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return databasePromise;
+}
+
+// Run one request inside its own transaction and resolve with its result
+async function run(storeName, mode, action) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = action(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+export async function readCache(key) {
+    const entry = await run('cache', 'readonly', store => store.get(key));
+    return entry ? entry.value : null;
+}
+
+export function writeCache(key, value) {
+    return run('cache', 'readwrite', store => store.put({ key, value, savedAt: new Date().toISOString() }));
+}
+
+// Operations are replayed in the order they were queued, each only in the group it was made in
+export function enqueue(operation) {
+    return run('queue', 'readwrite', store => store.add({ ...operation, queuedAt: new Date().toISOString() }));
+}
+
+export function pendingOperations() {
+    return run('queue', 'readonly', store => store.getAll());
+}
+
+export function updateOperation(operation) {
+    return run('queue', 'readwrite', store => store.put(operation));
+}
+
+export function removeOperation(id) {
+    return run('queue', 'readwrite', store => store.delete(id));
+}
@@ -1,307 +1,2397 @@
+import { readCache, writeCache, enqueue, pendingOperations, updateOperation, removeOperation } from './offline-store.js';
+
 // API Configuration
 // FIX 1: Use the relative path for Vercel Serverless Functions
 const API_URL = '/api'; 
+// Identifies this tab in live updates so it can ignore the echo of its own changes
+const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
 
 // State Management
 let persons = [];
 let currentTeams = [];
+let currentBalance = null;
+let currentBench = [];
+let currentFormation = null;
+let currentRatingMode = 'stats';
+let currentSportId = null;
+let currentStrategy = 'overall';
+// The stat list and weights the current teams were drawn with
+let currentRatingModel = null;
+// Repeat pairings compared with recent games (fair rotation)
+let currentRotation = null;
 let savedTeams = [];
+let savedTeamsPage = 0;
+let loadedSavedTeamId = null;
+let editingSavedTeamId = null;
+let sessions = [];
+let constraints = [];
+let tournaments = [];
+let activeTournamentId = null;
+let currentViolations = [];
+// Seed and inputs of the last draw, saved with the teams so it can be re-run
+let currentDraw = null;
+// Manual adjustments: players locked to a team index, and snapshots for undo/redo
+let pins = {};
+let undoStack = [];
+let redoStack = [];
+let activeSessionId = localStorage.getItem('activeSessionId');
+let sports = [];
+let activeSportId = localStorage.getItem('activeSportId');
+let availabilityMode = false;
 let editingPersonId = null;
+let editingVersion = null;
+let ratingPersonId = null;
+let liveSource = null;
+let account = null;
+let registering = false;
+let offline = false;
+let pendingCount = 0;
 
 // DOM Elements
 const personsGrid = document.getElementById('persons-grid');
 const teamsDisplay = document.getElementById('teams-display');
 const savedTeamsList = document.getElementById('saved-teams-list');
+const savedTeamsPages = document.getElementById('saved-teams-pages');
+const savedFilterFrom = document.getElementById('saved-filter-from');
+const savedFilterTo = document.getElementById('saved-filter-to');
+const savedFilterTag = document.getElementById('saved-filter-tag');
+const savedFilterPlayer = document.getElementById('saved-filter-player');
+const savedTeamModal = document.getElementById('saved-team-modal');
+const savedTeamForm = document.getElementById('saved-team-form');
+const savedTeamHistory = document.getElementById('saved-team-history');
 const personModal = document.getElementById('person-modal');
 const personForm = document.getElementById('person-form');
+const personConflict = document.getElementById('person-conflict');
+const peerStatsNote = document.getElementById('peer-stats-note');
+const ratingModal = document.getElementById('rating-modal');
+const ratingForm = document.getElementById('rating-form');
+const ratingSummary = document.getElementById('rating-summary');
+const ratingGrid = document.getElementById('rating-grid');
+const ratingDistribution = document.getElementById('rating-distribution');
+const withdrawRatingBtn = document.getElementById('withdraw-rating-btn');
 const addPersonBtn = document.getElementById('add-person-btn');
 const generateBtn = document.getElementById('generate-btn');
 const saveTeamsBtn = document.getElementById('save-teams-btn');
+const updateSavedBtn = document.getElementById('update-saved-btn');
+const exportActions = document.getElementById('export-actions');
+const adjustActions = document.getElementById('adjust-actions');
+const undoBtn = document.getElementById('undo-btn');
+const redoBtn = document.getElementById('redo-btn');
 const numTeamsInput = document.getElementById('num-teams');
 const closeModal = document.querySelector('.close');
 const cancelBtn = document.getElementById('cancel-btn');
 const photoInput = document.getElementById('person-photo');
 const photoPreview = document.getElementById('photo-preview');
+const unevenModeSelect = document.getElementById('uneven-mode');
+const formationSelect = document.getElementById('formation');
+const ratingModeSelect = document.getElementById('rating-mode');
+const strategySelect = document.getElementById('strategy');
+const varietyInput = document.getElementById('variety');
+const rotationWindowInput = document.getElementById('rotation-window');
+const drawSeedInput = document.getElementById('draw-seed');
+const positionPrimarySelect = document.getElementById('position-primary');
+const positionSecondarySelect = document.getElementById('position-secondary');
+const sessionSelect = document.getElementById('session-select');
+const newSessionBtn = document.getElementById('new-session-btn');
+const availabilityBtn = document.getElementById('availability-btn');
+const deleteSessionBtn = document.getElementById('delete-session-btn');
+const sessionSummary = document.getElementById('session-summary');
+const ruleTypeSelect = document.getElementById('rule-type');
+const rulePlayerASelect = document.getElementById('rule-player-a');
+const rulePlayerBSelect = document.getElementById('rule-player-b');
+const addRuleBtn = document.getElementById('add-rule-btn');
+const rulesList = document.getElementById('rules-list');
+const tournamentTeamsSelect = document.getElementById('tournament-teams');
+const tournamentSelect = document.getElementById('tournament-select');
+const tournamentDisplay = document.getElementById('tournament-display');
+const profileModal = document.getElementById('profile-modal');
+const profileContent = document.getElementById('profile-content');
+const profileClose = document.getElementById('profile-close');
+const accountBar = document.getElementById('account-bar');
+const accountName = document.getElementById('account-name');
+const groupSelect = document.getElementById('group-select');
+const roleBadge = document.getElementById('role-badge');
+const inviteCodeLabel = document.getElementById('invite-code');
+const importModal = document.getElementById('import-modal');
+const importFileInput = document.getElementById('import-file');
+const importModeSelect = document.getElementById('import-mode');
+const importPreview = document.getElementById('import-preview');
+const importConfirmBtn = document.getElementById('import-confirm-btn');
+const sportSelect = document.getElementById('sport-select');
+const statsGrid = document.getElementById('stats-grid');
+const sportModal = document.getElementById('sport-modal');
+const sportForm = document.getElementById('sport-form');
+const sportEditSelect = document.getElementById('sport-edit-select');
+const sportStatsRows = document.getElementById('sport-stats-rows');
+const authModal = document.getElementById('auth-modal');
+const authForm = document.getElementById('auth-form');
+const authTitle = document.getElementById('auth-title');
+const authSubmit = document.getElementById('auth-submit');
+const authToggle = document.getElementById('auth-toggle');
+const authError = document.getElementById('auth-error');
+const offlineBanner = document.getElementById('offline-banner');
 
 // Initialize App
 document.addEventListener('DOMContentLoaded', async () => {
+    registerServiceWorker();
+    setupAuthListeners();
+    window.addEventListener('online', syncAndReload);
+    if (!(await loadAccount())) {
+        return;
+    }
+    await syncPendingChanges();
+    await loadSports();
+    await loadSessions();
     await loadPersons();
     await loadSavedTeams();
+    await loadConstraints();
+    await loadTournaments();
     setupEventListeners();
+    connectLiveUpdates();
 });
 
-// Event Listeners
-function setupEventListeners() {
-    addPersonBtn.addEventListener('click', openAddPersonModal);
-    closeModal.addEventListener('click', closePersonModal);
-    cancelBtn.addEventListener('click', closePersonModal);
-    // FIX 2: handlePersonSubmit is now correct (see below)
-    personForm.addEventListener('submit', handlePersonSubmit); 
-    generateBtn.addEventListener('click', generateTeams);
-    saveTeamsBtn.addEventListener('click', saveCurrentTeams);
-    photoInput.addEventListener('change', handlePhotoPreview);
-    
-    window.addEventListener('click', (e) => {
-        if (e.target === personModal) {
-            closePersonModal();
+// Accounts and Groups
+async function loadAccount() {
+    try {
+        const response = await reachApi(`${API_URL}/auth/me`);
+        if (!response) {
+            // Offline: carry on as whoever was signed in last time
+            account = await readCache('account');
+            if (!account) {
+                return false;
+            }
+        } else if (response.status === 401) {
+            showAuthModal();
+            return false;
+        } else {
+            account = await response.json();
+            await writeCache('account', account);
+        }
+    } catch (error) {
+        console.error('Error loading account:', error);
+        return false;
+    }
+
+    if (!account.groupId) {
+        renderAccountBar();
+        const name = prompt('You are not in a group yet. Name a new group (or cancel to enter an invite code):');
+        if (name) {
+            await postAndReload(`${API_URL}/auth/groups`, { name });
+        } else {
+            await joinGroup();
+        }
+        return false;
+    }
+
+    renderAccountBar();
+    return true;
+}
+
+function renderAccountBar() {
+    accountBar.style.display = 'flex';
+    accountName.textContent = `👤 ${account.user.username}`;
+    groupSelect.innerHTML = account.groups.map(group => `
+        <option value="${group._id}" ${group._id === account.groupId ? 'selected' : ''}>${escapeHtml(group.name)}</option>
+    `).join('');
+    roleBadge.textContent = account.role || '';
+    const activeGroup = account.groups.find(group => group._id === account.groupId);
+    inviteCodeLabel.textContent = activeGroup?.inviteCode ? `Invite code: ${activeGroup.inviteCode}` : '';
+    // Members get a read-only view; the server enforces the same rule
+    document.body.classList.toggle('read-only', account.role !== 'admin');
+}
+
+function setupAuthListeners() {
+    authForm.addEventListener('submit', handleAuthSubmit);
+    authToggle.addEventListener('click', () => {
+        registering = !registering;
+        showAuthModal();
+    });
+    document.getElementById('logout-btn').addEventListener('click', async () => {
+        await postAndReload(`${API_URL}/auth/logout`, {});
+    });
+    document.getElementById('new-group-btn').addEventListener('click', async () => {
+        const name = prompt('Name of the new group:');
+        if (name) {
+            await postAndReload(`${API_URL}/auth/groups`, { name });
         }
     });
+    document.getElementById('join-group-btn').addEventListener('click', joinGroup);
+    groupSelect.addEventListener('change', async () => {
+        await postAndReload(`${API_URL}/auth/groups/${groupSelect.value}/switch`, {});
+    });
 }
 
-// Person Management
-async function loadPersons() {
+function showAuthModal() {
+    authTitle.textContent = registering ? 'Create Account' : 'Log In';
+    authSubmit.textContent = registering ? 'Create Account' : 'Log In';
+    authToggle.textContent = registering ? 'I Have an Account' : 'Create Account';
+    document.querySelector('.register-only').style.display = registering ? 'block' : 'none';
+    document.getElementById('auth-password').autocomplete = registering ? 'new-password' : 'current-password';
+    authError.textContent = '';
+    authModal.style.display = 'block';
+}
+
+async function handleAuthSubmit(e) {
+    e.preventDefault();
+
+    const body = {
+        username: document.getElementById('auth-username').value,
+        password: document.getElementById('auth-password').value
+    };
+    if (registering) {
+        body.groupName = document.getElementById('auth-group-name').value || undefined;
+        body.inviteCode = document.getElementById('auth-invite-code').value || undefined;
+    }
+
     try {
-        const response = await fetch(`${API_URL}/persons`);
-        persons = await response.json();
-        renderPersons();
+        const response = await fetch(`${API_URL}/auth/${registering ? 'register' : 'login'}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (response.ok) {
+            window.location.reload();
+        } else {
+            const errorData = await response.json();
+            authError.textContent = describeApiError(errorData, response);
+        }
     } catch (error) {
-        console.error('Error loading persons:', error);
-        persons = [];
-        renderPersons();
+        console.error('Error signing in:', error);
+        authError.textContent = 'Network error, please try again.';
     }
 }
 
-// FIX 3: Corrected the default avatar image path for the player card and team member display.
-// Assumes the file is now in the /public/assets folder.
-const DEFAULT_AVATAR_PATH = './assets/default-avatar.png'; 
+async function joinGroup() {
+    const inviteCode = prompt('Invite code from your group admin:');
+    if (inviteCode) {
+        await postAndReload(`${API_URL}/auth/groups/join`, { inviteCode });
+    }
+}
 
-function renderPersons() {
-    if (persons.length === 0) {
-        personsGrid.innerHTML = '<div class="empty-state">No players yet. Add your first player!</div>';
+// Group changes affect every list on the page, so start over from a clean load
+async function postAndReload(url, body) {
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (response.ok) {
+            window.location.reload();
+        } else {
+            const errorData = await response.json();
+            alert(`Error: ${describeApiError(errorData, response)}`);
+        }
+    } catch (error) {
+        console.error('Error updating account:', error);
+        alert('Error updating account');
+    }
+}
+
+// Peer Ratings
+window.openRatingModal = async function(id) {
+    const person = persons.find(p => p._id === id);
+    if (!person) return;
+
+    const response = await reachApi(`${API_URL}/persons/${id}/ratings`);
+    if (!response) {
+        alert('Rating players needs a connection to the server.');
+        return;
+    }
+    const summary = await response.json();
+    if (!response.ok) {
+        alert(`Error loading ratings: ${describeApiError(summary, response)}`);
         return;
     }
 
-    personsGrid.innerHTML = persons.map(person => `
-        <div class="player-card">
-            <div class="player-card-content">
-                <img src="${person.photo || DEFAULT_AVATAR_PATH}" 
-                     alt="${person.name}" 
-                     class="player-photo"
-                     onerror="this.src='${DEFAULT_AVATAR_PATH}'">
-                <div class="player-name">${person.name}</div>
-                <div class="player-stats">
-                    <div class="stat-item">
-                        <span class="stat-label">PAC</span>
-                        <span class="stat-value">${person.stats.pace}</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">SHO</span>
-                        <span class="stat-value">${person.stats.shooting}</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">PAS</span>
-                        <span class="stat-value">${person.stats.passing}</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">DRI</span>
-                        <span class="stat-value">${person.stats.dribbling}</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">DEF</span>
-                        <span class="stat-value">${person.stats.defending}</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">PHY</span>
-                        <span class="stat-value">${person.stats.physical}</span>
-                    </div>
-                </div>
-                <div class="player-actions">
-                    <button class="btn btn-primary" onclick="editPerson('${person._id}')">Edit</button>
-                    <button class="btn btn-danger" onclick="deletePerson('${person._id}')">Delete</button>
-                </div>
-            </div>
+    ratingPersonId = id;
+    document.getElementById('rating-title').textContent = `Rate ${person.name}`;
+    ratingGrid.innerHTML = activeSport().stats.map(stat => `
+        <div class="form-group">
+            <label for="rating-${stat.key}">${escapeHtml(stat.label)}:</label>
+            <input type="number" id="rating-${stat.key}" min="${stat.min}" max="${stat.max}"
+                   value="${summary.myVote?.[stat.key] ?? person.stats?.[stat.key] ?? ''}" required>
         </div>
     `).join('');
+    renderRatingSummary(summary);
+    ratingModal.style.display = 'block';
+};
+
+function closeRatingModal() {
+    ratingModal.style.display = 'none';
+    ratingPersonId = null;
 }
 
-function openAddPersonModal() {
-    editingPersonId = null;
-    document.getElementById('modal-title').textContent = 'Add New Player';
-    personForm.reset();
-    photoPreview.innerHTML = '';
-    personModal.style.display = 'block';
+function renderRatingSummary(summary) {
+    const votes = `${summary.voteCount} rating${summary.voteCount === 1 ? '' : 's'}`;
+    ratingSummary.textContent = summary.stats
+        ? `${votes}. Your rating is anonymous to other members; the consensus sets this player's stats.`
+        : `${votes}. The consensus replaces the player's stats once ${summary.minVotes} members have rated them.`;
+    withdrawRatingBtn.style.display = summary.myVote ? '' : 'none';
+
+    // Only admins are sent the individual votes
+    if (!summary.votes) {
+        ratingDistribution.innerHTML = '';
+        return;
+    }
+    const stats = activeSport().stats;
+    const byKey = new Map(summary.distribution.map(stat => [stat.key, stat]));
+    ratingDistribution.innerHTML = summary.votes.length === 0 ? '' : `
+        <h3>All Ratings</h3>
+        <table class="standings-table rating-table">
+            <thead>
+                <tr>
+                    <th>Member</th>
+                    ${stats.map(stat => `<th>${escapeHtml(stat.short)}</th>`).join('')}
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${summary.votes.map(vote => `
+                    <tr>
+                        <td>${escapeHtml(vote.raterName)}</td>
+                        ${stats.map(stat => `<td class="${vote.outliers.includes(stat.key) ? 'rating-outlier' : ''}">${vote.stats[stat.key] ?? '–'}</td>`).join('')}
+                        <td><button class="btn btn-danger" onclick="removeRating('${vote.raterId}')">Remove</button></td>
+                    </tr>
+                `).join('')}
+                <tr>
+                    <td>Median</td>
+                    ${stats.map(stat => `<td>${byKey.get(stat.key)?.median ?? '–'}</td>`).join('')}
+                    <td></td>
+                </tr>
+                <tr>
+                    <td><strong>Consensus</strong></td>
+                    ${stats.map(stat => `<td><strong>${byKey.get(stat.key)?.mean ?? '–'}</strong></td>`).join('')}
+                    <td></td>
+                </tr>
+            </tbody>
+        </table>
+        <div class="team-avg">Highlighted ratings are outliers and are left out of the consensus.</div>
+    `;
 }
 
-function closePersonModal() {
-    personModal.style.display = 'none';
-    editingPersonId = null;
+// Every rating route answers with the updated summary
+async function sendRating(path, options, action) {
+    try {
+        const response = await fetch(`${API_URL}/persons/${ratingPersonId}/ratings${path}`, options);
+        const summary = await response.json();
+        if (!response.ok) {
+            alert(`Error ${action}: ${describeApiError(summary, response)}`);
+            return;
+        }
+        renderRatingSummary(summary);
+        await loadPersons();
+    } catch (error) {
+        console.error(`Error ${action}:`, error);
+        alert(`Error ${action}`);
+    }
 }
 
-// FIX 4: Changed form submission from FormData (file-based) to JSON (data-based)
-async function handlePersonSubmit(e) {
+async function submitRating(e) {
     e.preventDefault();
-    
-    // 1. Gather stats and serialize to JSON string
-    const statsPayload = JSON.stringify({
-        pace: parseInt(document.getElementById('stat-pace').value),
-        shooting: parseInt(document.getElementById('stat-shooting').value),
-        passing: parseInt(document.getElementById('stat-passing').value),
-        dribbling: parseInt(document.getElementById('stat-dribbling').value),
-        defending: parseInt(document.getElementById('stat-defending').value),
-        physical: parseInt(document.getElementById('stat-physical').value)
+    const stats = Object.fromEntries(activeSport().stats.map(stat => [
+        stat.key,
+        parseInt(document.getElementById(`rating-${stat.key}`).value)
+    ]));
+    await sendRating('', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ stats })
+    }, 'saving rating');
+}
+
+async function withdrawRating() {
+    if (!confirm('Withdraw your rating of this player?')) return;
+    await sendRating('', { method: 'DELETE' }, 'withdrawing rating');
+}
+
+window.removeRating = async function(userId) {
+    if (!confirm('Remove this member\'s rating?')) return;
+    await sendRating(`/${userId}`, { method: 'DELETE' }, 'removing rating');
+};
+
+// Live Updates
+// Events from other browsers in the group only say what changed; each one reloads that list
+function connectLiveUpdates() {
+    if (!window.EventSource || liveSource) return;
+
+    liveSource = new EventSource(`${API_URL}/events`);
+    const on = (type, handler) => liveSource.addEventListener(type, event => {
+        const data = JSON.parse(event.data);
+        if (data.origin === CLIENT_ID) return;
+        Promise.resolve(handler(data)).catch(error => console.error(`Error applying live ${type} update:`, error));
     });
-    
-    // 2. Construct the JSON body
-    const jsonBody = JSON.stringify({
-        name: document.getElementById('person-name').value,
-        stats: statsPayload, // The server expects this as a JSON string (due to how forms/middleware interact)
-        // Photo data is omitted as file upload is disabled
+    on('persons', handlePersonsChanged);
+    on('sessions', async () => {
+        await loadSessions();
+        renderPersons();
+    });
+    on('savedTeams', loadSavedTeams);
+    on('tournaments', loadTournaments);
+    on('sports', async () => {
+        // Re-rendering the sport would wipe the stat inputs of a player being edited
+        if (personModal.style.display !== 'block') {
+            await loadSports();
+        }
     });
+    on('teams', showLiveTeams);
+}
+
+async function handlePersonsChanged(data) {
+    await loadPersons();
+    if (!editingPersonId || (data.id && data.id !== editingPersonId)) return;
+
+    const person = persons.find(p => p._id === editingPersonId);
+    if (!person) {
+        personConflict.textContent = `⚠️ ${data.by} just deleted this player.`;
+    } else if ((person.updatedAt || person.createdAt) !== editingVersion) {
+        personConflict.textContent = `⚠️ ${data.by} just changed this player. Saving will ask whether to keep their changes.`;
+    }
+}
+
+// Someone else saved the player first: load their version, or save ours over it
+async function resolvePersonConflict() {
+    await loadPersons();
+    const person = persons.find(p => p._id === editingPersonId);
+    if (!person) {
+        alert('This player was deleted by someone else.');
+        closePersonModal();
+        return;
+    }
+
+    if (confirm('Someone else changed this player while you were editing.\n\nOK: save your version over theirs\nCancel: load their version into the form')) {
+        editingVersion = person.updatedAt || person.createdAt;
+        personForm.requestSubmit();
+    } else {
+        await editPerson(person._id);
+    }
+}
+
+// Admins push the draw on their screen so everyone can see which team they are on
+async function shareLiveTeams() {
+    if (account?.role !== 'admin' || offline || currentTeams.length === 0) return;
 
     try {
-        const url = editingPersonId 
-            ? `${API_URL}/persons/${editingPersonId}`
-            : `${API_URL}/persons`;
-        
-        const method = editingPersonId ? 'PUT' : 'POST';
-        
-        const response = await fetch(url, {
-            method: method,
-            // CRITICAL FIX: Set header to application/json
+        await fetch(`${API_URL}/live/teams`, {
+            method: 'PUT',
             headers: {
-                'Content-Type': 'application/json' 
+                'Content-Type': 'application/json',
+                'X-Client-Id': CLIENT_ID
             },
-            body: jsonBody // Send clean JSON string
+            body: JSON.stringify({
+                teams: currentTeams,
+                bench: currentBench,
+                balance: currentBalance,
+                formation: currentFormation,
+                ratingMode: currentRatingMode,
+                sportId: currentSportId,
+                strategy: currentStrategy,
+                ratingModel: currentRatingModel,
+                violations: currentViolations
+            })
         });
+    } catch (error) {
+        console.error('Error sharing teams:', error);
+    }
+}
 
-        if (response.ok) {
-            // Check if the response includes the data payload (optional, but good practice)
-            // const savedPerson = await response.json(); 
-            await loadPersons();
-            closePersonModal();
-        } else {
-            // Read and display the specific error message from the server
-            const errorData = await response.json();
-            alert(`Error saving person: ${errorData.error || response.statusText}`);
-        }
+function showLiveTeams(draw) {
+    currentTeams = draw.teams;
+    currentBench = draw.bench || [];
+    currentBalance = draw.balance || null;
+    currentFormation = draw.formation || null;
+    currentRatingMode = draw.ratingMode || 'stats';
+    currentSportId = draw.sportId || null;
+    currentStrategy = draw.strategy || 'overall';
+    currentRatingModel = draw.ratingModel || null;
+    currentRotation = null;
+    currentViolations = draw.violations || [];
+    currentDraw = null;
+    loadedSavedTeamId = null;
+    pins = {};
+    undoStack = [];
+    redoStack = [];
+    renderTeams();
+    showTeamActions();
+}
+
+// Offline Support
+function registerServiceWorker() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('./sw.js')
+            .catch(error => console.error('Error registering service worker:', error));
+    }
+}
+
+// Resolves to the response, or null when the API is out of reach
+// (no signal, or the server cannot get to its database)
+async function reachApi(url, options = {}) {
+    try {
+        const response = await fetch(url, { ...options, headers: { ...options.headers, 'X-Client-Id': CLIENT_ID } });
+        setOffline(response.status === 503);
+        return response.status === 503 ? null : response;
     } catch (error) {
-        console.error('Error saving person:', error);
-        alert('Error saving person: Network or unknown client issue.');
+        console.error(`Could not reach ${url}:`, error);
+        setOffline(true);
+        return null;
     }
 }
 
-window.editPerson = async function(id) {
-    editingPersonId = id;
-    const person = persons.find(p => p._id === id);
-    
-    if (person) {
-        document.getElementById('modal-title').textContent = 'Edit Player';
-        document.getElementById('person-name').value = person.name;
-        document.getElementById('stat-pace').value = person.stats.pace;
-        document.getElementById('stat-shooting').value = person.stats.shooting;
-        document.getElementById('stat-passing').value = person.stats.passing;
-        document.getElementById('stat-dribbling').value = person.stats.dribbling;
-        document.getElementById('stat-defending').value = person.stats.defending;
-        document.getElementById('stat-physical').value = person.stats.physical;
-        
-        // Use the new default path if photo is missing
-        const photoSrc = person.photo || DEFAULT_AVATAR_PATH;
-        photoPreview.innerHTML = `<img src="${photoSrc}" alt="Preview">`;
-        
-        personModal.style.display = 'block';
+function setOffline(value) {
+    offline = value;
+    renderOfflineBanner();
+}
+
+function renderOfflineBanner() {
+    const waiting = pendingCount > 0
+        ? `${pendingCount} change${pendingCount === 1 ? '' : 's'} waiting to sync.`
+        : '';
+    offlineBanner.style.display = offline || pendingCount > 0 ? 'block' : 'none';
+    offlineBanner.textContent = offline
+        ? `📴 Offline: showing the copy saved on this device. ${waiting}`
+        : `🔄 ${waiting}`;
+}
+
+async function refreshPendingCount() {
+    try {
+        pendingCount = (await groupOperations()).length;
+    } catch (error) {
+        console.error('Error reading offline changes:', error);
     }
-};
+    renderOfflineBanner();
+}
 
-window.deletePerson = async function(id) {
-    if (confirm('Are you sure you want to delete this player?')) {
-        try {
-            const response = await fetch(`${API_URL}/persons/${id}`, {
-                method: 'DELETE'
+// Cached lists are per group so switching groups never mixes rosters
+function cacheKey(name) {
+    return `${account?.groupId}:${name}`;
+}
+
+// Fetch a list from the API and keep a copy; when offline, use the copy instead
+async function loadList(path, name) {
+    const response = await reachApi(`${API_URL}${path}`);
+    if (response && response.ok) {
+        const items = await response.json();
+        await writeCache(cacheKey(name), items);
+        return items;
+    }
+    if (response) {
+        console.error(`Error loading ${name}:`, response.statusText);
+    }
+    return (await readCache(cacheKey(name))) || [];
+}
+
+// The queue is shared by every group and account on this device, so each change
+// records its group and only the active group's changes are shown or replayed;
+// otherwise an edit made in one group could land in another after a switch
+async function groupOperations() {
+    const operations = await pendingOperations();
+    return operations.filter(operation => operation.groupId && operation.groupId === account?.groupId);
+}
+
+async function queueChange(operation) {
+    await enqueue({ ...operation, groupId: account?.groupId });
+    await refreshPendingCount();
+}
+
+// Send queued offline changes in order. Stops at the first one that still
+// cannot reach the API and keeps the rest for the next attempt.
+async function syncPendingChanges() {
+    let operations;
+    try {
+        operations = await groupOperations();
+    } catch (error) {
+        console.error('Error reading offline changes:', error);
+        return;
+    }
+
+    const problems = [];
+    for (const operation of operations) {
+        const response = await replayOperation(operation);
+        if (!response || response.status >= 500) break;
+
+        if (response.ok && operation.tempId) {
+            const created = await response.json();
+            await replaceTempId(operation.tempId, created._id);
+        } else if (!response.ok && !(response.status === 404 && operation.kind.startsWith('delete'))) {
+            // 409 here usually means someone else changed the same thing in the meantime;
+            // their version wins and the offline change is dropped
+            const errorData = await response.json().catch(() => ({}));
+            problems.push(`${operation.label}: ${describeApiError(errorData, response)}`);
+        }
+        await removeOperation(operation.id);
+    }
+
+    await refreshPendingCount();
+    if (problems.length > 0) {
+        alert(`Some changes made offline could not be applied:\n\n${problems.join('\n\n')}`);
+    }
+}
+
+async function syncAndReload() {
+    if (!account) {
+        window.location.reload();
+        return;
+    }
+    await syncPendingChanges();
+    await loadPersons();
+    await loadSavedTeams();
+}
+
+function versionQuery(expectedUpdatedAt) {
+    return expectedUpdatedAt ? `?expectedUpdatedAt=${encodeURIComponent(expectedUpdatedAt)}` : '';
+}
+
+function replayOperation(operation) {
+    switch (operation.kind) {
+        case 'createPerson':
+            return reachApi(`${API_URL}/persons`, {
+                method: 'POST',
+                body: personFormData(operation.body, operation.photo)
             });
-            
-            if (response.ok) {
-                await loadPersons();
-            } else {
-                alert('Error deleting person');
+        case 'updatePerson': {
+            const formData = personFormData(operation.body, operation.photo);
+            if (operation.expectedUpdatedAt) {
+                formData.append('expectedUpdatedAt', operation.expectedUpdatedAt);
             }
-        } catch (error) {
-            console.error('Error deleting person:', error);
-            alert('Error deleting person');
+            return reachApi(`${API_URL}/persons/${operation.personId}`, { method: 'PUT', body: formData });
         }
+        case 'deletePerson':
+            return reachApi(`${API_URL}/persons/${operation.personId}${versionQuery(operation.expectedUpdatedAt)}`, {
+                method: 'DELETE'
+            });
+        case 'saveTeams':
+            return reachApi(`${API_URL}/teams`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(operation.body)
+            });
+        case 'deleteTeams':
+            return reachApi(`${API_URL}/teams/${operation.savedTeamId}${versionQuery(operation.expectedUpdatedAt)}`, {
+                method: 'DELETE'
+            });
+        default:
+            return Promise.resolve(null);
+    }
+}
+
+// A player created offline has just been given a real id: point queued team saves at it
+async function replaceTempId(tempId, realId) {
+    const swap = member => (member._id === tempId ? { ...member, _id: realId } : member);
+    const operations = await groupOperations();
+    for (const operation of operations.filter(op => op.kind === 'saveTeams')) {
+        await updateOperation({
+            ...operation,
+            body: {
+                ...operation.body,
+                teams: operation.body.teams.map(team => ({ ...team, members: team.members.map(swap) })),
+                bench: (operation.body.bench || []).map(swap)
+            }
+        });
+    }
+}
+
+// Drop queued changes for something that was itself only created offline.
+// Returns true when it never reached the server, so there is nothing left to delete there.
+async function discardQueued(id) {
+    const operations = await groupOperations();
+    const queued = operations.filter(op => op.tempId === id || op.personId === id || op.savedTeamId === id);
+    for (const operation of queued) {
+        await removeOperation(operation.id);
+    }
+    return queued.some(op => op.tempId === id);
+}
+
+async function savePersonOffline(body, photo) {
+    const operations = await groupOperations();
+    if (!editingPersonId) {
+        const tempId = `local-${Date.now()}`;
+        await queueChange({ kind: 'createPerson', tempId, label: `Add ${body.name}`, body, photo });
+        persons.push({ _id: tempId, ...body, photo: null, createdAt: new Date().toISOString(), pending: true });
+    } else {
+        const person = persons.find(p => p._id === editingPersonId);
+        const queued = operations.find(op => op.tempId === editingPersonId || op.personId === editingPersonId);
+        if (queued && queued.kind !== 'deletePerson') {
+            // Fold repeated offline edits into the change that is already waiting
+            await updateOperation({ ...queued, body, photo: photo || queued.photo });
+        } else {
+            await queueChange({
+                kind: 'updatePerson',
+                personId: editingPersonId,
+                expectedUpdatedAt: person.updatedAt || person.createdAt,
+                label: `Edit ${body.name}`,
+                body,
+                photo
+            });
+        }
+        Object.assign(person, body, { pending: true });
+    }
+    await writeCache(cacheKey(personsCacheName()), persons);
+    renderPersons();
+}
+
+async function deletePersonOffline(id) {
+    const person = persons.find(p => p._id === id);
+    if (!(await discardQueued(id))) {
+        await queueChange({
+            kind: 'deletePerson',
+            personId: id,
+            expectedUpdatedAt: person?.updatedAt || person?.createdAt,
+            label: `Delete ${person?.name || 'player'}`
+        });
+    }
+    persons = persons.filter(p => p._id !== id);
+    await writeCache(cacheKey(personsCacheName()), persons);
+    await refreshPendingCount();
+    renderPersons();
+}
+
+async function saveTeamsOffline(body) {
+    const tempId = `local-${Date.now()}`;
+    await queueChange({ kind: 'saveTeams', tempId, label: 'Save teams', body });
+    savedTeams.unshift({ _id: tempId, ...body, createdAt: new Date().toISOString(), pending: true });
+    await writeCache(cacheKey('savedTeams'), savedTeams);
+    renderSavedTeams();
+}
+
+async function deleteSavedTeamOffline(id) {
+    const saved = savedTeams.find(s => s._id === id);
+    if (!(await discardQueued(id))) {
+        await queueChange({
+            kind: 'deleteTeams',
+            savedTeamId: id,
+            expectedUpdatedAt: saved?.updatedAt || saved?.createdAt,
+            label: 'Delete saved teams'
+        });
+    }
+    savedTeams = savedTeams.filter(s => s._id !== id);
+    await writeCache(cacheKey('savedTeams'), savedTeams);
+    await refreshPendingCount();
+    renderSavedTeams();
+}
+
+// Event Listeners
+function setupEventListeners() {
+    addPersonBtn.addEventListener('click', openAddPersonModal);
+    closeModal.addEventListener('click', closePersonModal);
+    cancelBtn.addEventListener('click', closePersonModal);
+    // FIX 2: handlePersonSubmit is now correct (see below)
+    personForm.addEventListener('submit', handlePersonSubmit); 
+    generateBtn.addEventListener('click', generateTeams);
+    varietyInput.addEventListener('input', () => {
+        document.getElementById('variety-value').textContent = varietyInput.value;
+    });
+    saveTeamsBtn.addEventListener('click', saveCurrentTeams);
+    document.getElementById('copy-text-btn').addEventListener('click', copyTeamsAsText);
+    document.getElementById('download-png-btn').addEventListener('click', downloadTeamsImage);
+    document.getElementById('print-sheet-btn').addEventListener('click', printTeamSheet);
+    undoBtn.addEventListener('click', undoMove);
+    redoBtn.addEventListener('click', redoMove);
+    teamsDisplay.addEventListener('dragstart', handleMemberDragStart);
+    teamsDisplay.addEventListener('dragover', handleTeamDragOver);
+    teamsDisplay.addEventListener('dragleave', handleTeamDragLeave);
+    teamsDisplay.addEventListener('drop', handleTeamDrop);
+    document.addEventListener('keydown', handleUndoShortcut);
+    photoInput.addEventListener('change', handlePhotoPreview);
+    sessionSelect.addEventListener('change', () => selectSession(sessionSelect.value));
+    newSessionBtn.addEventListener('click', createSession);
+    availabilityBtn.addEventListener('click', toggleAvailabilityMode);
+    deleteSessionBtn.addEventListener('click', deleteActiveSession);
+    
+    profileClose.addEventListener('click', closeProfileModal);
+    addRuleBtn.addEventListener('click', addConstraint);
+    document.getElementById('create-tournament-btn').addEventListener('click', createTournament);
+    document.getElementById('delete-tournament-btn').addEventListener('click', deleteActiveTournament);
+    tournamentSelect.addEventListener('change', () => {
+        activeTournamentId = tournamentSelect.value || null;
+        renderTournaments();
+    });
+    document.getElementById('import-btn').addEventListener('click', openImportModal);
+    document.getElementById('import-close').addEventListener('click', closeImportModal);
+    document.getElementById('import-preview-btn').addEventListener('click', () => runImport(true));
+    importConfirmBtn.addEventListener('click', () => runImport(false));
+    // A different file or mode needs a fresh preview before importing
+    importFileInput.addEventListener('change', resetImportPreview);
+    importModeSelect.addEventListener('change', resetImportPreview);
+    sportSelect.addEventListener('change', () => selectSport(sportSelect.value));
+    document.getElementById('manage-sports-btn').addEventListener('click', openSportModal);
+    document.getElementById('sport-close').addEventListener('click', closeSportModal);
+    sportEditSelect.addEventListener('change', () => renderSportEditor(sportEditSelect.value));
+    document.getElementById('add-sport-stat-btn').addEventListener('click', () => addSportStatRow());
+    document.getElementById('delete-sport-btn').addEventListener('click', deleteEditedSport);
+    sportForm.addEventListener('submit', saveSport);
+    updateSavedBtn.addEventListener('click', updateSavedTeams);
+    [savedFilterFrom, savedFilterTo, savedFilterTag, savedFilterPlayer].forEach(input => {
+        input.addEventListener('change', () => {
+            savedTeamsPage = 0;
+            renderSavedTeams();
+        });
+    });
+    document.getElementById('saved-filter-clear').addEventListener('click', () => {
+        [savedFilterFrom, savedFilterTo, savedFilterTag, savedFilterPlayer].forEach(input => {
+            input.value = '';
+        });
+        savedTeamsPage = 0;
+        renderSavedTeams();
+    });
+    document.getElementById('saved-team-close').addEventListener('click', closeSavedTeamModal);
+    savedTeamForm.addEventListener('submit', saveSavedTeamDetails);
+    document.getElementById('rating-close').addEventListener('click', closeRatingModal);
+    ratingForm.addEventListener('submit', submitRating);
+    withdrawRatingBtn.addEventListener('click', withdrawRating);
+    
+    window.addEventListener('click', (e) => {
+        if (e.target === personModal) {
+            closePersonModal();
+        }
+        if (e.target === profileModal) {
+            closeProfileModal();
+        }
+        if (e.target === importModal) {
+            closeImportModal();
+        }
+        if (e.target === sportModal) {
+            closeSportModal();
+        }
+        if (e.target === savedTeamModal) {
+            closeSavedTeamModal();
+        }
+        if (e.target === ratingModal) {
+            closeRatingModal();
+        }
+    });
+}
+
+// Sport Profiles
+// Stand-in until the profiles have loaded (or when offline with nothing cached)
+const FALLBACK_SPORT = { _id: null, name: 'Football', stats: TeamGenerator.DEFAULT_STATS };
+
+async function loadSports() {
+    try {
+        sports = await loadList('/sports', 'sports');
+    } catch (error) {
+        console.error('Error loading sports:', error);
+        sports = [];
+    }
+    if (!sports.some(sport => sport._id === activeSportId)) {
+        activeSportId = sports[0]?._id || null;
+    }
+    renderSports();
+}
+
+function activeSport() {
+    return sportById(activeSportId);
+}
+
+// Saved and generated teams remember their sport; anything older is the default one
+function sportById(id) {
+    return sports.find(sport => sport._id === id) || sports[0] || FALLBACK_SPORT;
+}
+
+function statLabel(key, sport = activeSport()) {
+    return sport.stats.find(stat => stat.key === key)?.label || key;
+}
+
+function renderSports() {
+    sportSelect.innerHTML = sports.map(sport => `
+        <option value="${sport._id}" ${sport._id === activeSportId ? 'selected' : ''}>${escapeHtml(sport.name)}</option>
+    `).join('');
+    renderStatsGrid();
+
+    const sport = activeSport();
+    const query = sport._id ? `&sportId=${sport._id}` : '';
+    document.getElementById('export-csv-link').href = `${API_URL}/persons/export?format=csv${query}`;
+    document.getElementById('export-json-link').href = `${API_URL}/persons/export?format=json${query}`;
+    document.getElementById('import-help').textContent = `CSV columns: name, ${sport.stats.map(stat => stat.key).join(', ')}, and optionally primaryPosition, secondaryPosition. JSON: an array of players as exported.`;
+}
+
+// The player form has one input per stat of the active sport
+function renderStatsGrid() {
+    statsGrid.innerHTML = activeSport().stats.map(stat => `
+        <div class="form-group">
+            <label for="stat-${stat.key}">${escapeHtml(stat.label)}:</label>
+            <input type="number" id="stat-${stat.key}" min="${stat.min}" max="${stat.max}" value="${Math.round((stat.min + stat.max) / 2)}" required>
+        </div>
+    `).join('');
+}
+
+async function selectSport(id) {
+    activeSportId = id;
+    localStorage.setItem('activeSportId', id);
+    // Pins point at players of the previous roster
+    pins = {};
+    renderSports();
+    await loadPersons();
+}
+
+function openSportModal() {
+    sportEditSelect.innerHTML = sports.map(sport => `
+        <option value="${sport._id}" ${sport._id === activeSportId ? 'selected' : ''}>${escapeHtml(sport.name)}</option>
+    `).join('') + '<option value="">+ New sport</option>';
+    renderSportEditor(sportEditSelect.value);
+    sportModal.style.display = 'block';
+}
+
+function closeSportModal() {
+    sportModal.style.display = 'none';
+}
+
+function renderSportEditor(id) {
+    const sport = sports.find(s => s._id === id);
+    document.getElementById('sport-name').value = sport ? sport.name : '';
+    sportStatsRows.innerHTML = '';
+    (sport ? sport.stats : [{ label: '', short: '', min: 1, max: 10, weight: 1 }]).forEach(addSportStatRow);
+    // The default sport is where legacy players live, so it always stays
+    document.getElementById('delete-sport-btn').style.display = sport && !sport.isDefault ? 'inline-block' : 'none';
+}
+
+const SIDE_LABELS = { attack: 'Attack', defence: 'Defence' };
+
+function addSportStatRow(stat = { label: '', short: '', min: 1, max: 99, weight: 1 }) {
+    const row = document.createElement('tr');
+    // Existing stats keep their key so players' values survive a rename
+    row.dataset.key = stat.key || '';
+    row.innerHTML = `
+        <td><input type="text" class="stat-label-input" maxlength="30" value="${escapeHtml(stat.label)}" aria-label="Stat name" required></td>
+        <td><input type="text" maxlength="4" value="${escapeHtml(stat.short)}" aria-label="Short label"></td>
+        <td><input type="number" min="0" max="999" value="${stat.min}" aria-label="Minimum" required></td>
+        <td><input type="number" min="1" max="999" value="${stat.max}" aria-label="Maximum" required></td>
+        <td><input type="number" min="0" max="10" step="0.1" value="${stat.weight}" aria-label="Weight" required></td>
+        ${TeamGenerator.POSITIONS.map(position => `
+            <td><input type="number" min="0" max="10" step="0.1" data-position="${position}"
+                       value="${stat.positionWeights?.[position] ?? ''}" aria-label="Weight for ${position}"></td>
+        `).join('')}
+        <td>
+            <select aria-label="Side">
+                <option value="">–</option>
+                ${TeamGenerator.STAT_SIDES.map(side => `
+                    <option value="${side}" ${stat.side === side ? 'selected' : ''}>${SIDE_LABELS[side]}</option>
+                `).join('')}
+            </select>
+        </td>
+        <td><button type="button" class="btn btn-danger" aria-label="Remove stat">✕</button></td>
+    `;
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    sportStatsRows.appendChild(row);
+}
+
+async function saveSport(e) {
+    e.preventDefault();
+
+    const id = sportEditSelect.value;
+    const body = {
+        name: document.getElementById('sport-name').value,
+        stats: [...sportStatsRows.querySelectorAll('tr')].map(row => {
+            const [label, short, min, max, weight] = [...row.querySelectorAll('input:not([data-position])')].map(input => input.value);
+            const positionWeights = Object.fromEntries([...row.querySelectorAll('input[data-position]')]
+                .filter(input => input.value !== '')
+                .map(input => [input.dataset.position, parseFloat(input.value)]));
+            return {
+                key: row.dataset.key || undefined,
+                label,
+                short,
+                min: parseInt(min),
+                max: parseInt(max),
+                weight: parseFloat(weight),
+                positionWeights,
+                side: row.querySelector('select').value || null
+            };
+        })
+    };
+
+    try {
+        const response = await fetch(id ? `${API_URL}/sports/${id}` : `${API_URL}/sports`, {
+            method: id ? 'PUT' : 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            closeSportModal();
+            await loadSports();
+            await selectSport(data._id);
+        } else {
+            alert(`Error saving sport: ${describeApiError(data, response)}`);
+        }
+    } catch (error) {
+        console.error('Error saving sport:', error);
+        alert('Error saving sport');
+    }
+}
+
+async function deleteEditedSport() {
+    const sport = sports.find(s => s._id === sportEditSelect.value);
+    if (!sport || !confirm(`Delete the sport "${sport.name}"?`)) return;
+
+    try {
+        const response = await fetch(`${API_URL}/sports/${sport._id}`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            closeSportModal();
+            await loadSports();
+            await loadPersons();
+        } else {
+            const errorData = await response.json();
+            alert(`Error deleting sport: ${errorData.error || response.statusText}`);
+        }
+    } catch (error) {
+        console.error('Error deleting sport:', error);
+        alert('Error deleting sport');
+    }
+}
+
+// Person Management
+// Each sport has its own roster, and its own offline copy of it
+function personsCacheName() {
+    return `persons:${activeSportId}`;
+}
+
+async function loadPersons() {
+    try {
+        const query = activeSportId ? `?sportId=${activeSportId}` : '';
+        persons = await loadList(`/persons${query}`, personsCacheName());
+        renderPersons();
+    } catch (error) {
+        console.error('Error loading persons:', error);
+        persons = [];
+        renderPersons();
+    }
+}
+
+// FIX 3: Corrected the default avatar image path for the player card and team member display.
+// Assumes the file is now in the /public/assets folder.
+const DEFAULT_AVATAR_PATH = './assets/default-avatar.png'; 
+
+const POSITION_LABELS = {
+    GK: 'Goalkeepers',
+    DEF: 'Defenders',
+    MID: 'Midfielders',
+    FWD: 'Forwards',
+    SUB: 'Substitutes'
+};
+
+function formatPositions(positions) {
+    if (!positions || !positions.primary) return '';
+    return positions.secondary ? `${positions.primary} / ${positions.secondary}` : positions.primary;
+}
+
+function renderPersons() {
+    renderSessionSummary();
+    renderConstraints();
+
+    if (persons.length === 0) {
+        personsGrid.innerHTML = '<div class="empty-state">No players yet. Add your first player!</div>';
+        return;
+    }
+
+    const session = getActiveSession();
+    const checkingIn = availabilityMode && session;
+
+    personsGrid.innerHTML = persons.map(person => {
+        const present = session && session.presentIds.includes(person._id);
+        const cardClass = checkingIn ? (present ? 'player-card checked-in' : 'player-card absent') : 'player-card';
+        return `
+        <div class="${cardClass}">
+            <div class="player-card-content">
+                ${checkingIn ? `
+                <label class="check-in-toggle">
+                    <input type="checkbox" ${present ? 'checked' : ''} onchange="togglePresence('${person._id}')">
+                    ${present ? 'Present' : 'Not here'}
+                </label>` : ''}
+                <img src="${person.photo || DEFAULT_AVATAR_PATH}" 
+                     alt="${person.name}" 
+                     class="player-photo"
+                     onerror="this.src='${DEFAULT_AVATAR_PATH}'">
+                <div class="player-name">${person.name}</div>
+                ${person.pending ? '<div class="pending-sync">⏳ Waiting to sync</div>' : ''}
+                ${formatPositions(person.positions) ? `<div class="player-positions">${formatPositions(person.positions)}</div>` : ''}
+                <div class="player-stats">
+                    ${activeSport().stats.map(stat => `
+                        <div class="stat-item">
+                            <span class="stat-label">${escapeHtml(stat.short)}</span>
+                            <span class="stat-value">${person.stats?.[stat.key] ?? '–'}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                ${person.peerRating?.applied ? `<div class="team-avg">Stats from ${person.peerRating.votes} peer ratings</div>` : ''}
+                <div class="player-rating">
+                    Form rating: ${Math.round(person.rating ?? 1500)}${person.ratingGames ? ` (${person.ratingGames} game${person.ratingGames === 1 ? '' : 's'})` : ' (no results yet)'}
+                </div>
+                <div class="player-actions">
+                    <button class="btn btn-secondary" onclick="viewProfile('${person._id}')">Profile</button>
+                    ${person.pending ? '' : `<button class="btn btn-secondary" onclick="openRatingModal('${person._id}')">Rate</button>`}
+                    <button class="btn btn-primary admin-only" onclick="editPerson('${person._id}')">Edit</button>
+                    <button class="btn btn-danger admin-only" onclick="deletePerson('${person._id}')">Delete</button>
+                </div>
+            </div>
+        </div>
+    `;
+    }).join('');
+}
+
+function openAddPersonModal() {
+    editingPersonId = null;
+    editingVersion = null;
+    personConflict.textContent = '';
+    document.getElementById('modal-title').textContent = 'Add New Player';
+    personForm.reset();
+    photoPreview.innerHTML = '';
+    peerStatsNote.textContent = '';
+    activeSport().stats.forEach(stat => {
+        document.getElementById(`stat-${stat.key}`).readOnly = false;
+    });
+    personModal.style.display = 'block';
+}
+
+function closePersonModal() {
+    personModal.style.display = 'none';
+    editingPersonId = null;
+    editingVersion = null;
+    personConflict.textContent = '';
+}
+
+// Multipart body so the photo can travel with the player data
+function personFormData(body, photo) {
+    const formData = new FormData();
+    if (body.sportId) {
+        formData.append('sportId', body.sportId);
+    }
+    formData.append('name', body.name);
+    formData.append('stats', JSON.stringify(body.stats));
+    formData.append('positions', JSON.stringify(body.positions));
+    if (photo) {
+        formData.append('photo', photo);
+    }
+    return formData;
+}
+
+// Turns { error, details: [{ field, message }] } into one readable message
+function describeApiError(errorData, response) {
+    const message = errorData.error || response.statusText;
+    if (!errorData.details) return message;
+    return `${message}\n${errorData.details.map(detail => `- ${detail.field} ${detail.message}`).join('\n')}`;
+}
+
+async function handlePersonSubmit(e) {
+    e.preventDefault();
+    
+    const body = {
+        sportId: activeSportId,
+        name: document.getElementById('person-name').value,
+        stats: Object.fromEntries(activeSport().stats.map(stat => [
+            stat.key,
+            parseInt(document.getElementById(`stat-${stat.key}`).value)
+        ])),
+        positions: positionPrimarySelect.value ? {
+            primary: positionPrimarySelect.value,
+            secondary: positionSecondarySelect.value || null
+        } : null
+    };
+    const photo = photoInput.files[0] || null;
+
+    try {
+        const url = editingPersonId 
+            ? `${API_URL}/persons/${editingPersonId}`
+            : `${API_URL}/persons`;
+        
+        const method = editingPersonId ? 'PUT' : 'POST';
+        
+        const formData = personFormData(body, photo);
+        if (editingVersion) {
+            // Refused with 409 if someone else saved this player after the form was filled in
+            formData.append('expectedUpdatedAt', editingVersion);
+        }
+        // The browser sets the multipart Content-Type (with boundary) itself
+        const response = await reachApi(url, {
+            method: method,
+            body: formData
+        });
+
+        if (!response) {
+            await savePersonOffline(body, photo);
+            closePersonModal();
+        } else if (response.ok) {
+            // Check if the response includes the data payload (optional, but good practice)
+            // const savedPerson = await response.json(); 
+            await loadPersons();
+            closePersonModal();
+        } else if (response.status === 409 && editingVersion) {
+            const errorData = await response.json();
+            if (errorData.details?.some(detail => detail.field === 'expectedUpdatedAt')) {
+                await resolvePersonConflict();
+            } else {
+                alert(`Error saving person: ${describeApiError(errorData, response)}`);
+            }
+        } else {
+            // Read and display the specific error message from the server
+            const errorData = await response.json();
+            alert(`Error saving person: ${describeApiError(errorData, response)}`);
+        }
+    } catch (error) {
+        console.error('Error saving person:', error);
+        alert('Error saving person: Network or unknown client issue.');
+    }
+}
+
+window.editPerson = async function(id) {
+    editingPersonId = id;
+    const person = persons.find(p => p._id === id);
+    
+    if (person) {
+        editingVersion = person.updatedAt || person.createdAt || null;
+        personConflict.textContent = '';
+        document.getElementById('modal-title').textContent = 'Edit Player';
+        document.getElementById('person-name').value = person.name;
+        // The server rejects typed stats once the peer consensus has taken over
+        const peerRated = Boolean(person.peerRating?.applied);
+        activeSport().stats.forEach(stat => {
+            const input = document.getElementById(`stat-${stat.key}`);
+            input.value = person.stats?.[stat.key] ?? '';
+            input.readOnly = peerRated;
+        });
+        peerStatsNote.textContent = peerRated
+            ? `Stats are the consensus of ${person.peerRating.votes} peer ratings and can only change through ratings.`
+            : '';
+        positionPrimarySelect.value = person.positions?.primary || '';
+        positionSecondarySelect.value = person.positions?.secondary || '';
+        
+        // Use the new default path if photo is missing
+        const photoSrc = person.photo || DEFAULT_AVATAR_PATH;
+        photoInput.value = '';
+        photoPreview.innerHTML = `<img src="${photoSrc}" alt="Preview">`;
+        
+        personModal.style.display = 'block';
+    }
+};
+
+window.deletePerson = async function(id) {
+    const person = persons.find(p => p._id === id);
+    const savedCount = savedTeams.filter(saved => [...saved.teams.flatMap(team => team.members), ...(saved.bench || [])]
+        .some(member => member._id === id)).length;
+    const question = savedCount > 0
+        ? `${person?.name || 'This player'} is in ${savedCount} saved configuration(s), where they will be shown as a deleted player. Delete anyway?`
+        : 'Are you sure you want to delete this player?';
+    if (confirm(question)) {
+        try {
+            const response = await reachApi(`${API_URL}/persons/${id}`, {
+                method: 'DELETE'
+            });
+            
+            if (!response) {
+                await deletePersonOffline(id);
+            } else if (response.ok) {
+                await loadPersons();
+                await loadSavedTeams();
+            } else {
+                alert('Error deleting person');
+            }
+        } catch (error) {
+            console.error('Error deleting person:', error);
+            alert('Error deleting person');
+        }
+    }
+};
+
+function handlePhotoPreview(e) {
+    // Preview only; the file itself is uploaded by handlePersonSubmit
+    const file = e.target.files[0];
+    if (file) {
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            photoPreview.innerHTML = `<img src="${e.target.result}" alt="Preview">`;
+        };
+        reader.readAsDataURL(file);
+    }
+}
+
+// Roster Import
+function openImportModal() {
+    importFileInput.value = '';
+    importModeSelect.value = 'create';
+    resetImportPreview();
+    importModal.style.display = 'block';
+}
+
+function closeImportModal() {
+    importModal.style.display = 'none';
+}
+
+function resetImportPreview() {
+    importPreview.innerHTML = '';
+    importConfirmBtn.disabled = true;
+}
+
+async function runImport(dryRun) {
+    const file = importFileInput.files[0];
+    if (!file) {
+        alert('Choose a .csv or .json file first.');
+        return;
+    }
+
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('mode', importModeSelect.value);
+    if (activeSportId) {
+        formData.append('sportId', activeSportId);
+    }
+    formData.append('dryRun', String(dryRun));
+
+    try {
+        const response = await fetch(`${API_URL}/persons/import`, {
+            method: 'POST',
+            body: formData
+        });
+        const report = await response.json();
+
+        if (!response.ok) {
+            importPreview.innerHTML = `<div class="auth-error">${report.error || response.statusText}</div>`;
+            importConfirmBtn.disabled = true;
+            return;
+        }
+
+        renderImportReport(report);
+        importConfirmBtn.disabled = !dryRun || report.summary.created + report.summary.updated === 0;
+        if (!dryRun) {
+            await loadPersons();
+        }
+    } catch (error) {
+        console.error('Error importing roster:', error);
+        alert('Error importing roster');
+    }
+}
+
+function renderImportReport(report) {
+    const { created, updated, skipped } = report.summary;
+    const verb = report.dryRun ? 'Will' : 'Did';
+    importPreview.innerHTML = `
+        <div class="import-summary">
+            ${report.dryRun ? 'Preview: ' : 'Imported: '}
+            ${verb} create ${created}, update ${updated}, skip ${skipped}.
+        </div>
+        <table class="import-table">
+            <thead><tr><th>Row</th><th>Name</th><th>Action</th><th>Problems</th></tr></thead>
+            <tbody>
+                ${report.rows.map(row => `
+                    <tr class="import-${row.action}">
+                        <td>${row.row}</td>
+                        <td>${row.name ?? ''}</td>
+                        <td>${row.action}</td>
+                        <td>${row.errors.join('; ')}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Player Profile
+// Chart colours, reused in order for sports with more stats than colours
+const STAT_COLORS = ['#60a5fa', '#f87171', '#34d399', '#fbbf24', '#a78bfa', '#fb923c', '#f472b6', '#2dd4bf'];
+
+window.viewProfile = async function(id) {
+    try {
+        const response = await fetch(`${API_URL}/persons/${id}/history`);
+        const history = await response.json();
+        if (!response.ok) {
+            alert(`Error loading profile: ${history.error || response.statusText}`);
+            return;
+        }
+        renderProfile(history);
+        profileModal.style.display = 'block';
+        drawProfileCharts(history);
+    } catch (error) {
+        console.error('Error loading profile:', error);
+        alert('Error loading profile');
+    }
+};
+
+function closeProfileModal() {
+    profileModal.style.display = 'none';
+}
+
+function renderProfile(history) {
+    const { person, gamesPlayed, record, teammates, statEdits } = history;
+
+    profileContent.innerHTML = `
+        <div class="profile-header">
+            <img src="${person.photo || DEFAULT_AVATAR_PATH}" 
+                 alt="${escapeHtml(person.name)}" 
+                 class="team-member-photo"
+                 onerror="this.src='${DEFAULT_AVATAR_PATH}'">
+            <div>
+                <h2>${escapeHtml(person.name)}</h2>
+                <div class="team-avg">${formatPositions(person.positions) || 'Any position'}</div>
+            </div>
+        </div>
+        <div class="profile-tiles">
+            <div class="profile-tile"><span class="stat-value">${gamesPlayed}</span><span class="stat-label">Games</span></div>
+            <div class="profile-tile"><span class="stat-value">${record.wins}-${record.draws}-${record.losses}</span><span class="stat-label">W-D-L</span></div>
+            <div class="profile-tile"><span class="stat-value">${Math.round(person.rating ?? 1500)}</span><span class="stat-label">Form rating</span></div>
+        </div>
+        <h3>Rating after each result</h3>
+        <canvas class="profile-chart" id="rating-chart"></canvas>
+        <h3>Stats over time</h3>
+        <canvas class="profile-chart" id="stats-chart"></canvas>
+        <h3>Most frequent teammates</h3>
+        ${teammates.length > 0 ? `
+            <ul class="profile-list">
+                ${teammates.map(mate => `<li>${escapeHtml(mate.name)} <span class="team-avg">${mate.gamesTogether} game${mate.gamesTogether === 1 ? '' : 's'}</span></li>`).join('')}
+            </ul>
+        ` : '<p class="team-avg">No saved games yet.</p>'}
+        <h3>Edit history</h3>
+        ${statEdits.length > 0 ? `
+            <ul class="profile-list">
+                ${statEdits.slice().reverse().map(edit => `
+                    <li>
+                        <span class="team-avg">${new Date(edit.changedAt).toLocaleString()}</span>
+                        ${edit.changes.map(formatChange).join(', ')}
+                    </li>
+                `).join('')}
+            </ul>
+        ` : '<p class="team-avg">Never edited.</p>'}
+    `;
+}
+
+function formatChange(change) {
+    const field = change.field.startsWith('stats.') ? statLabel(change.field.slice(6)) : change.field;
+    const format = value => (value && typeof value === 'object') ? formatPositions(value) || 'none' : value ?? 'none';
+    return escapeHtml(`${field} ${format(change.from)} → ${format(change.to)}`);
+}
+
+function drawProfileCharts(history) {
+    let rating = 1500;
+    const rated = history.games.filter(game => game.ratingChange !== undefined && game.ratingChange !== null);
+    drawLineChart(document.getElementById('rating-chart'), {
+        labels: ['Start', ...rated.map(game => new Date(game.date).toLocaleDateString())],
+        series: [{
+            name: 'Rating',
+            color: '#fbbf24',
+            values: [rating, ...rated.map(game => (rating += game.ratingChange))]
+        }]
+    });
+
+    // One point for the stats at creation, then one per edit
+    const snapshots = history.statEdits.length > 0
+        ? [{ date: history.person.createdAt, stats: history.statEdits[0].previousStats },
+            ...history.statEdits.map(edit => ({ date: edit.changedAt, stats: edit.stats }))]
+        : [{ date: history.person.createdAt, stats: history.person.stats }];
+    drawLineChart(document.getElementById('stats-chart'), {
+        labels: snapshots.map(snapshot => new Date(snapshot.date).toLocaleDateString()),
+        series: sportById(history.person.sportId).stats.map((stat, i) => ({
+            name: stat.label,
+            color: STAT_COLORS[i % STAT_COLORS.length],
+            values: snapshots.map(snapshot => snapshot.stats?.[stat.key] ?? null)
+        }))
+    });
+}
+
+// Minimal canvas line chart so the page does not depend on a charting CDN
+function drawLineChart(canvas, { labels, series }) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '12px Segoe UI, sans-serif';
+
+    const pad = { top: 30, right: 15, bottom: 25, left: 45 };
+    const values = series.flatMap(line => line.values).filter(value => value !== null);
+    if (values.length === 0) return;
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (min === max) {
+        min -= 5;
+        max += 5;
+    }
+    const x = i => labels.length === 1
+        ? pad.left + (width - pad.left - pad.right) / 2
+        : pad.left + (i / (labels.length - 1)) * (width - pad.left - pad.right);
+    const y = value => pad.top + (1 - (value - min) / (max - min)) * (height - pad.top - pad.bottom);
+
+    // Grid and axis labels
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+    ctx.fillStyle = 'rgba(241, 245, 249, 0.7)';
+    ctx.textAlign = 'right';
+    for (let tick = 0; tick <= 4; tick++) {
+        const value = min + (tick / 4) * (max - min);
+        ctx.beginPath();
+        ctx.moveTo(pad.left, y(value));
+        ctx.lineTo(width - pad.right, y(value));
+        ctx.stroke();
+        ctx.fillText(Math.round(value), pad.left - 8, y(value) + 4);
+    }
+    ctx.textAlign = 'center';
+    labels.forEach((label, i) => {
+        if (labels.length <= 8 || i % Math.ceil(labels.length / 8) === 0) {
+            ctx.fillText(label, x(i), height - 6);
+        }
+    });
+
+    // Lines, points and legend
+    let legendX = pad.left;
+    series.forEach(line => {
+        ctx.strokeStyle = line.color;
+        ctx.fillStyle = line.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        line.values.forEach((value, i) => {
+            if (value === null) return;
+            if (i === 0) ctx.moveTo(x(i), y(value));
+            else ctx.lineTo(x(i), y(value));
+        });
+        ctx.stroke();
+        line.values.forEach((value, i) => {
+            if (value === null) return;
+            ctx.beginPath();
+            ctx.arc(x(i), y(value), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        if (series.length > 1) {
+            ctx.textAlign = 'left';
+            ctx.fillRect(legendX, 8, 10, 10);
+            ctx.fillText(line.name, legendX + 14, 17);
+            legendX += ctx.measureText(line.name).width + 30;
+        }
+    });
+}
+
+// Match Day Sessions
+async function loadSessions() {
+    try {
+        sessions = await loadList('/sessions', 'sessions');
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+        sessions = [];
+    }
+    if (!getActiveSession()) {
+        activeSessionId = null;
+        localStorage.removeItem('activeSessionId');
+    }
+    renderSessionOptions();
+}
+
+function getActiveSession() {
+    return sessions.find(s => s._id === activeSessionId) || null;
+}
+
+function renderSessionOptions() {
+    sessionSelect.innerHTML = '<option value="">Whole roster (no session)</option>' +
+        sessions.map(session => `
+            <option value="${session._id}" ${session._id === activeSessionId ? 'selected' : ''}>
+                ${escapeHtml(session.name)} (${session.presentIds.length} present)
+            </option>
+        `).join('');
+
+    const hasSession = Boolean(getActiveSession());
+    availabilityBtn.style.display = hasSession ? 'inline-block' : 'none';
+    deleteSessionBtn.style.display = hasSession ? 'inline-block' : 'none';
+    availabilityBtn.textContent = availabilityMode ? 'Done Checking In' : 'Check In Players';
+}
+
+function renderSessionSummary() {
+    const session = getActiveSession();
+    if (!session) {
+        sessionSummary.textContent = `All ${persons.length} players will be used for team generation.`;
+        return;
+    }
+    const present = getAvailablePlayers().length;
+    sessionSummary.textContent = `${present} of ${persons.length} players checked in for ${session.name}.`;
+}
+
+// Players the generator may draw from: the checked-in ones when a session is active
+function getAvailablePlayers() {
+    const session = getActiveSession();
+    return session ? persons.filter(person => session.presentIds.includes(person._id)) : persons;
+}
+
+function selectSession(id) {
+    activeSessionId = id || null;
+    if (activeSessionId) {
+        localStorage.setItem('activeSessionId', activeSessionId);
+    } else {
+        localStorage.removeItem('activeSessionId');
+        availabilityMode = false;
+    }
+    renderSessionOptions();
+    renderPersons();
+}
+
+async function createSession() {
+    const name = prompt('Session name:', `Match day ${new Date().toLocaleDateString()}`);
+    if (name === null) return;
+
+    try {
+        const response = await fetch(`${API_URL}/sessions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ name: name || undefined, presentIds: [] })
+        });
+
+        if (response.ok) {
+            const session = await response.json();
+            sessions.unshift(session);
+            availabilityMode = true;
+            selectSession(session._id);
+        } else {
+            const errorData = await response.json();
+            alert(`Error creating session: ${describeApiError(errorData, response)}`);
+        }
+    } catch (error) {
+        console.error('Error creating session:', error);
+        alert('Error creating session');
+    }
+}
+
+function toggleAvailabilityMode() {
+    availabilityMode = !availabilityMode;
+    renderSessionOptions();
+    renderPersons();
+}
+
+window.togglePresence = async function(personId) {
+    const session = getActiveSession();
+    if (!session) return;
+
+    const presentIds = session.presentIds.includes(personId)
+        ? session.presentIds.filter(id => id !== personId)
+        : [...session.presentIds, personId];
+
+    try {
+        const response = await fetch(`${API_URL}/sessions/${session._id}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ presentIds })
+        });
+
+        if (response.ok) {
+            session.presentIds = (await response.json()).presentIds;
+        } else {
+            alert('Error updating check-in');
+        }
+    } catch (error) {
+        console.error('Error updating check-in:', error);
+        alert('Error updating check-in');
+    }
+    renderSessionOptions();
+    renderPersons();
+};
+
+async function deleteActiveSession() {
+    const session = getActiveSession();
+    if (!session || !confirm(`Delete the session "${session.name}"?`)) return;
+
+    try {
+        const response = await fetch(`${API_URL}/sessions/${session._id}`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            sessions = sessions.filter(s => s._id !== session._id);
+            selectSession(null);
+        } else {
+            alert('Error deleting session');
+        }
+    } catch (error) {
+        console.error('Error deleting session:', error);
+        alert('Error deleting session');
+    }
+}
+
+// Pairing Rules
+async function loadConstraints() {
+    try {
+        constraints = await loadList('/constraints', 'constraints');
+    } catch (error) {
+        console.error('Error loading pairing rules:', error);
+        constraints = [];
+    }
+    renderConstraints();
+}
+
+function renderConstraints() {
+    const options = persons.map(person => `<option value="${person._id}">${escapeHtml(person.name)}</option>`).join('');
+    const selectedA = rulePlayerASelect.value;
+    const selectedB = rulePlayerBSelect.value;
+    rulePlayerASelect.innerHTML = options;
+    rulePlayerBSelect.innerHTML = options;
+    rulePlayerASelect.value = selectedA || persons[0]?._id || '';
+    rulePlayerBSelect.value = selectedB || persons[1]?._id || '';
+
+    const nameOf = id => persons.find(person => person._id === id)?.name || 'Unknown player';
+    rulesList.innerHTML = constraints.length === 0
+        ? '<div class="team-avg">No rules yet. Everyone can be drawn with anyone.</div>'
+        : constraints.map(constraint => `
+            <div class="rule-item rule-${constraint.type}">
+                <span>${constraint.type === 'together' ? '🤝 Together' : '↔️ Apart'}: ${escapeHtml(constraint.personIds.map(nameOf).join(', '))}</span>
+                <button class="btn btn-danger admin-only" onclick="deleteConstraint('${constraint._id}')">Remove</button>
+            </div>
+        `).join('');
+}
+
+async function addConstraint() {
+    const personIds = [rulePlayerASelect.value, rulePlayerBSelect.value];
+    if (!personIds[0] || personIds[0] === personIds[1]) {
+        alert('Pick two different players for the rule.');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_URL}/constraints`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ type: ruleTypeSelect.value, personIds })
+        });
+
+        if (response.ok) {
+            constraints.push(await response.json());
+            renderConstraints();
+        } else {
+            const errorData = await response.json();
+            alert(`Error adding rule: ${describeApiError(errorData, response)}`);
+        }
+    } catch (error) {
+        console.error('Error adding rule:', error);
+        alert('Error adding rule');
+    }
+}
+
+window.deleteConstraint = async function(id) {
+    try {
+        const response = await fetch(`${API_URL}/constraints/${id}`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            constraints = constraints.filter(constraint => constraint._id !== id);
+            renderConstraints();
+        } else {
+            alert('Error removing rule');
+        }
+    } catch (error) {
+        console.error('Error removing rule:', error);
+        alert('Error removing rule');
+    }
+};
+
+// Team Generation
+async function generateTeams() {
+    const numTeams = parseInt(numTeamsInput.value);
+    const players = getAvailablePlayers();
+    
+    if (players.length < numTeams) {
+        const who = getActiveSession() ? 'checked-in players' : 'players';
+        alert(`You need at least ${numTeams} ${who} to create ${numTeams} teams!`);
+        return;
+    }
+
+    const options = {
+        numTeams,
+        unevenMode: unevenModeSelect.value,
+        ratingMode: ratingModeSelect.value,
+        strategy: strategySelect.value,
+        formation: formationSelect.value || undefined,
+        pins: activePins(players, numTeams),
+        sportId: activeSportId || undefined,
+        variety: parseInt(varietyInput.value),
+        rotationWindow: parseInt(rotationWindowInput.value) || 5,
+        seed: drawSeedInput.value.trim() || undefined
+    };
+
+    try {
+        const response = await reachApi(`${API_URL}/teams/generate`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ playerIds: players.map(person => person._id), ...options })
+        });
+
+        let data;
+        if (response) {
+            data = await response.json();
+            if (!response.ok) {
+                alert(`Error generating teams: ${describeApiError(data, response)}`);
+                return;
+            }
+        } else {
+            // Same generator the server runs, fed from the copy of the roster and rules on this device
+            const history = recentHistory(activeSportId, options.rotationWindow);
+            data = TeamGenerator.generateTeams(players, {
+                ...options,
+                constraints,
+                stats: activeSport().stats,
+                history,
+                variety: options.variety / 100
+            });
+            if (data.error) {
+                alert(`Error generating teams: ${data.error}`);
+                return;
+            }
+            const selected = new Set(players.map(person => person._id));
+            data.draw = {
+                seed: data.seed,
+                numTeams,
+                unevenMode: options.unevenMode,
+                formation: options.formation || null,
+                ratingMode: options.ratingMode,
+                strategy: options.strategy,
+                variety: options.variety,
+                pins: options.pins,
+                constraints: constraints
+                    .filter(rule => rule.personIds.some(id => selected.has(id)))
+                    .map(({ type, personIds }) => ({ type, personIds })),
+                history
+            };
+        }
+
+        currentTeams = data.teams;
+        currentBalance = data.balance;
+        currentBench = data.bench || [];
+        currentFormation = data.formation;
+        currentRatingMode = data.ratingMode;
+        currentSportId = activeSportId;
+        currentStrategy = data.strategy || 'overall';
+        currentRatingModel = data.ratingModel || activeSport().stats;
+        currentRotation = data.rotation || null;
+        currentViolations = data.violations || [];
+        currentDraw = data.draw || null;
+        loadedSavedTeamId = null;
+    } catch (error) {
+        console.error('Error generating teams:', error);
+        alert('Error generating teams');
+        return;
+    }
+
+    undoStack = [];
+    redoStack = [];
+    renderTeams();
+    showTeamActions();
+    shareLiveTeams();
+}
+
+function showTeamActions() {
+    saveTeamsBtn.style.display = 'inline-block';
+    // Changes to a loaded configuration can go back into it as a new version
+    updateSavedBtn.style.display = loadedSavedTeamId ? 'inline-block' : 'none';
+    exportActions.style.display = 'flex';
+    adjustActions.style.display = 'flex';
+}
+
+function renderTeams() {
+    if (currentTeams.length === 0) {
+        teamsDisplay.innerHTML = '<div class="empty-state">Generate teams to see them here!</div>';
+        return;
+    }
+
+    undoBtn.disabled = undoStack.length === 0;
+    redoBtn.disabled = redoStack.length === 0;
+
+    const balanceHtml = currentBalance
+        ? `<div class="balance-summary">
+            Balance Score: ${currentBalance.score} / 100 (rating spread ${currentBalance.overallSpread})${currentFormation ? ` · Formation ${currentFormation}` : ''}
+            <div class="team-avg">${describeBuild(currentStrategy, currentStatDefs())}</div>
+            ${currentDraw ? `<div class="team-avg">Seed ${currentDraw.seed} (enter it again to repeat this draw)</div>` : ''}
+            <div class="balance-meter" role="meter" aria-label="Balance score" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${currentBalance.score}">
+                <div class="balance-meter-fill ${balanceLevel(currentBalance.score)}" style="width: ${currentBalance.score}%"></div>
+            </div>
+        </div>`
+        : '';
+
+    const rotationHtml = formatRotation(currentRotation);
+
+    const violationsHtml = currentViolations.length > 0
+        ? `<div class="violations-warning">
+            ⚠️ Some pairing rules could not be honoured:
+            ${currentViolations.map(violation => `${violation.type === 'together' ? 'keep together' : 'keep apart'} ${escapeHtml(violation.names.join(' & '))}`).join('; ')}
+        </div>`
+        : '';
+
+    const deleted = [...currentTeams.flatMap(team => team.members), ...currentBench].filter(member => member.deleted);
+    const deletedHtml = deleted.length > 0
+        ? `<div class="violations-warning">
+            ⚠️ No longer on the roster: ${escapeHtml(deleted.map(member => member.name).join(', '))}. They are shown with the rating they were saved with.
+        </div>`
+        : '';
+
+    teamsDisplay.innerHTML = balanceHtml + rotationHtml + violationsHtml + deletedHtml + currentTeams.map((team, teamIndex) => {
+        const avgOverall = teamAverage(team);
+
+        return `
+            <div class="team-container" data-drop-target="${teamIndex}">
+                <div class="team-header">
+                    <div class="team-name">${escapeHtml(team.name)}</div>
+                    <div class="team-avg">Average Rating: ${avgOverall}</div>
+                    <div class="team-avg">Players: ${team.members.length}</div>
+                    ${team.averages ? `<div class="team-stat-averages">${formatStatAverages(team.averages.stats)}</div>` : ''}
+                </div>
+                <div class="team-members">
+                    ${groupByPosition(team.members).map(group => `
+                        ${group.label ? `<div class="position-group-label">${group.label}</div>` : ''}
+                        ${group.members.map(member => renderTeamMember(member, teamIndex)).join('')}
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }).join('') + renderBench();
+}
+
+// Members in formation order; players without a position are listed last
+function groupByPosition(members) {
+    const positionOf = member => member.assignedPosition || member.positions?.primary || null;
+    const groups = Object.keys(POSITION_LABELS).map(position => ({
+        label: POSITION_LABELS[position],
+        members: members.filter(member => positionOf(member) === position)
+    }));
+    const unplaced = members.filter(member => !POSITION_LABELS[positionOf(member)]);
+    const placed = groups.filter(group => group.members.length > 0);
+
+    if (placed.length === 0) {
+        return [{ label: null, members: unplaced }];
+    }
+    return unplaced.length > 0 ? [...placed, { label: 'Any Position', members: unplaced }] : placed;
+}
+
+// Loaded configurations show current ratings; note where a player has changed since
+function savedRatingNote(member, overall) {
+    const saved = member.snapshot?.overall;
+    if (member.deleted || saved === null || saved === undefined || Math.round(saved) === overall) return '';
+    return ` · ${Math.round(saved)} when saved`;
+}
+
+function renderTeamMember(member, teamIndex) {
+    const overall = memberOverall(member);
+    const outOfPosition = member.assignedPosition && member.positions?.primary
+        && member.assignedPosition !== 'SUB' && member.assignedPosition !== member.positions.primary;
+    const pinned = pins[member._id] === teamIndex;
+    // Shared draws arrive from other devices, so nothing here is trusted as markup
+    const name = escapeHtml(member.name);
+    return `
+        <div class="team-member${pinned ? ' pinned' : ''}" draggable="true" data-person-id="${escapeHtml(member._id)}">
+            <img src="${escapeHtml(member.photo || DEFAULT_AVATAR_PATH)}" 
+                 alt="${name}" 
+                 class="team-member-photo"
+                 onerror="this.src='${DEFAULT_AVATAR_PATH}'">
+            <div class="team-member-info">
+                <div class="team-member-name">${name}${member.deleted ? ' <span class="pending-sync">deleted</span>' : ''}</div>
+                <div class="team-member-overall">OVR: ${overall}${outOfPosition ? ` · usually ${escapeHtml(member.positions.primary)}` : ''}${savedRatingNote(member, overall)}</div>
+            </div>
+            <button class="pin-btn" onclick="togglePin('${escapeHtml(member._id)}')" aria-pressed="${pinned}"
+                    title="${pinned ? 'Unpin' : 'Pin to this team for the next generation'}"
+                    aria-label="${pinned ? 'Unpin' : 'Pin'} ${name}">${pinned ? '🔒' : '🔓'}</button>
+            ${renderMoveSelect(member, teamIndex)}
+        </div>
+    `;
+}
+
+// Keyboard-friendly alternative to dragging
+function renderMoveSelect(member, place) {
+    const targets = [...currentTeams.map((team, i) => ({ value: String(i), label: team.name })), { value: 'bench', label: 'Bench' }];
+    return `
+        <select class="move-select" onchange="movePlayer('${escapeHtml(member._id)}', this.value)" aria-label="Move ${escapeHtml(member.name)} to">
+            ${targets.map(target => `
+                <option value="${target.value}" ${target.value === String(place) ? 'selected' : ''}>${escapeHtml(target.label)}</option>
+            `).join('')}
+        </select>
+    `;
+}
+
+function renderBench() {
+    if (currentBench.length === 0) {
+        return `
+            <div class="bench-container bench-empty" data-drop-target="bench">
+                <div class="team-avg">Drag a player here to leave them out of the teams</div>
+            </div>
+        `;
+    }
+
+    return `
+        <div class="bench-container" data-drop-target="bench">
+            <div class="team-name">Substitutes</div>
+            <div class="team-avg">${currentBench.length} player${currentBench.length === 1 ? '' : 's'} on the bench so teams stay even</div>
+            <div class="bench-members">
+                ${currentBench.map(member => `
+                    <span class="bench-member" draggable="true" data-person-id="${escapeHtml(member._id)}">
+                        ${escapeHtml(member.name)}
+                        ${renderMoveSelect(member, 'bench')}
+                    </span>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+const STRATEGY_LABELS = {
+    overall: 'Balanced by overall rating',
+    'each-stat': 'Balanced stat by stat',
+    'attack-defence': 'Balanced attack and defence',
+    random: 'Random draw'
+};
+
+// How a set of teams was built, e.g. "Balanced stat by stat · weights PAC 1, SHO 2 (GK 0.5)"
+function describeBuild(strategy, statDefs) {
+    const weights = statDefs.map(stat => {
+        const overrides = Object.entries(stat.positionWeights || {}).map(([position, weight]) => `${position} ${weight}`);
+        return `${stat.short} ${stat.weight}${overrides.length > 0 ? ` (${overrides.join(', ')})` : ''}`;
+    });
+    return `${STRATEGY_LABELS[strategy] || STRATEGY_LABELS.overall} · weights ${escapeHtml(weights.join(', '))}`;
+}
+
+// Teammate ids from the sport's most recent saved games, newest first, as the server would use them
+function recentHistory(sportId, window) {
+    const sameSport = savedTeams.filter(saved => (saved.sportId || sports[0]?._id || null) === (sportId || sports[0]?._id || null));
+    return TeamGenerator.pairingHistory(sameSport, window);
+}
+
+function formatRotation(rotation) {
+    if (!rotation || rotation.games === 0) return '';
+    const { lastGamePairs, repeatedFromLastGame, baselineRepeatedFromLastGame: baseline } = rotation;
+    const avoided = baseline !== null
+        ? ` A plain balanced draw would have repeated ${baseline}, so ${Math.max(0, baseline - repeatedFromLastGame)} avoided.`
+        : '';
+    return `<div class="rotation-report">
+        🔁 ${repeatedFromLastGame} of ${lastGamePairs} teammate pairing${lastGamePairs === 1 ? '' : 's'} from the last game repeated.${avoided}
+        <span class="team-avg">${rotation.repeatedPairs} pairing${rotation.repeatedPairs === 1 ? '' : 's'} seen in the last ${rotation.games} game${rotation.games === 1 ? '' : 's'}.</span>
+    </div>`;
+}
+
+// The stat list behind the current teams: what they were drawn with, or their sport's
+function currentStatDefs() {
+    return currentRatingModel || sportById(currentSportId).stats;
+}
+
+function formatStatAverages(stats) {
+    return currentStatDefs()
+        .map(stat => `${escapeHtml(stat.short)} ${Math.round(stats[stat.key] ?? 0)}`)
+        .join(' · ');
+}
+
+function balanceLevel(score) {
+    if (score >= 80) return 'good';
+    return score >= 50 ? 'fair' : 'poor';
+}
+
+// Manual Adjustments
+function locateMember(personId) {
+    for (let i = 0; i < currentTeams.length; i++) {
+        const index = currentTeams[i].members.findIndex(member => member._id === personId);
+        if (index !== -1) return { place: i, list: currentTeams[i].members, index };
+    }
+    const index = currentBench.findIndex(member => member._id === personId);
+    return index !== -1 ? { place: 'bench', list: currentBench, index } : null;
+}
+
+function snapshotTeams() {
+    return {
+        teams: currentTeams.map(team => [...team.members]),
+        bench: [...currentBench],
+        pins: { ...pins }
+    };
+}
+
+function restoreTeams(snapshot) {
+    currentTeams = currentTeams.map((team, i) => ({ ...team, members: snapshot.teams[i] }));
+    currentBench = snapshot.bench;
+    pins = snapshot.pins;
+    refreshAdjustedTeams();
+}
+
+// Recalculate averages, balance and rule warnings after a manual change,
+// using the same maths as the generator
+function refreshAdjustedTeams() {
+    const stats = currentStatDefs();
+    const ratingOf = TeamGenerator.ratingFor(currentRatingMode, stats);
+    const described = TeamGenerator.describeTeams(currentTeams.map(team => team.members), ratingOf, stats);
+    currentTeams = currentTeams.map((team, i) => ({ ...team, averages: described.teams[i].averages }));
+    currentBalance = described.balance;
+
+    const players = currentTeams.flatMap(team => team.members);
+    const names = new Map(players.map(player => [player._id, player.name]));
+    const rules = TeamGenerator.buildRules(constraints, players);
+    currentViolations = TeamGenerator.findViolations(currentTeams.map(team => team.members), rules)
+        .map(violation => ({ ...violation, names: violation.personIds.map(id => names.get(id)) }));
+    if (currentRotation) {
+        // Keep what the generator would have repeated; recount what the moved teams repeat
+        currentRotation = {
+            ...TeamGenerator.rotationReport(currentTeams.map(team => team.members), recentHistory(currentSportId, currentRotation.games)),
+            baselineRepeatedFromLastGame: currentRotation.baselineRepeatedFromLastGame
+        };
+    }
+    renderTeams();
+    shareLiveTeams();
+}
+
+window.movePlayer = function(personId, target) {
+    const destination = target === 'bench' ? 'bench' : parseInt(target);
+    const from = locateMember(personId);
+    if (!from || from.place === destination) return;
+
+    undoStack.push(snapshotTeams());
+    redoStack = [];
+    const [member] = from.list.splice(from.index, 1);
+    if (destination === 'bench') {
+        currentBench.push(member);
+        delete pins[personId];
+    } else {
+        currentTeams[destination].members.push(member);
+        // A pinned player stays pinned, to wherever they were moved
+        if (personId in pins) pins[personId] = destination;
+    }
+    refreshAdjustedTeams();
+    teamsDisplay.querySelector(`[data-person-id="${personId}"] .move-select`)?.focus();
+};
+
+window.togglePin = function(personId) {
+    const from = locateMember(personId);
+    if (!from || from.place === 'bench') return;
+
+    if (pins[personId] === from.place) {
+        delete pins[personId];
+    } else {
+        pins[personId] = from.place;
+    }
+    renderTeams();
+    teamsDisplay.querySelector(`[data-person-id="${personId}"] .pin-btn`)?.focus();
+};
+
+// Only pins for players in this draw and teams that will exist
+function activePins(players, numTeams) {
+    return Object.fromEntries(Object.entries(pins)
+        .filter(([personId, team]) => team < numTeams && players.some(player => player._id === personId)));
+}
+
+function undoMove() {
+    if (undoStack.length === 0) return;
+    redoStack.push(snapshotTeams());
+    restoreTeams(undoStack.pop());
+}
+
+function redoMove() {
+    if (redoStack.length === 0) return;
+    undoStack.push(snapshotTeams());
+    restoreTeams(redoStack.pop());
+}
+
+function handleUndoShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || currentTeams.length === 0) return;
+    if (e.target.closest('input, textarea, select')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoMove();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        redoMove();
+    }
+}
+
+function handleMemberDragStart(e) {
+    const card = e.target.closest('[data-person-id]');
+    if (!card) return;
+    e.dataTransfer.setData('text/plain', card.dataset.personId);
+    e.dataTransfer.effectAllowed = 'move';
+}
+
+function handleTeamDragOver(e) {
+    const zone = e.target.closest('[data-drop-target]');
+    if (!zone) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    zone.classList.add('drop-hover');
+}
+
+function handleTeamDragLeave(e) {
+    const zone = e.target.closest('[data-drop-target]');
+    if (zone && !zone.contains(e.relatedTarget)) {
+        zone.classList.remove('drop-hover');
+    }
+}
+
+function handleTeamDrop(e) {
+    const zone = e.target.closest('[data-drop-target]');
+    if (!zone) return;
+    e.preventDefault();
+    zone.classList.remove('drop-hover');
+    movePlayer(e.dataTransfer.getData('text/plain'), zone.dataset.dropTarget);
+}
+
+// Team Sheet Export
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function memberOverall(member) {
+    // Deleted players only have the rating they were saved with
+    if (member.deleted) return Math.round(member.snapshot?.overall ?? 0);
+    return Math.round(TeamGenerator.overallRating(member.stats, currentStatDefs(), member.positions?.primary));
+}
+
+function teamAverage(team) {
+    if (team.averages) return Math.round(team.averages.overall);
+    return team.members.length > 0
+        ? Math.round(team.members.reduce((sum, member) => sum + memberOverall(member), 0) / team.members.length)
+        : 0;
+}
+
+// Plain text that survives being pasted into WhatsApp, Telegram and friends
+function teamsAsText() {
+    const lines = [`⚽ Teams – ${new Date().toLocaleDateString()}`, ''];
+    currentTeams.forEach(team => {
+        lines.push(`*${team.name}* (avg ${teamAverage(team)})`);
+        team.members.forEach(member => {
+            lines.push(`- ${member.name}${member.assignedPosition ? ` (${member.assignedPosition})` : ''}`);
+        });
+        lines.push('');
+    });
+    if (currentBench.length > 0) {
+        lines.push(`Subs: ${currentBench.map(member => member.name).join(', ')}`);
     }
-};
+    return lines.join('\n').trim();
+}
 
-function handlePhotoPreview(e) {
-    // This function only works locally/client-side and does not affect server save logic
-    const file = e.target.files[0];
-    if (file) {
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            photoPreview.innerHTML = `<img src="${e.target.result}" alt="Preview">`;
-        };
-        reader.readAsDataURL(file);
+async function copyTeamsAsText() {
+    const text = teamsAsText();
+    try {
+        await navigator.clipboard.writeText(text);
+        alert('Teams copied to clipboard!');
+    } catch (error) {
+        prompt('Copy the teams below:', text);
     }
 }
 
-// Team Generation
-function generateTeams() {
-    const numTeams = parseInt(numTeamsInput.value);
-    
-    if (persons.length < numTeams) {
-        alert(`You need at least ${numTeams} players to create ${numTeams} teams!`);
-        return;
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = reject;
+        image.src = src;
+    });
+}
+
+// Draw the teams onto the card background and download the result as a PNG
+async function downloadTeamsImage() {
+    const columnWidth = 320;
+    const rowHeight = 34;
+    const longestTeam = Math.max(...currentTeams.map(team => team.members.length));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(640, columnWidth * currentTeams.length + 40);
+    canvas.height = 170 + longestTeam * rowHeight + (currentBench.length > 0 ? 60 : 20);
+    const ctx = canvas.getContext('2d');
+
+    try {
+        const background = await loadImage('./assets/card-background.jpg');
+        ctx.drawImage(background, 0, 0, canvas.width, canvas.height);
+    } catch (error) {
+        console.error('Error loading card background:', error);
     }
+    ctx.fillStyle = 'rgba(15, 23, 42, 0.8)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-    // Shuffle persons array
-    const shuffled = [...persons].sort(() => Math.random() - 0.5);
-    
-    // Initialize teams
-    currentTeams = Array.from({ length: numTeams }, (_, i) => ({
-        name: `Team ${i + 1}`,
-        members: []
-    }));
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#fbbf24';
+    ctx.font = 'bold 36px Segoe UI, sans-serif';
+    ctx.fillText('Team Generator', canvas.width / 2, 55);
+    ctx.fillStyle = '#f1f5f9';
+    ctx.font = '18px Segoe UI, sans-serif';
+    ctx.fillText(new Date().toLocaleDateString(), canvas.width / 2, 85);
 
-    // Distribute persons to teams
-    shuffled.forEach((person, index) => {
-        const teamIndex = index % numTeams;
-        currentTeams[teamIndex].members.push(person);
+    const left = (canvas.width - columnWidth * currentTeams.length) / 2;
+    currentTeams.forEach((team, i) => {
+        const x = left + i * columnWidth + columnWidth / 2;
+        ctx.fillStyle = '#fbbf24';
+        ctx.font = 'bold 24px Segoe UI, sans-serif';
+        ctx.fillText(team.name, x, 130);
+        ctx.fillStyle = '#f1f5f9';
+        ctx.font = '14px Segoe UI, sans-serif';
+        ctx.fillText(`Average rating ${teamAverage(team)}`, x, 152);
+        ctx.font = '18px Segoe UI, sans-serif';
+        team.members.forEach((member, row) => {
+            ctx.fillText(`${member.name}  ·  ${memberOverall(member)}`, x, 190 + row * rowHeight);
+        });
     });
 
-    renderTeams();
-    saveTeamsBtn.style.display = 'inline-block';
+    if (currentBench.length > 0) {
+        ctx.font = 'italic 16px Segoe UI, sans-serif';
+        ctx.fillText(`Subs: ${currentBench.map(member => member.name).join(', ')}`, canvas.width / 2, canvas.height - 25);
+    }
+
+    const link = document.createElement('a');
+    link.download = `teams-${new Date().toISOString().slice(0, 10)}.png`;
+    link.href = canvas.toDataURL('image/png');
+    link.click();
 }
 
-function renderTeams() {
-    if (currentTeams.length === 0) {
-        teamsDisplay.innerHTML = '<div class="empty-state">Generate teams to see them here!</div>';
+// Open a print-friendly sheet; the browser's print dialog can also save it as PDF
+function printTeamSheet() {
+    const sheet = window.open('', '_blank');
+    if (!sheet) {
+        alert('Allow pop-ups to print the team sheet.');
         return;
     }
 
-    teamsDisplay.innerHTML = currentTeams.map(team => {
-        const avgOverall = team.members.length > 0
-            ? Math.round(team.members.reduce((sum, member) => {
-                const overall = Object.values(member.stats).reduce((a, b) => a + b, 0) / 6;
-                return sum + overall;
-            }, 0) / team.members.length)
-            : 0;
-
-        return `
-            <div class="team-container">
-                <div class="team-header">
-                    <div class="team-name">${team.name}</div>
-                    <div class="team-avg">Average Rating: ${avgOverall}</div>
-                    <div class="team-avg">Players: ${team.members.length}</div>
-                </div>
-                <div class="team-members">
-                    ${team.members.map(member => {
-                        const overall = Math.round(Object.values(member.stats).reduce((a, b) => a + b, 0) / 6);
-                        return `
-                            <div class="team-member">
-                                <img src="${member.photo || DEFAULT_AVATAR_PATH}" 
-                                     alt="${member.name}" 
-                                     class="team-member-photo"
-                                     onerror="this.src='${DEFAULT_AVATAR_PATH}'">
-                                <div class="team-member-info">
-                                    <div class="team-member-name">${member.name}</div>
-                                    <div class="team-member-overall">OVR: ${overall}</div>
-                                </div>
-                            </div>
-                        `;
-                    }).join('')}
-                </div>
+    sheet.document.write(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Team Sheet – ${new Date().toLocaleDateString()}</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; padding: 20px; color: black; }
+        h1 { text-align: center; }
+        .teams { display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 20px; }
+        .team { border: 2px solid black; border-radius: 8px; padding: 12px; break-inside: avoid; }
+        .team h2 { margin: 0 0 4px; }
+        .meta { color: #555; font-size: 0.85em; }
+        li { margin: 4px 0; }
+    </style>
+</head>
+<body>
+    <h1>Team Sheet – ${new Date().toLocaleDateString()}</h1>
+    <div class="teams">
+        ${currentTeams.map(team => `
+            <div class="team">
+                <h2>${escapeHtml(team.name)}</h2>
+                <div class="meta">Average rating ${teamAverage(team)} · ${team.members.length} players</div>
+                <ol>
+                    ${team.members.map(member => `
+                        <li>${escapeHtml(member.name)} <span class="meta">${member.assignedPosition ? escapeHtml(member.assignedPosition) + ' · ' : ''}OVR ${memberOverall(member)}</span></li>
+                    `).join('')}
+                </ol>
             </div>
-        `;
-    }).join('');
+        `).join('')}
+    </div>
+    ${currentBench.length > 0 ? `<p><strong>Substitutes:</strong> ${currentBench.map(member => escapeHtml(member.name)).join(', ')}</p>` : ''}
+</body>
+</html>`);
+    sheet.document.close();
+    sheet.focus();
+    sheet.print();
 }
 
 // Saved Teams Management
@@ -311,16 +2401,32 @@ async function saveCurrentTeams() {
         return;
     }
 
+    const body = {
+        teams: currentTeams,
+        balance: currentBalance,
+        bench: currentBench,
+        sessionId: activeSessionId,
+        formation: currentFormation,
+        ratingMode: currentRatingMode,
+        sportId: currentSportId || undefined,
+        strategy: currentStrategy,
+        ratingModel: currentRatingModel || undefined,
+        draw: currentDraw || undefined
+    };
+
     try {
-        const response = await fetch(`${API_URL}/teams`, {
+        const response = await reachApi(`${API_URL}/teams`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ teams: currentTeams })
+            body: JSON.stringify(body)
         });
 
-        if (response.ok) {
+        if (!response) {
+            await saveTeamsOffline(body);
+            alert('Teams saved on this device. They will be uploaded when you are back online.');
+        } else if (response.ok) {
             alert('Teams saved successfully!');
             await loadSavedTeams();
         } else {
@@ -332,10 +2438,11 @@ async function saveCurrentTeams() {
     }
 }
 
+const SAVED_TEAMS_PAGE_SIZE = 10;
+
 async function loadSavedTeams() {
     try {
-        const response = await fetch(`${API_URL}/teams`);
-        savedTeams = await response.json();
+        savedTeams = await loadList('/teams', 'savedTeams');
         renderSavedTeams();
     } catch (error) {
         console.error('Error loading saved teams:', error);
@@ -345,39 +2452,384 @@ async function loadSavedTeams() {
 }
 
 function renderSavedTeams() {
+    renderTournamentTeamOptions();
+    renderSavedTeamFilters();
+    savedTeamsPages.innerHTML = '';
     if (savedTeams.length === 0) {
         savedTeamsList.innerHTML = '<div class="empty-state">No saved teams yet. Generate and save teams!</div>';
         return;
     }
 
-    savedTeamsList.innerHTML = savedTeams.map(saved => `
+    const matching = filterSavedTeams();
+    if (matching.length === 0) {
+        savedTeamsList.innerHTML = '<div class="empty-state">No saved teams match these filters.</div>';
+        return;
+    }
+    const pageCount = Math.ceil(matching.length / SAVED_TEAMS_PAGE_SIZE);
+    savedTeamsPage = Math.min(savedTeamsPage, pageCount - 1);
+    const page = matching.slice(savedTeamsPage * SAVED_TEAMS_PAGE_SIZE, (savedTeamsPage + 1) * SAVED_TEAMS_PAGE_SIZE);
+
+    savedTeamsList.innerHTML = page.map(saved => `
         <div class="saved-team-item">
             <div class="saved-team-header">
                 <div class="saved-team-date">
+                    ${saved.name ? `<strong>${escapeHtml(saved.name)}</strong><br>` : ''}
                     Saved on: ${new Date(saved.createdAt).toLocaleString()}
+                    ${saved.pending ? '<span class="pending-sync">⏳ Waiting to sync</span>' : ''}
+                    ${saved.ratingModel ? `<div class="team-avg">${describeBuild(saved.strategy, saved.ratingModel)}</div>` : ''}
+                    ${saved.draw ? `<div class="team-avg">Seed ${saved.draw.seed}</div>` : ''}
                 </div>
                 <div class="saved-team-actions">
+                    ${saved.pending ? '' : `<button class="btn btn-secondary" onclick="openSavedTeamModal('${saved._id}')">Details</button>`}
+                    ${saved.draw && !saved.pending ? `<button class="btn btn-secondary" onclick="verifySavedTeam('${saved._id}')">Verify Draw</button>` : ''}
+                    <button class="btn btn-success admin-only" onclick="recordResult('${saved._id}')">${saved.result ? 'Edit Result' : 'Record Result'}</button>
+                    <button class="btn btn-secondary admin-only" onclick="shareSavedTeam('${saved._id}')">Share Link</button>
                     <button class="btn btn-primary" onclick="loadTeam('${saved._id}')">Load</button>
-                    <button class="btn btn-danger" onclick="deleteSavedTeam('${saved._id}')">Delete</button>
+                    <button class="btn btn-danger admin-only" onclick="deleteSavedTeam('${saved._id}')">Delete</button>
                 </div>
             </div>
+            ${saved.share ? `
+                <div class="saved-team-share admin-only">
+                    Shared at <a href="/share/${saved.share.token}" target="_blank" rel="noopener">/share/${saved.share.token}</a>
+                    <button class="btn btn-danger" onclick="revokeShare('${saved._id}')">Revoke Link</button>
+                </div>
+            ` : ''}
+            ${renderSavedTeamDetails(saved)}
+            ${saved.result ? `
+                <div class="saved-team-score">
+                    Final score: ${saved.teams.map((team, i) => `${escapeHtml(team.name)} ${saved.result.scores[i]}`).join(' – ')}
+                </div>
+            ` : ''}
             <div class="saved-team-content">
                 ${saved.teams.map(team => `
                     <div>
-                        <strong>${team.name}</strong>: ${team.members.length} players
+                        <strong>${escapeHtml(team.name)}</strong>: ${team.members.length} players
                     </div>
                 `).join('')}
+                ${saved.bench && saved.bench.length > 0 ? `
+                    <div>
+                        <strong>Substitutes</strong>: ${saved.bench.map(member => escapeHtml(member.name)).join(', ')}
+                    </div>
+                ` : ''}
             </div>
         </div>
     `).join('');
+
+    if (pageCount > 1) {
+        savedTeamsPages.innerHTML = `
+            <button class="btn btn-secondary" onclick="showSavedTeamsPage(${savedTeamsPage - 1})" ${savedTeamsPage === 0 ? 'disabled' : ''}>‹ Newer</button>
+            <span>Page ${savedTeamsPage + 1} of ${pageCount} (${matching.length} saved)</span>
+            <button class="btn btn-secondary" onclick="showSavedTeamsPage(${savedTeamsPage + 1})" ${savedTeamsPage === pageCount - 1 ? 'disabled' : ''}>Older ›</button>
+        `;
+    }
+}
+
+window.showSavedTeamsPage = function(page) {
+    savedTeamsPage = page;
+    renderSavedTeams();
+    savedTeamsList.scrollIntoView({ behavior: 'smooth', block: 'start' });
+};
+
+// Tag and player choices come from what is saved, keeping the current selection
+function renderSavedTeamFilters() {
+    const selectedTag = savedFilterTag.value;
+    const selectedPlayer = savedFilterPlayer.value;
+    const tags = [...new Set(savedTeams.flatMap(saved => saved.tags || []))].sort();
+    savedFilterTag.innerHTML = '<option value="">Any tag</option>' +
+        tags.map(tag => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`).join('');
+    savedFilterPlayer.innerHTML = '<option value="">Anyone</option>' +
+        persons.map(person => `<option value="${person._id}">${escapeHtml(person.name)}</option>`).join('');
+    savedFilterTag.value = tags.includes(selectedTag) ? selectedTag : '';
+    savedFilterPlayer.value = persons.some(person => person._id === selectedPlayer) ? selectedPlayer : '';
+}
+
+// The same filters GET /api/teams takes, applied to the list already on this device
+// so they also work offline. Dates are whole local days.
+function filterSavedTeams() {
+    const from = savedFilterFrom.value ? new Date(`${savedFilterFrom.value}T00:00`) : null;
+    const to = savedFilterTo.value ? new Date(`${savedFilterTo.value}T23:59:59.999`) : null;
+    const tag = savedFilterTag.value;
+    const personId = savedFilterPlayer.value;
+
+    return savedTeams.filter(saved => {
+        const date = new Date(saved.matchDate || saved.createdAt);
+        if ((from && date < from) || (to && date > to)) return false;
+        if (tag && !(saved.tags || []).includes(tag)) return false;
+        if (personId) {
+            const members = [...saved.teams.flatMap(team => team.members), ...(saved.bench || [])];
+            if (!members.some(member => member._id === personId)) return false;
+        }
+        return true;
+    });
+}
+
+function renderSavedTeamDetails(saved) {
+    const details = [
+        saved.matchDate ? `<span>📅 ${new Date(saved.matchDate).toLocaleString()}</span>` : '',
+        saved.venue ? `<span>📍 ${escapeHtml(saved.venue)}</span>` : '',
+        ...(saved.tags || []).map(tag => `<span class="tag-chip">${escapeHtml(tag)}</span>`),
+        saved.version > 1 ? `<span class="team-avg">Version ${saved.version}</span>` : ''
+    ].filter(Boolean);
+    return `
+        ${details.length > 0 ? `<div class="saved-team-details">${details.join('')}</div>` : ''}
+        ${saved.notes ? `<div class="saved-team-notes">${escapeHtml(saved.notes)}</div>` : ''}
+    `;
+}
+
+// datetime-local inputs want local time without a zone
+function toLocalInputValue(date) {
+    const local = new Date(date);
+    return new Date(local.getTime() - local.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+window.openSavedTeamModal = function(id) {
+    const saved = savedTeams.find(s => s._id === id);
+    if (!saved) return;
+
+    editingSavedTeamId = id;
+    document.getElementById('saved-team-name').value = saved.name || '';
+    document.getElementById('saved-team-date').value = saved.matchDate ? toLocalInputValue(saved.matchDate) : '';
+    document.getElementById('saved-team-venue').value = saved.venue || '';
+    document.getElementById('saved-team-tags').value = (saved.tags || []).join(', ');
+    document.getElementById('saved-team-notes').value = saved.notes || '';
+    savedTeamModal.style.display = 'block';
+    renderSavedTeamHistory(saved);
+};
+
+function closeSavedTeamModal() {
+    savedTeamModal.style.display = 'none';
+    editingSavedTeamId = null;
+}
+
+const DETAIL_LABELS = {
+    name: 'Name', notes: 'Notes', venue: 'Venue', matchDate: 'Match date', tags: 'Tags', teams: 'Teams', balance: 'Balance score'
+};
+
+function describeDetailChange(change) {
+    const format = value => {
+        if (value === null || (Array.isArray(value) && value.length === 0)) return '–';
+        if (change.field === 'matchDate') return new Date(value).toLocaleString();
+        return Array.isArray(value) ? value.join(', ') : value;
+    };
+    return `${DETAIL_LABELS[change.field] || change.field}: ${format(change.from)} → ${format(change.to)}`;
+}
+
+function describeMove(move) {
+    if (move.from === null) return `${move.name} added to ${move.to}`;
+    if (move.to === null) return `${move.name} dropped from ${move.from}`;
+    return `${move.name}: ${move.from} → ${move.to}`;
+}
+
+async function renderSavedTeamHistory(saved) {
+    savedTeamHistory.innerHTML = '<div class="team-avg">Loading history…</div>';
+    const response = await reachApi(`${API_URL}/teams/${saved._id}/versions`);
+    if (!response || !response.ok) {
+        savedTeamHistory.innerHTML = '<div class="team-avg">History is only available online.</div>';
+        return;
+    }
+
+    const versions = await response.json();
+    savedTeamHistory.innerHTML = versions.map(version => `
+        <div class="rule-item">
+            <span><strong>Version ${version.version}</strong> · ${escapeHtml(version.editedBy)} · ${new Date(version.editedAt).toLocaleString()}</span>
+            ${version.changes.map(change => `<span class="team-avg">${escapeHtml(describeDetailChange(change))}</span>`).join('')}
+            ${version.moves.map(move => `<span class="team-avg">${escapeHtml(describeMove(move))}</span>`).join('')}
+        </div>
+    `).join('') + `
+        <div class="rule-item">
+            <span><strong>Version 1</strong> · saved ${new Date(saved.createdAt).toLocaleString()}</span>
+        </div>
+    `;
+}
+
+// Resolves to true once the server has the change; a 409 means someone else edited it first
+async function putSavedTeam(saved, body) {
+    try {
+        const response = await reachApi(`${API_URL}/teams/${saved._id}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ ...body, expectedUpdatedAt: saved.updatedAt || saved.createdAt })
+        });
+
+        if (!response) {
+            alert('Saved teams can only be changed while online.');
+            return false;
+        }
+        if (!response.ok) {
+            const errorData = await response.json();
+            alert(`Error updating saved teams: ${describeApiError(errorData, response)}`);
+            if (response.status === 409) {
+                await loadSavedTeams();
+            }
+            return false;
+        }
+        await loadSavedTeams();
+        return true;
+    } catch (error) {
+        console.error('Error updating saved teams:', error);
+        alert('Error updating saved teams');
+        return false;
+    }
+}
+
+async function saveSavedTeamDetails(e) {
+    e.preventDefault();
+    const saved = savedTeams.find(s => s._id === editingSavedTeamId);
+    if (!saved) return;
+
+    const dateValue = document.getElementById('saved-team-date').value;
+    const updated = await putSavedTeam(saved, {
+        name: document.getElementById('saved-team-name').value,
+        matchDate: dateValue ? new Date(dateValue).toISOString() : null,
+        venue: document.getElementById('saved-team-venue').value,
+        tags: document.getElementById('saved-team-tags').value,
+        notes: document.getElementById('saved-team-notes').value
+    });
+    if (updated) {
+        closeSavedTeamModal();
+    }
+}
+
+async function updateSavedTeams() {
+    const saved = savedTeams.find(s => s._id === loadedSavedTeamId);
+    if (!saved) {
+        alert('The loaded configuration no longer exists. Save these teams as a new one instead.');
+        return;
+    }
+
+    if (await putSavedTeam(saved, { teams: currentTeams, bench: currentBench, balance: currentBalance })) {
+        alert('Saved teams updated.');
+    }
 }
 
+window.recordResult = async function(id) {
+    const saved = savedTeams.find(s => s._id === id);
+    if (!saved) return;
+
+    const current = saved.result ? saved.result.scores.join('-') : '';
+    const input = prompt(`Final score in team order (${saved.teams.map(team => team.name).join(' - ')}), e.g. 3-2:`, current);
+    if (input === null) return;
+
+    const scores = input.split(/[^0-9]+/).filter(Boolean).map(Number);
+    if (scores.length !== saved.teams.length) {
+        alert(`Please enter ${saved.teams.length} scores.`);
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_URL}/teams/${id}/result`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ scores })
+        });
+
+        if (response.ok) {
+            await loadSavedTeams();
+            // Player ratings changed with the result
+            await loadPersons();
+        } else {
+            const errorData = await response.json();
+            alert(`Error recording result: ${errorData.error || response.statusText}`);
+        }
+    } catch (error) {
+        console.error('Error recording result:', error);
+        alert('Error recording result');
+    }
+};
+
+window.shareSavedTeam = async function(id) {
+    try {
+        const response = await fetch(`${API_URL}/teams/${id}/share`, {
+            method: 'POST'
+        });
+        const share = await response.json();
+
+        if (!response.ok) {
+            alert(`Error creating share link: ${share.error || response.statusText}`);
+            return;
+        }
+
+        await loadSavedTeams();
+        try {
+            await navigator.clipboard.writeText(share.url);
+            alert(`Share link copied to clipboard:\n${share.url}`);
+        } catch (clipboardError) {
+            prompt('Share link:', share.url);
+        }
+    } catch (error) {
+        console.error('Error creating share link:', error);
+        alert('Error creating share link');
+    }
+};
+
+// Re-run the saved draw on the server and report whether it reproduces these teams
+window.verifySavedTeam = async function(id) {
+    try {
+        const response = await fetch(`${API_URL}/teams/${id}/verify`);
+        const check = await response.json();
+
+        if (!response.ok) {
+            alert(`Error verifying draw: ${describeApiError(check, response)}`);
+            return;
+        }
+
+        const edited = check.editedSince ? ' (compared with the teams as first saved, before later edits)' : '';
+        if (check.matches) {
+            alert(`Seed ${check.seed} reproduces these teams exactly${edited}.`);
+        } else {
+            alert(`Seed ${check.seed} draws different teams${edited}:\n` + check.differences
+                .map(difference => `${difference.team}: drawn ${difference.drawn.join(', ') || 'nobody'}; saved ${difference.saved.join(', ') || 'nobody'}`)
+                .join('\n'));
+        }
+    } catch (error) {
+        console.error('Error verifying draw:', error);
+        alert('Error verifying draw');
+    }
+};
+
+window.revokeShare = async function(id) {
+    if (!confirm('Revoke this share link? Anyone who has it will no longer be able to see the teams.')) return;
+
+    try {
+        const response = await fetch(`${API_URL}/teams/${id}/share`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            await loadSavedTeams();
+        } else {
+            alert('Error revoking share link');
+        }
+    } catch (error) {
+        console.error('Error revoking share link:', error);
+        alert('Error revoking share link');
+    }
+};
+
 window.loadTeam = function(id) {
     const saved = savedTeams.find(s => s._id === id);
     if (saved) {
         currentTeams = saved.teams;
+        currentBalance = saved.balance || null;
+        currentBench = saved.bench || [];
+        currentFormation = saved.formation || null;
+        currentRatingMode = saved.ratingMode || 'stats';
+        currentSportId = saved.sportId || null;
+        currentStrategy = saved.strategy || 'overall';
+        currentRatingModel = saved.ratingModel || null;
+        currentRotation = null;
+        currentViolations = [];
+        currentDraw = saved.draw || null;
+        loadedSavedTeamId = saved.pending ? null : id;
+        undoStack = [];
+        redoStack = [];
         renderTeams();
-        saveTeamsBtn.style.display = 'inline-block';
+        showTeamActions();
+        shareLiveTeams();
         window.scrollTo({ top: document.getElementById('generator-section').offsetTop, behavior: 'smooth' });
     }
 };
@@ -385,11 +2837,13 @@ window.loadTeam = function(id) {
 window.deleteSavedTeam = async function(id) {
     if (confirm('Are you sure you want to delete this saved team configuration?')) {
         try {
-            const response = await fetch(`${API_URL}/teams/${id}`, {
+            const response = await reachApi(`${API_URL}/teams/${id}`, {
                 method: 'DELETE'
             });
             
-            if (response.ok) {
+            if (!response) {
+                await deleteSavedTeamOffline(id);
+            } else if (response.ok) {
                 await loadSavedTeams();
             } else {
                 alert('Error deleting saved team');
@@ -399,4 +2853,206 @@ window.deleteSavedTeam = async function(id) {
             alert('Error deleting saved team');
         }
     }
-};
\ No newline at end of file
+};
+// Tournaments
+async function loadTournaments() {
+    try {
+        tournaments = await loadList('/tournaments', 'tournaments');
+    } catch (error) {
+        console.error('Error loading tournaments:', error);
+        tournaments = [];
+    }
+    if (!tournaments.some(tournament => tournament._id === activeTournamentId)) {
+        activeTournamentId = tournaments[0]?._id || null;
+    }
+    renderTournaments();
+}
+
+// Only configurations with at least two teams can play each other
+function renderTournamentTeamOptions() {
+    const selected = tournamentTeamsSelect.value;
+    tournamentTeamsSelect.innerHTML = savedTeams
+        .filter(saved => !saved.pending && saved.teams.length >= 2)
+        .map(saved => `<option value="${saved._id}">${new Date(saved.createdAt).toLocaleString()} · ${escapeHtml(saved.teams.map(team => team.name).join(', '))}</option>`)
+        .join('');
+    if (selected) {
+        tournamentTeamsSelect.value = selected;
+    }
+}
+
+function formatKickOff(date) {
+    return new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function renderTournaments() {
+    tournamentSelect.innerHTML = tournaments.length === 0
+        ? '<option value="">No tournaments yet</option>'
+        : tournaments.map(tournament => `<option value="${tournament._id}">${escapeHtml(tournament.name)}</option>`).join('');
+    tournamentSelect.value = activeTournamentId || '';
+
+    const tournament = tournaments.find(t => t._id === activeTournamentId);
+    if (!tournament) {
+        tournamentDisplay.innerHTML = '<div class="empty-state">Create fixtures from a saved set of teams to start a tournament.</div>';
+        return;
+    }
+
+    const teamName = (index, from) => escapeHtml(index === null ? `Winner of ${from}` : tournament.teams[index].name);
+    const rounds = [];
+    tournament.fixtures.forEach(fixture => {
+        if (!rounds[fixture.round - 1]) {
+            rounds[fixture.round - 1] = { name: fixture.roundName, fixtures: [] };
+        }
+        rounds[fixture.round - 1].fixtures.push(fixture);
+    });
+
+    const fixturesHtml = rounds.map(round => `
+        <div class="fixture-round">
+            <h3>${escapeHtml(round.name)}</h3>
+            ${round.fixtures.map(fixture => {
+                const played = fixture.winner !== null;
+                const decided = fixture.home !== null && fixture.away !== null;
+                const score = played ? `${fixture.homeScore} – ${fixture.awayScore}` : 'vs';
+                const shootout = played && fixture.homeScore === fixture.awayScore && fixture.winner !== 'draw'
+                    ? ` (${teamName(fixture.winner === 'home' ? fixture.home : fixture.away)} on penalties)`
+                    : '';
+                return `
+                    <div class="fixture-item ${played ? 'played' : ''}">
+                        <span class="team-avg">${formatKickOff(fixture.startsAt)} · Pitch ${fixture.pitch}</span>
+                        <span class="fixture-teams">${teamName(fixture.home, fixture.homeFrom)} <strong>${score}</strong> ${teamName(fixture.away, fixture.awayFrom)}${shootout}</span>
+                        ${decided ? `<button class="btn btn-success admin-only" onclick="recordFixtureScore('${fixture.id}')">${played ? 'Edit' : 'Score'}</button>` : ''}
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `).join('');
+
+    const standingsHtml = `
+        <div>
+            <h3>${tournament.champion ? `🏆 ${escapeHtml(tournament.champion)}` : 'Standings'}</h3>
+            <table class="standings-table">
+                <thead>
+                    <tr><th>#</th><th>Team</th><th>P</th><th>W</th><th>D</th><th>L</th><th>GF</th><th>GA</th><th>GD</th><th>Pts</th></tr>
+                </thead>
+                <tbody>
+                    ${tournament.standings.map(row => `
+                        <tr>
+                            <td>${row.position}</td><td>${escapeHtml(row.name)}</td><td>${row.played}</td><td>${row.won}</td>
+                            <td>${row.drawn}</td><td>${row.lost}</td><td>${row.goalsFor}</td><td>${row.goalsAgainst}</td>
+                            <td>${row.goalDifference > 0 ? '+' : ''}${row.goalDifference}</td><td><strong>${row.points}</strong></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+
+    tournamentDisplay.innerHTML = `<div>${fixturesHtml}</div>${standingsHtml}`;
+}
+
+async function createTournament() {
+    if (!tournamentTeamsSelect.value) {
+        alert('Save a set of at least two teams first.');
+        return;
+    }
+    const startValue = document.getElementById('tournament-start').value;
+
+    try {
+        const response = await fetch(`${API_URL}/tournaments`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                savedTeamId: tournamentTeamsSelect.value,
+                format: document.getElementById('tournament-format').value,
+                pitches: parseInt(document.getElementById('tournament-pitches').value),
+                matchMinutes: parseInt(document.getElementById('tournament-match-minutes').value),
+                breakMinutes: parseInt(document.getElementById('tournament-break-minutes').value),
+                startAt: startValue ? new Date(startValue).toISOString() : undefined
+            })
+        });
+
+        if (response.ok) {
+            const tournament = await response.json();
+            tournaments.unshift(tournament);
+            activeTournamentId = tournament._id;
+            renderTournaments();
+        } else {
+            const errorData = await response.json();
+            const details = errorData.details ? `\n${errorData.details.map(d => `${d.field}: ${d.message}`).join('\n')}` : '';
+            alert(`Error creating tournament: ${errorData.error || response.statusText}${details}`);
+        }
+    } catch (error) {
+        console.error('Error creating tournament:', error);
+        alert('Error creating tournament');
+    }
+}
+
+window.recordFixtureScore = async function(fixtureId) {
+    const tournament = tournaments.find(t => t._id === activeTournamentId);
+    const fixture = tournament?.fixtures.find(f => f.id === fixtureId);
+    if (!fixture) return;
+
+    const home = tournament.teams[fixture.home].name;
+    const away = tournament.teams[fixture.away].name;
+    const current = fixture.winner !== null ? `${fixture.homeScore}-${fixture.awayScore}` : '';
+    const input = prompt(`Score for ${home} - ${away}, e.g. 3-2 (leave empty to clear):`, current);
+    if (input === null) return;
+
+    const scores = input.split(/[^0-9]+/).filter(Boolean).map(Number);
+    const body = { homeScore: null, awayScore: null };
+    if (input.trim() !== '') {
+        if (scores.length !== 2) {
+            alert('Please enter two scores.');
+            return;
+        }
+        [body.homeScore, body.awayScore] = scores;
+        // Knockout games need a winner, so a draw goes to penalties
+        if (tournament.format === 'knockout' && scores[0] === scores[1]) {
+            body.winner = confirm(`Level score: did ${home} win on penalties? (Cancel for ${away})`) ? 'home' : 'away';
+        }
+    }
+
+    try {
+        const response = await fetch(`${API_URL}/tournaments/${tournament._id}/fixtures/${fixtureId}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (response.ok) {
+            const updated = await response.json();
+            tournaments = tournaments.map(t => (t._id === updated._id ? updated : t));
+            renderTournaments();
+        } else {
+            const errorData = await response.json();
+            alert(`Error recording score: ${errorData.error || response.statusText}`);
+        }
+    } catch (error) {
+        console.error('Error recording score:', error);
+        alert('Error recording score');
+    }
+};
+
+async function deleteActiveTournament() {
+    if (!activeTournamentId || !confirm('Delete this tournament and all its scores?')) return;
+
+    try {
+        const response = await fetch(`${API_URL}/tournaments/${activeTournamentId}`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            tournaments = tournaments.filter(t => t._id !== activeTournamentId);
+            activeTournamentId = tournaments[0]?._id || null;
+            renderTournaments();
+        } else {
+            alert('Error deleting tournament');
+        }
+    } catch (error) {
+        console.error('Error deleting tournament:', error);
+        alert('Error deleting tournament');
+    }
+}
@@ -0,0 +1,70 @@
+// Keeps the app shell available without a connection. API data is cached by
+// the page itself in IndexedDB (see offline-store.js), so /api is left alone
+// here except for player photos.
+
+const CACHE_NAME = 'team-generator-v1';
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/style.css',
+    '/script.js',
+    '/team-generator.js',
+    '/offline-store.js',
+    '/assets/default-avatar.png',
+    '/assets/card-background.jpg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Photo URLs change whenever the photo does, so a cached copy is never stale
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Prefer the network so a new deploy shows up straight away; fall back to the cache offline
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(CACHE_NAME);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (/^\/api\/persons\/[^/]+\/photo$/.test(url.pathname)) {
+        event.respondWith(cacheFirst(event.request));
+    } else if (!url.pathname.startsWith('/api/') && !url.pathname.startsWith('/share/')) {
+        event.respondWith(networkFirst(event.request));
+    }
+});
@@ -0,0 +1,705 @@
+// Team balancing shared by the server and the browser, so teams can still be
+// generated when the API is out of reach. Pure functions only: no DOM, no database.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TeamGenerator = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ------------------------------------------------------------------
+    // Positions and Formations
+    // ------------------------------------------------------------------
+
+    const POSITIONS = ['GK', 'DEF', 'MID', 'FWD'];
+
+    // Outfield lines after the keeper, by how many lines the formation has
+    const FORMATION_LINES = {
+        1: ['MID'],
+        2: ['DEF', 'FWD'],
+        3: ['DEF', 'MID', 'FWD']
+    };
+
+    // "1-2-2" -> { GK: 1, DEF: 2, MID: 0, FWD: 2 }
+    function parseFormation(formation) {
+        if (!/^\d+(-\d+){1,3}$/.test(formation)) {
+            return null;
+        }
+        const [keepers, ...lines] = formation.split('-').map(Number);
+        const slots = { GK: keepers, DEF: 0, MID: 0, FWD: 0 };
+        FORMATION_LINES[lines.length].forEach((position, i) => {
+            slots[position] += lines[i];
+        });
+        return slots;
+    }
+
+    // Decide which position every player fills: primary matches first, then secondary,
+    // then anyone left. Without a formation each player simply plays their primary position.
+    function assignRoles(players, numTeams, slots, ratingOf = statsRating) {
+        const roles = new Map();
+        if (!slots) {
+            players.forEach(player => roles.set(player, player.positions?.primary || 'ANY'));
+            return roles;
+        }
+
+        const ranked = [...players].sort((a, b) => ratingOf(b) - ratingOf(a));
+        const open = {};
+        POSITIONS.forEach(position => {
+            open[position] = slots[position] * numTeams;
+        });
+
+        const fill = (matches) => {
+            POSITIONS.forEach(position => {
+                ranked.forEach(player => {
+                    if (open[position] > 0 && !roles.has(player) && matches(player, position)) {
+                        roles.set(player, position);
+                        open[position]--;
+                    }
+                });
+            });
+        };
+
+        fill((player, position) => player.positions?.primary === position);
+        fill((player, position) => player.positions?.secondary === position);
+        // Keepers only go outfield once every non-keeper has been placed
+        fill((player, position) => position === 'GK' || player.positions?.primary !== 'GK');
+        fill(() => true);
+
+        // More players than the formation has slots: the rest rotate in as substitutes
+        ranked.forEach(player => {
+            if (!roles.has(player)) {
+                roles.set(player, 'SUB');
+            }
+        });
+        return roles;
+    }
+
+    // ------------------------------------------------------------------
+    // Team Balancing
+    // ------------------------------------------------------------------
+
+    // The stat list of the default Football sport profile. Every function that looks
+    // at stats takes the active profile's list and falls back to this one.
+    // positionWeights optionally replaces weight for players of a primary position;
+    // side puts a stat on the attack or defence side of the 'attack-defence' strategy.
+    const DEFAULT_STATS = [
+        { key: 'pace', label: 'Pace', short: 'PAC', min: 1, max: 99, weight: 1, side: 'attack' },
+        { key: 'shooting', label: 'Shooting', short: 'SHO', min: 1, max: 99, weight: 1, side: 'attack' },
+        { key: 'passing', label: 'Passing', short: 'PAS', min: 1, max: 99, weight: 1, side: null },
+        { key: 'dribbling', label: 'Dribbling', short: 'DRI', min: 1, max: 99, weight: 1, side: 'attack' },
+        { key: 'defending', label: 'Defending', short: 'DEF', min: 1, max: 99, weight: 1, side: 'defence' },
+        { key: 'physical', label: 'Physical', short: 'PHY', min: 1, max: 99, weight: 1, side: 'defence' }
+    ];
+    const STAT_SIDES = ['attack', 'defence'];
+    const STAT_KEYS = DEFAULT_STATS.map(stat => stat.key);
+
+    // How much the per-stat spreads count relative to the overall-rating spread
+    const STAT_SPREAD_WEIGHT = 0.5;
+    const MAX_SWAP_PASSES = 50;
+
+    function statValue(stats, stat) {
+        const value = Number(stats?.[stat.key]);
+        return Number.isFinite(value) ? Math.min(stat.max, Math.max(stat.min, value)) : stat.min;
+    }
+
+    // Ratings are compared on a 1-99 scale whatever range a sport's stats use,
+    // so a 1-10 volleyball stat and a 1-99 football stat mean the same thing
+    function scaleToRating(value, stat) {
+        return 1 + (value - stat.min) / (stat.max - stat.min) * 98;
+    }
+
+    function weightedMean(statDefs, valueOf, weightOf = stat => stat.weight) {
+        const totalWeight = statDefs.reduce((sum, stat) => sum + weightOf(stat), 0);
+        return totalWeight > 0
+            ? statDefs.reduce((sum, stat) => sum + weightOf(stat) * valueOf(stat), 0) / totalWeight
+            : 0;
+    }
+
+    function statWeight(stat, position) {
+        return stat.positionWeights?.[position] ?? stat.weight;
+    }
+
+    // Weighted mean of the stats on the 1-99 scale, using the position's own weight
+    // set when the profile has one (a keeper's shooting can count for less)
+    function overallRating(stats, statDefs = DEFAULT_STATS, position = null) {
+        return weightedMean(statDefs, stat => scaleToRating(statValue(stats, stat), stat), stat => statWeight(stat, position));
+    }
+
+    // Default strength of a player: their overall rating at their primary position
+    function statsRating(player, statDefs = DEFAULT_STATS) {
+        return overallRating(player.stats, statDefs, player.positions?.primary);
+    }
+
+    function teamAverages(members, ratingOf = statsRating, statDefs = DEFAULT_STATS) {
+        const stats = {};
+        statDefs.forEach(stat => {
+            stats[stat.key] = members.length > 0
+                ? members.reduce((sum, member) => sum + statValue(member.stats, stat), 0) / members.length
+                : 0;
+        });
+        const overall = members.length > 0
+            ? members.reduce((sum, member) => sum + ratingOf(member), 0) / members.length
+            : 0;
+        return { overall, stats };
+    }
+
+    function spread(values) {
+        return values.length > 0 ? Math.max(...values) - Math.min(...values) : 0;
+    }
+
+    // Spread of team averages: 0 means every team has identical averages
+    function balanceReport(teams, ratingOf = statsRating, statDefs = DEFAULT_STATS) {
+        const averages = teams.map(members => teamAverages(members, ratingOf, statDefs));
+        const overallSpread = spread(averages.map(avg => avg.overall));
+        const statSpreads = {};
+        statDefs.forEach(stat => {
+            statSpreads[stat.key] = spread(averages.map(avg => avg.stats[stat.key]));
+        });
+        const scaledSpread = stat => statSpreads[stat.key] * 98 / (stat.max - stat.min);
+        const meanStatSpread = weightedMean(statDefs, scaledSpread);
+        const maxStatSpread = Math.max(0, ...statDefs.filter(stat => stat.weight > 0).map(scaledSpread));
+        const sideSpread = side => {
+            const sideStats = statDefs.filter(stat => stat.side === side);
+            return spread(averages.map(avg => weightedMean(sideStats, stat => scaleToRating(avg.stats[stat.key], stat))));
+        };
+        const cost = overallSpread + STAT_SPREAD_WEIGHT * meanStatSpread;
+        return {
+            averages,
+            overallSpread,
+            statSpreads,
+            maxStatSpread,
+            attackSpread: sideSpread('attack'),
+            defenceSpread: sideSpread('defence'),
+            cost
+        };
+    }
+
+    // Deal each position group out strongest-first to the weakest team, then swap
+    // same-position players between teams while it lowers the strategy's cost. Broken
+    // pairing rules weigh far more than any rating gap, so swaps fix those first.
+    // pins maps player id -> team index; pinned players start there and never move.
+    // The 'random' strategy deals in shuffled order and only swaps to honour rules.
+    // rotation (see rotationCost) adds a penalty for pairings that keep recurring.
+    // random is the source of randomness for the shuffles (see createRandom).
+    function balanceTeams(players, numTeams, {
+        roles = new Map(), ratingOf = statsRating, rules = null, pins = {}, statDefs = DEFAULT_STATS, strategy = 'overall',
+        rotation = null, random = Math.random
+    } = {}) {
+        const teams = Array.from({ length: numTeams }, () => []);
+        const costOf = () => {
+            const report = balanceReport(teams, ratingOf, statDefs);
+            return strategyCost(report, strategy)
+                + (rules ? VIOLATION_PENALTY * findViolations(teams, rules).length : 0)
+                + (rotation ? rotationCost(teams, report, rotation) : 0);
+        };
+        const dealOrder = strategy === 'random' ? () => 0 : ratingOf;
+        const pool = strategy === 'random' ? shuffle(players, random) : players;
+        const roleOf = (player) => roles.get(player) || 'ANY';
+        const pinOf = (player) => pins[String(player._id)];
+        const isPinned = (player) => Number.isInteger(pinOf(player)) && pinOf(player) >= 0 && pinOf(player) < numTeams;
+
+        pool.filter(isPinned).forEach(player => teams[pinOf(player)].push(player));
+
+        [...POSITIONS, 'SUB', 'ANY'].forEach(role => {
+            const group = pool.filter(player => roleOf(player) === role && !isPinned(player));
+            const inGroup = teams.map(members => members.filter(member => isPinned(member) && roleOf(member) === role).length);
+            const ratingSum = new Array(numTeams).fill(0);
+            teams.forEach((members, t) => {
+                ratingSum[t] = members.reduce((sum, member) => sum + dealOrder(member), 0);
+            });
+
+            [...group]
+                .sort((a, b) => dealOrder(b) - dealOrder(a))
+                .forEach(player => {
+                    let target = 0;
+                    for (let t = 1; t < numTeams; t++) {
+                        const better = inGroup[t] - inGroup[target]
+                            || teams[t].length - teams[target].length
+                            || ratingSum[t] - ratingSum[target];
+                        if (better < 0) target = t;
+                    }
+                    teams[target].push(player);
+                    inGroup[target]++;
+                    ratingSum[target] += dealOrder(player);
+                });
+        });
+
+        let bestCost = costOf();
+        for (let pass = 0; pass < MAX_SWAP_PASSES; pass++) {
+            let improved = false;
+            for (let a = 0; a < numTeams; a++) {
+                for (let b = a + 1; b < numTeams; b++) {
+                    for (let i = 0; i < teams[a].length; i++) {
+                        for (let j = 0; j < teams[b].length; j++) {
+                            if (roleOf(teams[a][i]) !== roleOf(teams[b][j])) continue;
+                            if (isPinned(teams[a][i]) || isPinned(teams[b][j])) continue;
+                            [teams[a][i], teams[b][j]] = [teams[b][j], teams[a][i]];
+                            const cost = costOf();
+                            if (cost < bestCost - 1e-9) {
+                                bestCost = cost;
+                                improved = true;
+                            } else {
+                                [teams[a][i], teams[b][j]] = [teams[b][j], teams[a][i]];
+                            }
+                        }
+                    }
+                }
+            }
+            if (!improved) break;
+        }
+
+        return teams.map(members => members.map(player => {
+            const role = roleOf(player);
+            return { ...player, assignedPosition: role === 'ANY' ? null : role };
+        }));
+    }
+
+    // ------------------------------------------------------------------
+    // Strategies
+    // ------------------------------------------------------------------
+
+    const STRATEGIES = ['overall', 'each-stat', 'attack-defence', 'random'];
+
+    // 'attack-defence' needs stats on both sides to have anything to balance
+    function strategyError(strategy, statDefs = DEFAULT_STATS) {
+        if (!STRATEGIES.includes(strategy)) {
+            return `strategy must be one of ${STRATEGIES.join(', ')}.`;
+        }
+        if (strategy === 'attack-defence' && !STAT_SIDES.every(side => statDefs.some(stat => stat.side === side && stat.weight > 0))) {
+            return 'Mark at least one stat as attack and one as defence in the sport profile to use the attack vs defence strategy.';
+        }
+        return null;
+    }
+
+    // What the swap search minimises. The balance score shown to people always
+    // comes from the plain 'overall' cost, so scores stay comparable across strategies.
+    function strategyCost(report, strategy) {
+        switch (strategy) {
+            case 'each-stat':
+                // The worst single stat gap, so no team ends up with all the pace
+                return report.maxStatSpread + STAT_SPREAD_WEIGHT * report.overallSpread;
+            case 'attack-defence':
+                return report.attackSpread + report.defenceSpread;
+            case 'random':
+                return 0;
+            default:
+                return report.cost;
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Player Ratings
+    // ------------------------------------------------------------------
+
+    const ELO_BASE = 1500;
+    // Elo points that count as one point of overall rating when balancing
+    const ELO_POINTS_PER_RATING = 10;
+
+    const RATING_MODES = ['stats', 'elo', 'blend'];
+
+    // How strong a player is for balancing purposes under each rating mode
+    function ratingFor(mode, statDefs = DEFAULT_STATS) {
+        const eloOffset = player => ((player.rating ?? ELO_BASE) - ELO_BASE) / ELO_POINTS_PER_RATING;
+        switch (mode) {
+            case 'elo':
+                // Everyone starts level at 50; only results move them apart
+                return player => 50 + eloOffset(player);
+            case 'blend':
+                return player => statsRating(player, statDefs) + eloOffset(player);
+            default:
+                return player => statsRating(player, statDefs);
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Random Numbers (seeded, so any draw can be re-run exactly)
+    // ------------------------------------------------------------------
+
+    const SEED_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+    // A short random seed for draws that were not given one
+    function newSeed() {
+        return Math.floor(Math.random() * 0x100000000).toString(16).padStart(8, '0')
+            + Math.floor(Math.random() * 0x100000000).toString(16).padStart(8, '0');
+    }
+
+    // Seed strings are hashed to 32 bits (FNV-1a) for the generator below
+    function hashSeed(seed) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // mulberry32: a small, fast PRNG that returns floats in [0, 1) like Math.random.
+    // The same seed always gives the same sequence, in the browser and on the server.
+    function createRandom(seed) {
+        let state = hashSeed(String(seed));
+        return function () {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+        };
+    }
+
+    // Fisher-Yates shuffle, unbiased unlike sort(() => random() - 0.5)
+    function shuffle(items, random = Math.random) {
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    // ------------------------------------------------------------------
+    // Pairing Rules (keep together / keep apart)
+    // ------------------------------------------------------------------
+
+    const VIOLATION_PENALTY = 1000;
+    const MAX_FEASIBILITY_STEPS = 100000;
+
+    // Narrow stored rules down to the players taking part in this draw
+    function buildRules(constraints, players) {
+        const present = new Set(players.map(player => String(player._id)));
+        const together = [];
+        const apart = [];
+        constraints.forEach(constraint => {
+            const ids = constraint.personIds.filter(id => present.has(id));
+            if (ids.length < 2) return;
+            if (constraint.type === 'together') {
+                together.push(ids);
+            } else {
+                for (let i = 0; i < ids.length; i++) {
+                    for (let j = i + 1; j < ids.length; j++) {
+                        apart.push([ids[i], ids[j]]);
+                    }
+                }
+            }
+        });
+        return { together, apart };
+    }
+
+    function findViolations(teams, rules) {
+        const teamOf = new Map();
+        teams.forEach((members, t) => members.forEach(member => teamOf.set(String(member._id), t)));
+
+        const violations = [];
+        rules.together.forEach(ids => {
+            if (new Set(ids.map(id => teamOf.get(id))).size > 1) {
+                violations.push({ type: 'together', personIds: ids });
+            }
+        });
+        rules.apart.forEach(ids => {
+            if (teamOf.get(ids[0]) === teamOf.get(ids[1])) {
+                violations.push({ type: 'apart', personIds: ids });
+            }
+        });
+        return violations;
+    }
+
+    // Explain up front when no split into numTeams teams can satisfy the rules
+    function checkRulesFeasible(rules, players, numTeams) {
+        const names = new Map(players.map(player => [String(player._id), player.name]));
+        const nameList = ids => ids.map(id => names.get(id)).join(', ').replace(/, ([^,]*)$/, ' and $1');
+
+        // Union keep-together rules into groups that must share a team
+        const groupOf = new Map();
+        const find = id => {
+            while (groupOf.has(id) && groupOf.get(id) !== id) id = groupOf.get(id);
+            return id;
+        };
+        rules.together.forEach(ids => ids.forEach(id => {
+            if (!groupOf.has(id)) groupOf.set(id, id);
+            groupOf.set(find(id), find(ids[0]));
+        }));
+        const groups = new Map();
+        [...groupOf.keys()].forEach(id => {
+            const root = find(id);
+            groups.set(root, [...(groups.get(root) || []), id]);
+        });
+
+        const maxTeamSize = Math.ceil(players.length / numTeams);
+        for (const ids of groups.values()) {
+            if (ids.length > maxTeamSize) {
+                return `${nameList(ids)} must play together, but teams only have ${maxTeamSize} players.`;
+            }
+        }
+        for (const [a, b] of rules.apart) {
+            if (groupOf.has(a) && groupOf.has(b) && find(a) === find(b)) {
+                return `${nameList([a, b])} are required to be both together and apart.`;
+            }
+        }
+
+        // Backtracking search over the constrained groups only
+        const units = new Map();
+        groups.forEach((ids, root) => units.set(root, ids));
+        rules.apart.flat().forEach(id => {
+            const root = groupOf.has(id) ? find(id) : id;
+            if (!units.has(root)) units.set(root, [id]);
+        });
+        const unitList = [...units.entries()].sort((a, b) => b[1].length - a[1].length);
+        const rootOf = id => (groupOf.has(id) ? find(id) : id);
+        const conflicts = new Map(unitList.map(([root]) => [root, new Set()]));
+        rules.apart.forEach(([a, b]) => {
+            conflicts.get(rootOf(a)).add(rootOf(b));
+            conflicts.get(rootOf(b)).add(rootOf(a));
+        });
+
+        const teamOfUnit = new Map();
+        const sizes = new Array(numTeams).fill(0);
+        let steps = 0;
+        const place = (index) => {
+            if (index === unitList.length) return true;
+            if (++steps > MAX_FEASIBILITY_STEPS) return true;
+            const [root, ids] = unitList[index];
+            for (let t = 0; t < numTeams; t++) {
+                if (sizes[t] + ids.length > maxTeamSize) continue;
+                if ([...conflicts.get(root)].some(other => teamOfUnit.get(other) === t)) continue;
+                teamOfUnit.set(root, t);
+                sizes[t] += ids.length;
+                if (place(index + 1)) return true;
+                teamOfUnit.delete(root);
+                sizes[t] -= ids.length;
+            }
+            return false;
+        };
+
+        return place(0)
+            ? null
+            : `The keep-together and keep-apart rules cannot all be met with ${numTeams} teams.`;
+    }
+
+    // Randomly bench whoever does not fit into equally sized teams, preferring
+    // players who are not part of a pairing rule and never benching pinned players
+    // unless nobody else is left
+    function pickBench(players, numTeams, constrainedIds = new Set(), pinnedIds = new Set(), random = Math.random) {
+        const benchCount = players.length % numTeams;
+        const priority = player => (pinnedIds.has(String(player._id)) ? 2 : constrainedIds.has(String(player._id)) ? 1 : 0);
+        const shuffled = shuffle(players, random).sort((a, b) => priority(a) - priority(b));
+        return {
+            starters: shuffled.slice(benchCount),
+            bench: shuffled.slice(0, benchCount)
+        };
+    }
+
+    function round1(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    // Shape balanced teams for the API response, with a 0-100 balance score
+    function describeTeams(teams, ratingOf = statsRating, statDefs = DEFAULT_STATS) {
+        const report = balanceReport(teams, ratingOf, statDefs);
+        const statSpreads = {};
+        statDefs.forEach(stat => {
+            statSpreads[stat.key] = round1(report.statSpreads[stat.key]);
+        });
+
+        return {
+            teams: teams.map((members, i) => {
+                const stats = {};
+                statDefs.forEach(stat => {
+                    stats[stat.key] = round1(report.averages[i].stats[stat.key]);
+                });
+                return {
+                    name: `Team ${i + 1}`,
+                    members,
+                    averages: { overall: round1(report.averages[i].overall), stats }
+                };
+            }),
+            balance: {
+                score: round1(Math.max(0, 100 - report.cost * 10)),
+                overallSpread: round1(report.overallSpread),
+                statSpreads
+            }
+        };
+    }
+
+    // ------------------------------------------------------------------
+    // Rotation (avoid repeating line-ups)
+    // ------------------------------------------------------------------
+
+    // Rating points one pairing that happened in every recent game costs at full variety
+    const ROTATION_PENALTY = 2;
+    // How much worse than the plain balanced draw the overall spread may get for variety
+    const BALANCE_TOLERANCE = 3;
+    const TOLERANCE_PENALTY = 100;
+    const DEFAULT_ROTATION_WINDOW = 5;
+
+    function pairKey(a, b) {
+        const [first, second] = [String(a), String(b)].sort();
+        return `${first}|${second}`;
+    }
+
+    // Every pair of teammates, as pairKeys; teams are arrays of ids
+    function teammatePairs(teams) {
+        const pairs = [];
+        teams.forEach(ids => {
+            for (let i = 0; i < ids.length; i++) {
+                for (let j = i + 1; j < ids.length; j++) {
+                    pairs.push(pairKey(ids[i], ids[j]));
+                }
+            }
+        });
+        return pairs;
+    }
+
+    function memberIds(teams) {
+        return teams.map(members => members.map(member => String(member._id)));
+    }
+
+    // Saved configurations, most recent first, as the teammate ids of their last `window` games
+    function pairingHistory(savedConfigurations, window = DEFAULT_ROTATION_WINDOW) {
+        return savedConfigurations.slice(0, window).map(saved => memberIds(saved.teams.map(team => team.members)));
+    }
+
+    function countPairings(history) {
+        const counts = new Map();
+        history.forEach(teams => teammatePairs(teams).forEach(key => counts.set(key, (counts.get(key) || 0) + 1)));
+        return counts;
+    }
+
+    // variety (0-1) scales the penalty for teammates who shared a team recently, weighted
+    // by how many of the recent games they shared. maxSpread keeps the balance within
+    // tolerance of what the draw would have been without rotation.
+    function rotationCost(teams, report, { counts, games, variety, maxSpread = Infinity }) {
+        const repeats = teammatePairs(memberIds(teams)).reduce((sum, key) => sum + (counts.get(key) || 0), 0);
+        return variety * ROTATION_PENALTY * repeats / games
+            + TOLERANCE_PENALTY * Math.max(0, report.overallSpread - maxSpread);
+    }
+
+    // How many pairings from the last game happen again, optionally next to the plain
+    // balanced draw (baselineTeams) to show how many the rotation avoided
+    function rotationReport(teams, history, baselineTeams = null) {
+        const ids = memberIds(teams);
+        const present = new Set(ids.flat());
+        const lastGame = new Set((history[0] ? teammatePairs(history[0]) : [])
+            .filter(key => key.split('|').every(id => present.has(id))));
+        const counts = countPairings(history);
+        const repeatedFromLastGame = teams => teammatePairs(memberIds(teams)).filter(key => lastGame.has(key)).length;
+
+        return {
+            games: history.length,
+            lastGamePairs: lastGame.size,
+            repeatedFromLastGame: repeatedFromLastGame(teams),
+            baselineRepeatedFromLastGame: baselineTeams ? repeatedFromLastGame(baselineTeams) : null,
+            repeatedPairs: teammatePairs(ids).filter(key => counts.has(key)).length
+        };
+    }
+
+    // ------------------------------------------------------------------
+    // Full Draw
+    // ------------------------------------------------------------------
+
+    // Bench, rule check, positions and balancing in one go. players and constraints
+    // are plain documents, pins maps player id -> team index and stats is the sport
+    // profile's stat list. history (from pairingHistory) and variety (0-1) turn on
+    // rotation. Returns { error } when there are fewer than two teams, fewer players
+    // than teams, or the pairing rules cannot be met.
+    // The same seed and inputs always give the same teams, whatever order the players
+    // arrive in; the seed used is returned so the draw can be checked later.
+    function generateTeams(players, {
+        numTeams, unevenMode = 'bench', formation = null, ratingMode = 'stats', constraints = [], pins = {},
+        stats = DEFAULT_STATS, strategy = 'overall', history = [], variety = 0, seed = newSeed()
+    }) {
+        if (!Number.isInteger(numTeams) || numTeams < 2) {
+            return { error: 'Number of teams must be at least 2.' };
+        }
+        if (players.length < numTeams) {
+            return { error: `You need at least ${numTeams} players to create ${numTeams} teams!` };
+        }
+        const invalidStrategy = strategyError(strategy, stats);
+        if (invalidStrategy) {
+            return { error: invalidStrategy };
+        }
+        if (!SEED_PATTERN.test(String(seed))) {
+            return { error: 'The seed may only use letters, digits, - and _ (up to 64 characters).' };
+        }
+        const random = createRandom(seed);
+        const roster = [...players].sort((a, b) => String(a._id).localeCompare(String(b._id)));
+
+        const slots = formation ? parseFormation(formation) : null;
+        const rosterRules = buildRules(constraints, roster);
+        const constrainedIds = new Set([...rosterRules.together.flat(), ...rosterRules.apart.flat()]);
+
+        const { starters, bench } = unevenMode === 'bench'
+            ? pickBench(roster, numTeams, constrainedIds, new Set(Object.keys(pins)), random)
+            : { starters: roster, bench: [] };
+
+        const rules = buildRules(constraints, starters);
+        const infeasible = checkRulesFeasible(rules, starters, numTeams);
+        if (infeasible) {
+            return { error: infeasible };
+        }
+
+        const ratingOf = ratingFor(ratingMode, stats);
+        const roles = assignRoles(starters, numTeams, slots, ratingOf);
+        const options = { roles, ratingOf, rules, pins, statDefs: stats, strategy, random };
+        const balanced = balanceTeams(starters, numTeams, options);
+        let teams = balanced;
+        if (variety > 0 && history.length > 0) {
+            const maxSpread = strategy === 'random'
+                ? Infinity
+                : balanceReport(balanced, ratingOf, stats).overallSpread + BALANCE_TOLERANCE;
+            teams = balanceTeams(starters, numTeams, {
+                ...options,
+                rotation: { counts: countPairings(history), games: history.length, variety, maxSpread }
+            });
+        }
+        const names = new Map(starters.map(player => [String(player._id), player.name]));
+
+        return {
+            ...describeTeams(teams, ratingOf, stats),
+            bench,
+            formation: formation || null,
+            ratingMode,
+            strategy,
+            variety,
+            seed: String(seed),
+            rotation: history.length > 0 ? rotationReport(teams, history, variety > 0 ? balanced : null) : null,
+            // Rules the position slots made impossible to honour this time
+            violations: findViolations(teams, rules).map(violation => ({
+                ...violation,
+                names: violation.personIds.map(id => names.get(id))
+            }))
+        };
+    }
+
+    return {
+        POSITIONS,
+        DEFAULT_STATS,
+        STAT_KEYS,
+        STAT_SIDES,
+        STRATEGIES,
+        DEFAULT_ROTATION_WINDOW,
+        ELO_BASE,
+        RATING_MODES,
+        parseFormation,
+        assignRoles,
+        overallRating,
+        statsRating,
+        balanceReport,
+        strategyError,
+        balanceTeams,
+        ratingFor,
+        buildRules,
+        findViolations,
+        checkRulesFeasible,
+        SEED_PATTERN,
+        newSeed,
+        createRandom,
+        shuffle,
+        pickBench,
+        round1,
+        describeTeams,
+        pairingHistory,
+        rotationReport,
+        generateTeams
+    };
+}));
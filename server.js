@@ -1,8 +1,27 @@
 const express = require('express');
-const { MongoClient, ObjectId } = require('mongodb');
+const { ObjectId } = require('mongodb');
 const multer = require('multer');
+const sharp = require('sharp');
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
+const {
+    POSITIONS,
+    DEFAULT_STATS,
+    STAT_SIDES,
+    STRATEGIES,
+    DEFAULT_ROTATION_WINDOW,
+    ELO_BASE,
+    RATING_MODES,
+    SEED_PATTERN,
+    parseFormation,
+    overallRating,
+    strategyError,
+    pairingHistory,
+    round1,
+    generateTeams
+} = require('./public/team-generator');
+const { createStorage } = require('./storage');
 require('dotenv').config();
 
 const app = express();
@@ -14,7 +33,9 @@ const PORT = process.env.PORT || 3000;
 const staticPath = path.join(__dirname, 'public'); 
 
 // Middleware
-app.use(cors());
+// Cookies carry the login session, so only explicitly listed origins may call the API cross-site
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false, credentials: true, exposedHeaders: ['X-Total-Count'] }));
 app.use(express.json());
 
 // --------------------------------------------------------
@@ -30,27 +51,59 @@ app.get('/', (req, res) => {
 });
 
 // ----------------------------------------------------------------------
-// File Upload Configuration (Ignored in API routes for stability)
+// File Upload Configuration
 // ----------------------------------------------------------------------
 
-// Keep storage defined, but its use in API routes is removed.
+// Files are kept in memory so they can be resized or parsed before they are stored
 const storage = multer.memoryStorage(); 
-const upload = multer({ storage: storage, limits: { fileSize: 5 * 1024 * 1024 } /* ... fileFilter ... */ });
+const upload = multer({
+    storage: storage,
+    limits: { fileSize: 5 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (file.fieldname === 'photo' && file.mimetype.startsWith('image/')) {
+            cb(null, true);
+        } else if (file.fieldname === 'file' && /\.(csv|json)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else if (file.fieldname === 'photo') {
+            cb(new Error('Only image files are allowed.'));
+        } else {
+            cb(new Error('Only .csv or .json roster files are allowed.'));
+        }
+    }
+});
+
+// Multer errors (too large, wrong type) are client errors, not 500s
+function singleUpload(field) {
+    return (req, res, next) => {
+        upload.single(field)(req, res, (error) => {
+            if (error) {
+                return sendError(res, 400, error.message);
+            }
+            next();
+        });
+    };
+}
+
+const photoUpload = singleUpload('photo');
+const rosterUpload = singleUpload('file');
 
 // ----------------------------------------------------------------------
-// MongoDB Connection and Management (Serverless friendly)
+// Storage Connection and Management (Serverless friendly)
 // ----------------------------------------------------------------------
 
-const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/teamgenerator';
+// MongoDB by default; STORAGE_BACKEND=file keeps everything in DATA_DIR instead (see storage/)
 let db;
 
+// Startup messages; an embedding process (like the team-gen CLI) can point this elsewhere
+app.locals.log = message => console.log(message);
+
 async function connectDB() {
     try {
-        const client = await MongoClient.connect(MONGODB_URI);
-        db = client.db();
-        console.log('Connected to MongoDB');
+        db = await createStorage();
+        app.locals.log(`Connected to ${db.name} storage`);
+        await migrateSavedTeamPlayers();
     } catch (error) {
-        console.error('MongoDB connection error:', error);
+        console.error('Storage connection error:', error);
         throw new Error('Database connection failed.'); 
     }
 }
@@ -65,7 +118,8 @@ app.use(async (req, res, next) => {
             await connectDB();
             next();
         } catch (error) {
-            res.status(500).json({ error: 'Internal Server Error: Database unavailable.' });
+            // 503 tells the offline-capable frontend to fall back to its local copy
+            sendError(res, 503, 'Database unavailable.');
         }
     } else {
         next();
@@ -73,143 +127,3118 @@ app.use(async (req, res, next) => {
 });
 
 // ----------------------------------------------------------------------
-// API Routes (File upload handling removed for stability)
+// Authentication and Groups
 // ----------------------------------------------------------------------
 
-// Get all persons
-app.get('/api/persons', async (req, res) => {
+const SESSION_COOKIE = 'tg_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const ROLES = ['admin', 'member'];
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return { salt, hash };
+}
+
+function verifyPassword(password, user) {
+    const { hash } = hashPassword(password, user.salt);
+    return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.passwordHash, 'hex'));
+}
+
+// Only a hash of the session token is stored, so a database leak cannot be replayed
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header = '') {
+    const cookies = {};
+    header.split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        }
+    });
+    return cookies;
+}
+
+function newInviteCode() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+// Only a plain string may reach the lookup; an operator object such as { $ne: null }
+// would match any group and let anyone in without an invite
+function parseInviteCode(inviteCode) {
+    if (typeof inviteCode !== 'string' || inviteCode.trim() === '') {
+        return { errors: [{ field: 'inviteCode', message: 'must be the code from your group admin' }] };
+    }
+    return { value: inviteCode.trim() };
+}
+
+// Register and join both leave the field out (or blank) when it isn't being used
+const isBlank = value => value === undefined || value === null || value === '';
+
+async function startSession(res, userId, groupId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+    await db.collection('authSessions').insertOne({ tokenHash: hashToken(token), userId, groupId, expiresAt });
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        expires: expiresAt
+    });
+}
+
+async function createGroup(name, userId) {
+    const group = { name, inviteCode: newInviteCode(), createdAt: new Date() };
+    const result = await db.collection('groups').insertOne(group);
+    await db.collection('memberships').insertOne({ userId, groupId: result.insertedId, role: 'admin', createdAt: new Date() });
+
+    // The very first group adopts everything created before accounts existed
+    if (await db.collection('groups').countDocuments() === 1) {
+        await Promise.all(['persons', 'savedTeams', 'sessions', 'constraints', 'statHistory'].map(name =>
+            db.collection(name).updateMany({ groupId: { $exists: false } }, { $set: { groupId: result.insertedId } })
+        ));
+    }
+    return result.insertedId;
+}
+
+// Attaches req.user, req.groupId and req.role from the session cookie, if any
+async function loadSession(req) {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (!token) return null;
+
+    const session = await db.collection('authSessions').findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } });
+    if (!session) return null;
+
+    const [user, membership] = await Promise.all([
+        db.collection('users').findOne({ _id: session.userId }, { projection: { passwordHash: 0, salt: 0 } }),
+        db.collection('memberships').findOne({ userId: session.userId, groupId: session.groupId })
+    ]);
+    if (!user) return null;
+
+    req.session = session;
+    req.user = user;
+    req.groupId = membership ? session.groupId : null;
+    req.role = membership ? membership.role : null;
+    return session;
+}
+
+async function requireAuth(req, res, next) {
     try {
-        const persons = await db.collection('persons').find().toArray();
-        res.json(persons);
+        if (!(await loadSession(req))) {
+            return sendError(res, 401, 'Please log in.');
+        }
+        if (!req.groupId) {
+            return sendError(res, 403, 'Create or join a group first.');
+        }
+        next();
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, 500, error.message);
     }
-});
+}
 
-// Create person
-// FIX: File upload middleware removed; added robust stats parsing
-app.post('/api/persons', async (req, res) => {
+function requireAdmin(req, res, next) {
+    if (req.role !== 'admin') {
+        return sendError(res, 403, 'Only group admins can make changes.');
+    }
+    next();
+}
+
+// Every group-owned query goes through this so one group never sees another's data
+function inGroup(req, filter = {}) {
+    return { ...filter, groupId: req.groupId };
+}
+
+// Register a new account, optionally creating or joining a group
+app.post('/api/auth/register', async (req, res) => {
     try {
-        const { name, stats } = req.body;
+        const { username, password, groupName, inviteCode } = req.body;
         
-        let parsedStats;
-        if (!stats) {
-             return res.status(400).json({ error: 'Missing player stats in request.' });
+        const code = isBlank(inviteCode) ? { value: null } : parseInviteCode(inviteCode);
+        const group = isBlank(groupName) ? { value: null } : parseName(groupName, 'groupName');
+        const errors = [...(code.errors || []), ...(group.errors || [])];
+        if (typeof username !== 'string' || !/^[a-zA-Z0-9_.-]{3,32}$/.test(username)) {
+            errors.unshift({ field: 'username', message: 'must be 3-32 letters, numbers, dots, dashes or underscores' });
         }
-        try {
-            parsedStats = JSON.parse(stats);
-        } catch (parseError) {
-            return res.status(400).json({ error: 'Invalid format for player stats. Must be valid JSON string.' });
+        if (typeof password !== 'string' || password.length < 8) {
+            errors.push({ field: 'password', message: 'must be at least 8 characters' });
+        }
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        if (await db.collection('users').findOne({ usernameLower: username.toLowerCase() })) {
+            return sendError(res, 409, 'That username is taken.');
         }
         
-        const photo = null; 
+        let invitedGroup = null;
+        if (code.value) {
+            invitedGroup = await db.collection('groups').findOne({ inviteCode: code.value });
+            if (!invitedGroup) {
+                return sendError(res, 404, 'Invite code not recognised.');
+            }
+        }
         
-        const person = {
-            name,
-            stats: parsedStats, 
-            photo, 
-            createdAt: new Date()
-        };
+        const { salt, hash } = hashPassword(password);
+        const user = { username, usernameLower: username.toLowerCase(), passwordHash: hash, salt, createdAt: new Date() };
+        const { insertedId: userId } = await db.collection('users').insertOne(user);
         
-        const result = await db.collection('persons').insertOne(person);
-        res.status(201).json({ ...person, _id: result.insertedId }); 
-
+        let groupId = null;
+        if (invitedGroup) {
+            groupId = invitedGroup._id;
+            await db.collection('memberships').insertOne({ userId, groupId, role: 'member', createdAt: new Date() });
+        } else if (group.value) {
+            groupId = await createGroup(group.value, userId);
+        }
+        
+        await startSession(res, userId, groupId);
+        res.status(201).json({ message: 'Account created' });
     } catch (error) {
-        console.error('Database Error saving person:', error.message);
-        res.status(500).json({ error: error.message || 'Unknown database error saving person.' });
+        sendError(res, 500, error.message);
     }
 });
 
-// Update person
-// FIX: File upload middleware removed
-app.put('/api/persons/:id', async (req, res) => {
+// Log in
+app.post('/api/auth/login', async (req, res) => {
     try {
-        const { id } = req.params;
-        const { name, stats } = req.body;
+        const { username, password } = req.body;
         
-        const updateData = {
-            name,
-            stats: JSON.parse(stats),
-            updatedAt: new Date()
-        };
+        const user = typeof username === 'string'
+            ? await db.collection('users').findOne({ usernameLower: username.toLowerCase() })
+            : null;
+        if (!user || typeof password !== 'string' || !verifyPassword(password, user)) {
+            return sendError(res, 401, 'Wrong username or password.');
+        }
         
-        // Removed file update logic here.
+        const membership = await db.collection('memberships').findOne({ userId: user._id }, { sort: { createdAt: 1 } });
+        await startSession(res, user._id, membership ? membership.groupId : null);
+        res.json({ message: 'Logged in' });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Log out
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (token) {
+            await db.collection('authSessions').deleteOne({ tokenHash: hashToken(token) });
+        }
+        res.clearCookie(SESSION_COOKIE);
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Current user, active group and every group they belong to
+app.get('/api/auth/me', async (req, res) => {
+    try {
+        if (!(await loadSession(req))) {
+            return sendError(res, 401, 'Please log in.');
+        }
         
-        const result = await db.collection('persons').updateOne(
-            { _id: new ObjectId(id) },
-            { $set: updateData }
-        );
+        const memberships = await db.collection('memberships').find({ userId: req.user._id });
+        const groups = await db.collection('groups')
+            .find({ _id: { $in: memberships.map(m => m.groupId) } });
         
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: 'Person not found' });
+        res.json({
+            user: req.user,
+            groupId: req.groupId,
+            role: req.role,
+            groups: groups.map(group => {
+                const role = memberships.find(m => String(m.groupId) === String(group._id)).role;
+                // Only admins get to hand out the invite code
+                return { _id: group._id, name: group.name, role, inviteCode: role === 'admin' ? group.inviteCode : undefined };
+            })
+        });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Create a group (the creator becomes its admin) and switch to it
+app.post('/api/auth/groups', async (req, res) => {
+    try {
+        if (!(await loadSession(req))) {
+            return sendError(res, 401, 'Please log in.');
+        }
+        const name = parseName(req.body.name);
+        if (name.errors) {
+            return sendValidationError(res, name.errors);
         }
         
-        res.json({ message: 'Person updated successfully' });
+        const groupId = await createGroup(name.value, req.user._id);
+        await db.collection('authSessions').updateOne({ _id: req.session._id }, { $set: { groupId } });
+        res.status(201).json({ _id: groupId, name: name.value });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, 500, error.message);
     }
 });
 
-// Delete person
-app.delete('/api/persons/:id', async (req, res) => {
+// Join a group with its invite code and switch to it
+app.post('/api/auth/groups/join', async (req, res) => {
     try {
-        const { id } = req.params;
-        const result = await db.collection('persons').deleteOne({ _id: new ObjectId(id) });
-        
-        if (result.deletedCount === 0) {
-            return res.status(404).json({ error: 'Person not found' });
+        if (!(await loadSession(req))) {
+            return sendError(res, 401, 'Please log in.');
+        }
+        const code = parseInviteCode(req.body.inviteCode);
+        if (code.errors) {
+            return sendValidationError(res, code.errors);
+        }
+        const group = await db.collection('groups').findOne({ inviteCode: code.value });
+        if (!group) {
+            return sendError(res, 404, 'Invite code not recognised.');
         }
         
-        res.json({ message: 'Person deleted successfully' });
+        await db.collection('memberships').updateOne(
+            { userId: req.user._id, groupId: group._id },
+            { $setOnInsert: { role: 'member', createdAt: new Date() } },
+            { upsert: true }
+        );
+        await db.collection('authSessions').updateOne({ _id: req.session._id }, { $set: { groupId: group._id } });
+        res.json({ _id: group._id, name: group.name });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, 500, error.message);
     }
 });
 
-// Get all saved teams
-app.get('/api/teams', async (req, res) => {
+// Switch the active group
+app.post('/api/auth/groups/:id/switch', async (req, res) => {
     try {
-        const teams = await db.collection('savedTeams').find().sort({ createdAt: -1 }).toArray();
-        res.json(teams);
+        if (!(await loadSession(req))) {
+            return sendError(res, 401, 'Please log in.');
+        }
+        const groupId = new ObjectId(req.params.id);
+        if (!(await db.collection('memberships').findOne({ userId: req.user._id, groupId }))) {
+            return sendError(res, 404, 'Group not found');
+        }
+        
+        await db.collection('authSessions').updateOne({ _id: req.session._id }, { $set: { groupId } });
+        res.json({ message: 'Switched group' });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, 500, error.message);
     }
 });
 
-// Save teams
-app.post('/api/teams', async (req, res) => {
+// Everything below this point needs a logged-in member of the active group
+app.use('/api', requireAuth);
+
+// List members of the active group
+app.get('/api/members', async (req, res) => {
     try {
-        const { teams } = req.body;
-        
-        const savedTeam = {
-            teams,
-            createdAt: new Date()
-        };
+        const memberships = await db.collection('memberships').find({ groupId: req.groupId });
+        const users = await db.collection('users')
+            .find({ _id: { $in: memberships.map(m => m.userId) } }, { projection: { username: 1 } });
         
-        const result = await db.collection('savedTeams').insertOne(savedTeam);
-        res.status(201).json({ ...savedTeam, _id: result.insertedId });
+        res.json(memberships.map(m => ({
+            userId: m.userId,
+            username: users.find(u => String(u._id) === String(m.userId))?.username,
+            role: m.role
+        })));
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, 500, error.message);
     }
 });
 
-// Delete saved team
-app.delete('/api/teams/:id', async (req, res) => {
+// Change a member's role
+app.put('/api/members/:userId', requireAdmin, async (req, res) => {
     try {
-        const { id } = req.params;
-        const result = await db.collection('savedTeams').deleteOne({ _id: new ObjectId(id) });
+        const { role } = req.body;
+        if (!ROLES.includes(role)) {
+            return sendError(res, 400, `Role must be one of ${ROLES.join(', ')}.`);
+        }
         
-        if (result.deletedCount === 0) {
-            return res.status(404).json({ error: 'Saved team not found' });
+        const userId = new ObjectId(req.params.userId);
+        if (role !== 'admin' && String(userId) === String(req.user._id)
+            && await db.collection('memberships').countDocuments({ groupId: req.groupId, role: 'admin' }) === 1) {
+            return sendError(res, 409, 'A group needs at least one admin.');
         }
         
-        res.json({ message: 'Saved team deleted successfully' });
+        const result = await db.collection('memberships').updateOne({ userId, groupId: req.groupId }, { $set: { role } });
+        if (result.matchedCount === 0) {
+            return sendError(res, 404, 'Member not found');
+        }
+        
+        res.json({ message: 'Role updated' });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, 500, error.message);
     }
 });
 
 // ----------------------------------------------------------------------
-// VERCEL COMPATIBILITY FIX: Export the Express app instance
+// Player Photos (GridFS, or files in DATA_DIR with the file backend)
+// ----------------------------------------------------------------------
+
+const PHOTO_SIZE = 256;
+
+// Crop to a square thumbnail. A file that only claims to be an image (the browser
+// goes by its extension) is the uploader's mistake, not a server error.
+async function makeThumbnail(file) {
+    try {
+        const thumbnail = await sharp(file.buffer)
+            .rotate()
+            .resize(PHOTO_SIZE, PHOTO_SIZE, { fit: 'cover' })
+            .jpeg({ quality: 85 })
+            .toBuffer();
+        return { value: thumbnail };
+    } catch (error) {
+        return { errors: [{ field: 'photo', message: 'is not an image that can be read' }] };
+    }
+}
+
+// Store a thumbnail from makeThumbnail, returning the photo id
+function savePhoto(thumbnail, file) {
+    return db.photos.save(thumbnail, { filename: file.originalname, contentType: 'image/jpeg' });
+}
+
+async function deletePhoto(photoId) {
+    if (!photoId) return;
+    try {
+        await db.photos.delete(photoId);
+    } catch (error) {
+        console.error('Error deleting photo:', error.message);
+    }
+}
+
+// The version parameter changes with every upload, so cached copies never go stale
+function photoUrl(personId, photoId) {
+    return `/api/persons/${personId}/photo?v=${photoId}`;
+}
+
+// ----------------------------------------------------------------------
+// Player Positions
+// ----------------------------------------------------------------------
+
+// Accepts an object or (from multipart forms) a JSON string; null clears positions
+function parsePositions(positions) {
+    if (positions === undefined || positions === null || positions === '') {
+        return { value: null };
+    }
+    let parsed = positions;
+    if (typeof positions === 'string') {
+        try {
+            parsed = JSON.parse(positions);
+        } catch (parseError) {
+            return { error: 'Invalid format for positions. Must be valid JSON.' };
+        }
+    }
+    if (parsed === null) {
+        return { value: null };
+    }
+    const primary = parsed.primary || null;
+    const secondary = parsed.secondary || null;
+    if ((primary && !POSITIONS.includes(primary)) || (secondary && !POSITIONS.includes(secondary))) {
+        return { error: `Positions must be one of ${POSITIONS.join(', ')}.` };
+    }
+    if (!primary && secondary) {
+        return { error: 'A secondary position requires a primary position.' };
+    }
+    return { value: primary ? { primary, secondary: secondary === primary ? null : secondary } : null };
+}
+
+// ----------------------------------------------------------------------
+// Match Results and Player Ratings (Elo)
+// ----------------------------------------------------------------------
+
+const ELO_K = 32;
+
+// Bigger wins move ratings further (same scale as World Football Elo)
+function marginMultiplier(goalDifference) {
+    if (goalDifference <= 1) return 1;
+    if (goalDifference === 2) return 1.5;
+    return (11 + goalDifference) / 8;
+}
+
+// Every team plays every other team once: each member gets their team's average rating change.
+// A single team has no opponent, so nothing changes.
+function computeRatingChanges(teams, scores, ratings) {
+    if (teams.length < 2) return [];
+
+    const teamRatings = teams.map(team => {
+        const values = team.members.map(member => ratings.get(String(member._id)) ?? ELO_BASE);
+        return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : ELO_BASE;
+    });
+
+    const changes = [];
+    teams.forEach((team, a) => {
+        let delta = 0;
+        teams.forEach((opponent, b) => {
+            if (a === b) return;
+            const expected = 1 / (1 + Math.pow(10, (teamRatings[b] - teamRatings[a]) / 400));
+            const actual = scores[a] > scores[b] ? 1 : scores[a] === scores[b] ? 0.5 : 0;
+            delta += ELO_K * marginMultiplier(Math.abs(scores[a] - scores[b])) * (actual - expected);
+        });
+        delta /= teams.length - 1;
+
+        team.members.forEach(member => {
+            if (ratings.has(String(member._id))) {
+                changes.push({ personId: String(member._id), delta: round1(delta) });
+            }
+        });
+    });
+    return changes;
+}
+
+// Apply (or with direction -1, undo) a set of rating changes to the persons collection
+async function applyRatingChanges(groupId, changes, direction = 1) {
+    if (changes.length === 0) return;
+
+    const persons = await db.collection('persons')
+        .find({ groupId, _id: { $in: changes.map(change => new ObjectId(change.personId)) } });
+    const byId = new Map(persons.map(person => [String(person._id), person]));
+
+    await Promise.all(changes.map(change => {
+        const person = byId.get(change.personId);
+        if (!person) return null;
+        return db.collection('persons').updateOne(
+            { _id: person._id },
+            { $set: {
+                rating: round1((person.rating ?? ELO_BASE) + direction * change.delta),
+                ratingGames: Math.max(0, (person.ratingGames || 0) + direction)
+            } }
+        );
+    }));
+}
+
+// ----------------------------------------------------------------------
+// Player History
+// ----------------------------------------------------------------------
+
+// Audit trail of edits to a player's name, stats and positions
+async function recordStatEdit(before, after) {
+    const changes = [];
+    if (after.name !== undefined && after.name !== before.name) {
+        changes.push({ field: 'name', from: before.name, to: after.name });
+    }
+    // Profiles can change which stats exist, so look at every key on either side
+    const statKeys = new Set([...Object.keys(before.stats || {}), ...Object.keys(after.stats || {})]);
+    statKeys.forEach(key => {
+        const from = before.stats?.[key];
+        const to = after.stats?.[key];
+        if (to !== undefined && to !== from) {
+            changes.push({ field: `stats.${key}`, from: from ?? null, to });
+        }
+    });
+    if (after.positions !== undefined && JSON.stringify(after.positions) !== JSON.stringify(before.positions ?? null)) {
+        changes.push({ field: 'positions', from: before.positions ?? null, to: after.positions });
+    }
+    if (changes.length === 0) return;
+
+    await db.collection('statHistory').insertOne({
+        groupId: before.groupId,
+        personId: String(before._id),
+        changes,
+        previousStats: before.stats,
+        stats: after.stats,
+        changedAt: after.updatedAt || new Date()
+    });
+}
+
+// Win, draw or loss for one team of a multi-team result
+function outcomeFor(scores, teamIndex) {
+    const best = Math.max(...scores);
+    if (scores[teamIndex] < best) return 'loss';
+    return scores.filter(score => score === best).length > 1 ? 'draw' : 'win';
+}
+
+// ----------------------------------------------------------------------
+// Request Validation
+// ----------------------------------------------------------------------
+
+const MAX_NAME_LENGTH = 60;
+
+// Every error response is { error } plus, for bad input, details: [{ field, message }]
+function sendError(res, status, error, details) {
+    res.status(status).json(details && details.length > 0 ? { error, details } : { error });
+}
+
+function sendValidationError(res, details) {
+    sendError(res, 400, 'Validation failed', details);
+}
+
+// ObjectId.isValid also accepts any 12-character string, so insist on the hex form
+function isObjectIdString(value) {
+    return typeof value === 'string' && ObjectId.isValid(value) && String(new ObjectId(value)) === value.toLowerCase();
+}
+
+// Malformed ids would otherwise make new ObjectId() throw and surface as a 500
+function validateObjectIdParam(req, res, next, value, name) {
+    if (!isObjectIdString(value)) {
+        return sendValidationError(res, [{ field: name, message: 'must be a valid id' }]);
+    }
+    next();
+}
+
+app.param('id', validateObjectIdParam);
+app.param('userId', validateObjectIdParam);
+
+// Accepts a stats object or (from multipart forms) the legacy JSON string, checked
+// against the stat list and ranges of the player's sport profile
+function parseStats(stats, statDefs = DEFAULT_STATS) {
+    if (stats === undefined || stats === null || stats === '') {
+        return { errors: [{ field: 'stats', message: 'is required' }] };
+    }
+    let parsed = stats;
+    if (typeof stats === 'string') {
+        try {
+            parsed = JSON.parse(stats);
+        } catch (parseError) {
+            return { errors: [{ field: 'stats', message: 'must be an object or a valid JSON string' }] };
+        }
+    }
+    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+        return { errors: [{ field: 'stats', message: 'must be an object' }] };
+    }
+
+    const errors = [];
+    const statKeys = statDefs.map(stat => stat.key);
+    statDefs.forEach(({ key, min, max }) => {
+        const value = parsed[key];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            errors.push({ field: `stats.${key}`, message: `must be a whole number from ${min} to ${max}` });
+        }
+    });
+    Object.keys(parsed).filter(key => !statKeys.includes(key)).forEach(key => {
+        errors.push({ field: `stats.${key}`, message: 'is not a known stat' });
+    });
+    if (errors.length > 0) {
+        return { errors };
+    }
+    return { value: Object.fromEntries(statKeys.map(key => [key, parsed[key]])) };
+}
+
+function parseName(name, field = 'name') {
+    if (typeof name !== 'string' || name.trim() === '') {
+        return { errors: [{ field, message: 'is required' }] };
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+        return { errors: [{ field, message: `must be at most ${MAX_NAME_LENGTH} characters` }] };
+    }
+    return { value: name.trim() };
+}
+
+// A list of player ids from the request body, without repeats
+function parseIdList(ids, field) {
+    if (!Array.isArray(ids) || !ids.every(isObjectIdString)) {
+        return { errors: [{ field, message: 'must be a list of player ids' }] };
+    }
+    return { value: [...new Set(ids.map(id => id.toLowerCase()))] };
+}
+
+// Checks a player's name, stats and positions together so every problem is reported at once
+function validatePerson(body, sport) {
+    const name = parseName(body.name);
+    const stats = parseStats(body.stats, sport?.stats);
+    const positions = parsePositions(body.positions);
+    const errors = [
+        ...(name.errors || []),
+        ...(stats.errors || []),
+        ...(positions.error ? [{ field: 'positions', message: positions.error }] : [])
+    ];
+    if (errors.length > 0) {
+        return { errors };
+    }
+    return { value: { name: name.value, stats: stats.value, positions: positions.value } };
+}
+
+// Player names are unique within a sport's roster, ignoring case
+async function findNameClash(req, name, sportId, excludeId = null) {
+    const key = name.trim().toLowerCase();
+    const roster = await db.collection('persons').find(inGroup(req, { sportId }), { projection: { name: 1 } });
+    return roster.find(person => person.name?.trim().toLowerCase() === key
+        && String(person._id) !== String(excludeId)) || null;
+}
+
+// Offline edits carry the updatedAt the client last saw; if the document has
+// changed since then, replaying the edit would silently overwrite someone else's
+function isStale(doc, expectedUpdatedAt) {
+    if (!expectedUpdatedAt) return false;
+    const current = doc.updatedAt || doc.createdAt;
+    return !current || new Date(current).getTime() !== new Date(expectedUpdatedAt).getTime();
+}
+
+function sendStale(res) {
+    sendError(res, 409, 'This was changed by someone else since you last loaded it.', [
+        { field: 'expectedUpdatedAt', message: 'does not match the current version' }
+    ]);
+}
+
+function sendNameClash(res, name) {
+    sendError(res, 409, `A player named "${name}" already exists.`, [
+        { field: 'name', message: 'is already taken by another player' }
+    ]);
+}
+
+// ----------------------------------------------------------------------
+// Sport Profiles
+// ----------------------------------------------------------------------
+
+const DEFAULT_SPORT_NAME = 'Football';
+const MAX_SPORT_NAME_LENGTH = 40;
+const MAX_SPORT_STATS = 12;
+const SPORT_STAT_MIN = 0;
+const SPORT_STAT_MAX = 999;
+const MAX_STAT_WEIGHT = 10;
+
+// Every group gets a Football profile the first time it needs one; players and
+// saved teams from before profiles existed are moved onto it at the same time
+async function ensureDefaultSport(groupId) {
+    const existing = await db.collection('sports').findOne({ groupId, isDefault: true });
+    if (existing) return existing;
+
+    const { upsertedId } = await db.collection('sports').updateOne(
+        { groupId, isDefault: true },
+        { $setOnInsert: { name: DEFAULT_SPORT_NAME, stats: DEFAULT_STATS, createdAt: new Date() } },
+        { upsert: true }
+    );
+    const sport = await db.collection('sports').findOne({ groupId, isDefault: true });
+    if (upsertedId) {
+        await Promise.all(['persons', 'savedTeams'].map(name =>
+            db.collection(name).updateMany({ groupId, sportId: { $exists: false } }, { $set: { sportId: sport._id } })
+        ));
+    }
+    return sport;
+}
+
+// The profile a request names by sportId, or the group's default when it names none.
+// Resolves to null when the id does not belong to one of the group's sports.
+async function loadSport(req, sportId) {
+    const fallback = await ensureDefaultSport(req.groupId);
+    if (sportId === undefined || sportId === null || sportId === '') return fallback;
+    if (!isObjectIdString(String(sportId))) return null;
+    return db.collection('sports').findOne(inGroup(req, { _id: new ObjectId(String(sportId)) }));
+}
+
+function sendUnknownSport(res) {
+    sendValidationError(res, [{ field: 'sportId', message: 'does not match one of your sports' }]);
+}
+
+// Per-position weights are optional; a blank entry means "use the stat's own weight"
+function parsePositionWeights(positionWeights, field) {
+    if (positionWeights === undefined || positionWeights === null) {
+        return { value: {} };
+    }
+    if (typeof positionWeights !== 'object' || Array.isArray(positionWeights)) {
+        return { errors: [{ field, message: 'must be an object keyed by position' }] };
+    }
+    const errors = [];
+    const value = {};
+    Object.entries(positionWeights).forEach(([position, weight]) => {
+        if (!POSITIONS.includes(position)) {
+            errors.push({ field: `${field}.${position}`, message: `is not one of ${POSITIONS.join(', ')}` });
+        } else if (weight !== null && weight !== '') {
+            const number = Number(weight);
+            if (!Number.isFinite(number) || number < 0 || number > MAX_STAT_WEIGHT) {
+                errors.push({ field: `${field}.${position}`, message: `must be a number from 0 to ${MAX_STAT_WEIGHT}` });
+            } else {
+                value[position] = number;
+            }
+        }
+    });
+    return errors.length > 0 ? { errors } : { value };
+}
+
+function validateSportStat(stat, field) {
+    if (typeof stat !== 'object' || stat === null || Array.isArray(stat)) {
+        return { errors: [{ field, message: 'must be an object' }] };
+    }
+    const errors = [];
+    const label = typeof stat.label === 'string' ? stat.label.trim() : '';
+    // Keys are what players' stats are stored under, so they default to the camelCased label
+    const key = typeof stat.key === 'string' && stat.key.trim() !== ''
+        ? stat.key.trim()
+        : label.toLowerCase().replace(/[^a-z0-9]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ''));
+    const short = typeof stat.short === 'string' && stat.short.trim() !== ''
+        ? stat.short.trim().toUpperCase()
+        : label.slice(0, 3).toUpperCase();
+    const weight = stat.weight === undefined ? 1 : Number(stat.weight);
+    const side = stat.side || null;
+    const positionWeights = parsePositionWeights(stat.positionWeights, `${field}.positionWeights`);
+
+    if (label === '' || label.length > 30) {
+        errors.push({ field: `${field}.label`, message: 'must be 1-30 characters' });
+    }
+    if (!/^[a-z][a-zA-Z0-9]{0,29}$/.test(key)) {
+        errors.push({ field: `${field}.key`, message: 'must start with a lowercase letter and contain only letters and digits' });
+    }
+    if (short.length > 4) {
+        errors.push({ field: `${field}.short`, message: 'must be at most 4 characters' });
+    }
+    if (!Number.isInteger(stat.min) || !Number.isInteger(stat.max)
+        || stat.min < SPORT_STAT_MIN || stat.max > SPORT_STAT_MAX || stat.min >= stat.max) {
+        errors.push({ field: `${field}.min`, message: `min and max must be whole numbers from ${SPORT_STAT_MIN} to ${SPORT_STAT_MAX}, with min below max` });
+    }
+    if (!Number.isFinite(weight) || weight < 0 || weight > MAX_STAT_WEIGHT) {
+        errors.push({ field: `${field}.weight`, message: `must be a number from 0 to ${MAX_STAT_WEIGHT}` });
+    }
+    if (side !== null && !STAT_SIDES.includes(side)) {
+        errors.push({ field: `${field}.side`, message: `must be ${STAT_SIDES.join(' or ')}, or empty` });
+    }
+    errors.push(...(positionWeights.errors || []));
+    if (errors.length > 0) {
+        return { errors };
+    }
+    return { value: { key, label, short, min: stat.min, max: stat.max, weight, side, positionWeights: positionWeights.value } };
+}
+
+// A sport's stat list: the stats themselves, unique keys, and weights that can produce an overall.
+// Also used for the rating model snapshot stored with saved teams.
+function validateStatList(list, field) {
+    if (!Array.isArray(list) || list.length === 0 || list.length > MAX_SPORT_STATS) {
+        return { errors: [{ field, message: `must list 1-${MAX_SPORT_STATS} stats` }] };
+    }
+
+    const errors = [];
+    const stats = [];
+    list.forEach((stat, i) => {
+        const result = validateSportStat(stat, `${field}.${i}`);
+        if (result.errors) {
+            errors.push(...result.errors);
+        } else if (stats.some(other => other.key === result.value.key)) {
+            errors.push({ field: `${field}.${i}.key`, message: 'is used by another stat' });
+        } else {
+            stats.push(result.value);
+        }
+    });
+    if (errors.length === 0 && stats.every(stat => stat.weight === 0)) {
+        errors.push({ field, message: 'at least one stat needs a weight above 0' });
+    }
+    return errors.length > 0 ? { errors } : { value: stats };
+}
+
+// Checks a sport profile's name and stat list together
+function validateSport(body) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const stats = validateStatList(body.stats, 'stats');
+    const errors = [
+        ...(name === '' || name.length > MAX_SPORT_NAME_LENGTH
+            ? [{ field: 'name', message: `must be 1-${MAX_SPORT_NAME_LENGTH} characters` }]
+            : []),
+        ...(stats.errors || [])
+    ];
+    if (errors.length > 0) {
+        return { errors };
+    }
+    return { value: { name, stats: stats.value } };
+}
+
+async function findSportNameClash(req, name, excludeId = null) {
+    const key = name.toLowerCase();
+    const sports = await db.collection('sports').find(inGroup(req), { projection: { name: 1 } });
+    return sports.find(sport => sport.name.toLowerCase() === key && String(sport._id) !== String(excludeId)) || null;
+}
+
+// Reshape a player's stats to a changed profile: removed stats are dropped, values
+// are clamped to the new ranges and new stats start in the middle of their range
+function conformStats(stats, statDefs) {
+    return Object.fromEntries(statDefs.map(({ key, min, max }) => {
+        const value = Number(stats?.[key]);
+        return [key, Number.isFinite(value)
+            ? Math.min(max, Math.max(min, Math.round(value)))
+            : Math.round((min + max) / 2)];
+    }));
+}
+
+// ----------------------------------------------------------------------
+// Roster Import / Export
+// ----------------------------------------------------------------------
+
+function rosterColumns(sport) {
+    return ['name', ...sport.stats.map(stat => stat.key), 'primaryPosition', 'secondaryPosition'];
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF or LF line endings
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Quote when needed, and defuse values a spreadsheet would run as a formula
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toRosterRow(person, sport) {
+    const row = { name: person.name };
+    sport.stats.forEach(({ key }) => {
+        row[key] = person.stats?.[key] ?? '';
+    });
+    row.primaryPosition = person.positions?.primary || '';
+    row.secondaryPosition = person.positions?.secondary || '';
+    return row;
+}
+
+// Turn an uploaded CSV or JSON roster into plain { name, stats, positions } records
+function readRosterFile(file, sport) {
+    const statKeys = sport.stats.map(stat => stat.key);
+    const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+    if (/\.json$/i.test(file.originalname)) {
+        const data = JSON.parse(text);
+        if (!Array.isArray(data)) {
+            throw new Error('A JSON roster must be an array of players.');
+        }
+        return data.map(item => ({
+            name: item?.name,
+            stats: item?.stats ?? Object.fromEntries(statKeys.map(key => [key, item?.[key]])),
+            positions: item?.positions ?? (item?.primaryPosition
+                ? { primary: item.primaryPosition, secondary: item.secondaryPosition || null }
+                : null)
+        }));
+    }
+
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+        throw new Error('The CSV file is empty.');
+    }
+    const columns = header.map(column => column.trim());
+    const missing = ['name', ...statKeys].filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`The CSV header is missing: ${missing.join(', ')}.`);
+    }
+    return rows.map(cells => {
+        const record = {};
+        columns.forEach((column, i) => {
+            record[column] = (cells[i] ?? '').trim();
+        });
+        return {
+            name: record.name,
+            stats: Object.fromEntries(statKeys.map(key => [key, record[key] === '' ? undefined : Number(record[key])])),
+            positions: record.primaryPosition
+                ? { primary: record.primaryPosition, secondary: record.secondaryPosition || null }
+                : null
+        };
+    });
+}
+
+const PEER_RATED_MESSAGE = 'are set by peer ratings for this player';
+
+// Once enough members have rated a player, their consensus is the stats; typed or
+// imported values may only repeat it
+function overridesPeerRatings(person, stats, statDefs) {
+    return Boolean(person.peerRating?.applied) && statDefs.some(stat => stats[stat.key] !== person.stats?.[stat.key]);
+}
+
+// One imported record checked (stats and positions parsed, so JSON-string forms are
+// stored as objects), with its field-level problems as readable sentences
+function validateRosterRecord(record, sport) {
+    const { value = null, errors = [] } = validatePerson(record, sport);
+    return {
+        value,
+        errors: errors.map(({ field, message }) => field === 'positions'
+            ? message
+            : `${field.replace(/^stats\./, '')} ${message}`)
+    };
+}
+
+// ----------------------------------------------------------------------
+// Shared Team Sheets
+// ----------------------------------------------------------------------
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Standalone, print-friendly HTML for a saved configuration
+function renderTeamSheet(saved, groupName) {
+    const heading = saved.name || `Teams for ${new Date(saved.matchDate || saved.createdAt).toLocaleDateString('en-GB')}`;
+    const title = `${groupName ? `${groupName} – ` : ''}${heading}`;
+    const teamsHtml = saved.teams.map((team, i) => {
+        const score = saved.result ? `<div class="score">${escapeHtml(saved.result.scores[i])}</div>` : '';
+        const average = team.averages ? `<div class="meta">Average rating ${Math.round(team.averages.overall)}</div>` : '';
+        return `
+            <section class="team">
+                <h2>${escapeHtml(team.name)}</h2>
+                ${score}
+                ${average}
+                <ol>
+                    ${team.members.map(member => `
+                        <li>${escapeHtml(member.name)}${member.assignedPosition ? ` <span class="meta">${escapeHtml(member.assignedPosition)}</span>` : ''}</li>
+                    `).join('')}
+                </ol>
+            </section>
+        `;
+    }).join('');
+    const benchHtml = saved.bench && saved.bench.length > 0
+        ? `<p class="bench"><strong>Substitutes:</strong> ${saved.bench.map(member => escapeHtml(member.name)).join(', ')}</p>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 24px; background: #0f172a; color: #f1f5f9; }
+        h1 { text-align: center; color: #fbbf24; }
+        .teams { display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 20px; }
+        .team { background: #065f46; border-radius: 12px; padding: 16px; }
+        .team h2 { margin: 0 0 4px; color: #fbbf24; }
+        .score { font-size: 2em; font-weight: bold; }
+        .meta { opacity: 0.75; font-size: 0.85em; }
+        ol { padding-left: 22px; }
+        li { margin: 4px 0; }
+        .bench { text-align: center; }
+        @media print {
+            body { background: white; color: black; padding: 0; }
+            h1, .team h2 { color: black; }
+            .team { background: none; border: 2px solid black; break-inside: avoid; }
+        }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    ${saved.venue ? `<p class="bench meta">${escapeHtml(saved.venue)}</p>` : ''}
+    <div class="teams">${teamsHtml}</div>
+    ${benchHtml}
+</body>
+</html>`;
+}
+
+// Public, read-only view of a shared configuration
+app.get('/share/:token', async (req, res) => {
+    try {
+        const saved = await db.collection('savedTeams').findOne({ 'share.token': req.params.token });
+        if (!saved) {
+            return res.status(404).type('text/plain').send('This share link does not exist or has been revoked.');
+        }
+        const group = await db.collection('groups').findOne({ _id: saved.groupId });
+        const [resolved] = await resolveSavedTeams(saved.groupId, [saved]);
+        res.set('Cache-Control', 'no-store').type('html').send(renderTeamSheet(resolved, group?.name));
+    } catch (error) {
+        res.status(500).type('text/plain').send('Could not load the team sheet.');
+    }
+});
+
+// ----------------------------------------------------------------------
+// API Routes
+// ----------------------------------------------------------------------
+
+// List the group's sport profiles, default first
+app.get('/api/sports', async (req, res) => {
+    try {
+        await ensureDefaultSport(req.groupId);
+        const sports = await db.collection('sports').find(inGroup(req), { sort: { createdAt: 1 } });
+        res.json(sports.sort((a, b) => Number(Boolean(b.isDefault)) - Number(Boolean(a.isDefault))));
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Create a sport profile
+app.post('/api/sports', requireAdmin, async (req, res) => {
+    try {
+        const { value, errors } = validateSport(req.body);
+        if (errors) {
+            return sendValidationError(res, errors);
+        }
+        await ensureDefaultSport(req.groupId);
+        if (await findSportNameClash(req, value.name)) {
+            return sendError(res, 409, `A sport named "${value.name}" already exists.`, [
+                { field: 'name', message: 'is already taken by another sport' }
+            ]);
+        }
+
+        const sport = { groupId: req.groupId, ...value, isDefault: false, createdAt: new Date() };
+        const result = await db.collection('sports').insertOne(sport);
+        publish(req, 'sports', { id: String(result.insertedId) });
+        res.status(201).json({ ...sport, _id: result.insertedId });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Update a sport profile; its players' stats are reshaped to the new stat list
+app.put('/api/sports/:id', requireAdmin, async (req, res) => {
+    try {
+        const { value, errors } = validateSport(req.body);
+        if (errors) {
+            return sendValidationError(res, errors);
+        }
+        const existing = await db.collection('sports').findOne(inGroup(req, { _id: new ObjectId(req.params.id) }));
+        if (!existing) {
+            return sendError(res, 404, 'Sport not found');
+        }
+        if (await findSportNameClash(req, value.name, existing._id)) {
+            return sendError(res, 409, `A sport named "${value.name}" already exists.`, [
+                { field: 'name', message: 'is already taken by another sport' }
+            ]);
+        }
+
+        const updatedAt = new Date();
+        await db.collection('sports').updateOne({ _id: existing._id }, { $set: { ...value, updatedAt } });
+
+        const players = await db.collection('persons').find(inGroup(req, { sportId: existing._id }));
+        for (const player of players) {
+            const stats = conformStats(player.stats, value.stats);
+            if (JSON.stringify(stats) !== JSON.stringify(player.stats)) {
+                await db.collection('persons').updateOne({ _id: player._id }, { $set: { stats, updatedAt } });
+                await recordStatEdit(player, { stats, updatedAt });
+            }
+        }
+        publish(req, 'sports', { id: req.params.id });
+        publish(req, 'persons');
+        res.json({ ...existing, ...value, updatedAt });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Delete a sport profile that no players belong to any more
+app.delete('/api/sports/:id', requireAdmin, async (req, res) => {
+    try {
+        const existing = await db.collection('sports').findOne(inGroup(req, { _id: new ObjectId(req.params.id) }));
+        if (!existing) {
+            return sendError(res, 404, 'Sport not found');
+        }
+        if (existing.isDefault) {
+            return sendError(res, 409, 'The default sport cannot be deleted.');
+        }
+        const playerCount = await db.collection('persons').countDocuments(inGroup(req, { sportId: existing._id }));
+        if (playerCount > 0) {
+            return sendError(res, 409, `Move or delete the ${playerCount} player(s) in ${existing.name} first.`);
+        }
+
+        await db.collection('sports').deleteOne({ _id: existing._id });
+        publish(req, 'sports', { id: req.params.id });
+        res.json({ message: 'Sport deleted successfully' });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Get all persons, or with ?sportId= only that sport's roster
+app.get('/api/persons', async (req, res) => {
+    try {
+        const filter = inGroup(req);
+        const sport = await loadSport(req, req.query.sportId);
+        if (!sport) {
+            return sendUnknownSport(res);
+        }
+        if (req.query.sportId) {
+            filter.sportId = sport._id;
+        }
+        const persons = await db.collection('persons').find(filter);
+        res.json(persons);
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Export the roster as CSV or JSON
+app.get('/api/persons/export', async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!['csv', 'json'].includes(format)) {
+            return sendError(res, 400, 'format must be csv or json.');
+        }
+        
+        const sport = await loadSport(req, req.query.sportId);
+        if (!sport) {
+            return sendUnknownSport(res);
+        }
+        
+        const persons = await db.collection('persons').find(inGroup(req, { sportId: sport._id }), { sort: { name: 1 } });
+        const rows = persons.map(person => toRosterRow(person, sport));
+        const columns = rosterColumns(sport);
+        const slug = sport.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const filename = `roster-${slug ? `${slug}-` : ''}${new Date().toISOString().slice(0, 10)}.${format}`;
+        
+        res.attachment(filename);
+        if (format === 'json') {
+            return res.json(persons.map(person => ({
+                name: person.name,
+                stats: person.stats,
+                positions: person.positions || null
+            })));
+        }
+        res.type('text/csv').send([
+            columns.join(','),
+            ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))
+        ].join('\r\n') + '\r\n');
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Import a roster file. dryRun=true only reports what would happen;
+// mode=upsert updates players whose name already exists instead of rejecting them.
+app.post('/api/persons/import', requireAdmin, rosterUpload, async (req, res) => {
+    try {
+        const dryRun = String(req.body.dryRun ?? req.query.dryRun) === 'true';
+        const mode = req.body.mode || req.query.mode || 'create';
+        
+        if (!['create', 'upsert'].includes(mode)) {
+            return sendError(res, 400, 'mode must be create or upsert.');
+        }
+        if (!req.file) {
+            return sendError(res, 400, 'Attach a .csv or .json file as "file".');
+        }
+        const sport = await loadSport(req, req.body.sportId ?? req.query.sportId);
+        if (!sport) {
+            return sendUnknownSport(res);
+        }
+        
+        let records;
+        try {
+            records = readRosterFile(req.file, sport);
+        } catch (parseError) {
+            return sendError(res, 400, `Could not read roster: ${parseError.message}`);
+        }
+        
+        const existing = await db.collection('persons').find(inGroup(req, { sportId: sport._id }));
+        const byName = new Map(existing.map(person => [person.name.trim().toLowerCase(), person]));
+        const seen = new Set();
+        
+        const rows = records.map((record, index) => {
+            // Row numbers match what the user sees in a spreadsheet (header is row 1)
+            const { value, errors } = validateRosterRecord(record, sport);
+            const row = { row: index + 2, name: record.name ?? null, errors };
+            const key = typeof record.name === 'string' ? record.name.trim().toLowerCase() : null;
+            if (key && seen.has(key)) {
+                row.errors.push('name appears more than once in this file');
+            }
+            if (key) seen.add(key);
+            
+            const match = key ? byName.get(key) : null;
+            if (match && mode === 'create') {
+                row.errors.push('a player with this name already exists (use upsert to update)');
+            }
+            if (match && value && overridesPeerRatings(match, value.stats, sport.stats)) {
+                row.errors.push(`stats ${PEER_RATED_MESSAGE}`);
+            }
+            row.action = row.errors.length > 0 ? 'skip' : match ? 'update' : 'create';
+            row.value = value;
+            row.match = match;
+            return row;
+        });
+        
+        if (!dryRun) {
+            for (const row of rows) {
+                if (row.action === 'skip') continue;
+                const { name, stats, positions } = row.value;
+                if (row.action === 'create') {
+                    await db.collection('persons').insertOne({
+                        groupId: req.groupId,
+                        sportId: sport._id,
+                        name,
+                        stats,
+                        positions,
+                        photo: null,
+                        photoId: null,
+                        createdAt: new Date()
+                    });
+                } else {
+                    const updateData = { name, stats, positions, updatedAt: new Date() };
+                    await db.collection('persons').updateOne({ _id: row.match._id }, { $set: updateData });
+                    await recordStatEdit(row.match, updateData);
+                }
+            }
+        }
+        
+        if (!dryRun) {
+            publish(req, 'persons');
+        }
+        
+        const count = action => rows.filter(row => row.action === action).length;
+        res.json({
+            dryRun,
+            mode,
+            sportId: sport._id,
+            summary: { created: count('create'), updated: count('update'), skipped: count('skip') },
+            rows: rows.map(({ row, name, action, errors }) => ({ row, name, action, errors }))
+        });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Create person
+app.post('/api/persons', requireAdmin, photoUpload, async (req, res) => {
+    try {
+        const sport = await loadSport(req, req.body.sportId);
+        if (!sport) {
+            return sendUnknownSport(res);
+        }
+        const { value, errors } = validatePerson(req.body, sport);
+        const thumbnail = req.file ? await makeThumbnail(req.file) : { value: null };
+        if (errors || thumbnail.errors) {
+            return sendValidationError(res, [...(errors || []), ...(thumbnail.errors || [])]);
+        }
+        if (await findNameClash(req, value.name, sport._id)) {
+            return sendNameClash(res, value.name);
+        }
+        
+        const _id = new ObjectId();
+        let photoId = null;
+        let photo = null;
+        if (thumbnail.value) {
+            photoId = await savePhoto(thumbnail.value, req.file);
+            photo = photoUrl(_id, photoId);
+        }
+        
+        const person = {
+            _id,
+            groupId: req.groupId,
+            sportId: sport._id,
+            name: value.name,
+            stats: value.stats, 
+            positions: value.positions,
+            photo, 
+            photoId,
+            createdAt: new Date()
+        };
+        
+        await db.collection('persons').insertOne(person);
+        publish(req, 'persons', { id: String(_id) });
+        res.status(201).json(person); 
+
+    } catch (error) {
+        console.error('Database Error saving person:', error.message);
+        sendError(res, 500, error.message || 'Unknown database error saving person.');
+    }
+});
+
+// Update person
+app.put('/api/persons/:id', requireAdmin, photoUpload, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const existing = await db.collection('persons').findOne(inGroup(req, { _id: new ObjectId(id) }));
+        if (!existing) {
+            return sendError(res, 404, 'Person not found');
+        }
+        
+        // Players stay in their sport; the stats are checked against its profile
+        const sport = await loadSport(req, existing.sportId);
+        const { value, errors } = validatePerson(req.body, sport);
+        const thumbnail = req.file ? await makeThumbnail(req.file) : { value: null };
+        if (errors || thumbnail.errors) {
+            return sendValidationError(res, [...(errors || []), ...(thumbnail.errors || [])]);
+        }
+        if (isStale(existing, req.body.expectedUpdatedAt)) {
+            return sendStale(res);
+        }
+        if (await findNameClash(req, value.name, sport._id, existing._id)) {
+            return sendNameClash(res, value.name);
+        }
+        if (overridesPeerRatings(existing, value.stats, sport.stats)) {
+            return sendValidationError(res, [{ field: 'stats', message: PEER_RATED_MESSAGE }]);
+        }
+        
+        const updateData = { ...value, updatedAt: new Date() };
+        
+        if (thumbnail.value) {
+            updateData.photoId = await savePhoto(thumbnail.value, req.file);
+            updateData.photo = photoUrl(existing._id, updateData.photoId);
+        }
+        
+        await db.collection('persons').updateOne(
+            { _id: existing._id },
+            { $set: updateData }
+        );
+        await recordStatEdit(existing, updateData);
+        
+        // Only drop the old photo once the new one is referenced
+        if (thumbnail.value) {
+            await deletePhoto(existing.photoId);
+        }
+        
+        publish(req, 'persons', { id });
+        res.json({ message: 'Person updated successfully' });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Get a player's games, most frequent teammates, results and edit history
+app.get('/api/persons/:id/history', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const person = await db.collection('persons').findOne(inGroup(req, { _id: new ObjectId(id) }));
+        
+        if (!person) {
+            return sendError(res, 404, 'Person not found');
+        }
+        
+        const [storedGames, edits] = await Promise.all([
+            db.collection('savedTeams').find(inGroup(req, { 'teams.members._id': id }), { sort: { createdAt: 1 } }),
+            db.collection('statHistory').find(inGroup(req, { personId: id }), { sort: { changedAt: 1 } })
+        ]);
+        // Teammates under their current names
+        const games = await resolveSavedTeams(req.groupId, storedGames);
+        
+        const record = { wins: 0, draws: 0, losses: 0 };
+        const together = new Map();
+        const timeline = games.map(game => {
+            const teamIndex = game.teams.findIndex(team => team.members.some(member => member._id === id));
+            game.teams[teamIndex].members.filter(member => member._id !== id).forEach(member => {
+                const mate = together.get(member._id) || { personId: member._id, gamesTogether: 0 };
+                together.set(member._id, { ...mate, name: member.name, gamesTogether: mate.gamesTogether + 1 });
+            });
+            
+            const entry = { savedTeamId: game._id, date: game.createdAt, team: game.teams[teamIndex].name };
+            if (game.result) {
+                entry.outcome = outcomeFor(game.result.scores, teamIndex);
+                entry.score = game.result.scores;
+                const change = (game.result.ratingChanges || []).find(c => c.personId === id);
+                entry.ratingChange = change ? change.delta : null;
+                record[{ win: 'wins', draw: 'draws', loss: 'losses' }[entry.outcome]]++;
+            }
+            return entry;
+        });
+        
+        res.json({
+            person,
+            gamesPlayed: games.length,
+            record,
+            teammates: [...together.values()]
+                .sort((a, b) => b.gamesTogether - a.gamesTogether || a.name.localeCompare(b.name))
+                .slice(0, 5),
+            games: timeline,
+            statEdits: edits
+        });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Get person photo
+app.get('/api/persons/:id/photo', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const person = await db.collection('persons').findOne(
+            inGroup(req, { _id: new ObjectId(id) }),
+            { projection: { photoId: 1 } }
+        );
+        
+        if (!person || !person.photoId || !(await db.photos.exists(person.photoId))) {
+            return sendError(res, 404, 'Photo not found');
+        }
+        
+        const etag = `"${person.photoId}"`;
+        res.set({
+            'Content-Type': 'image/jpeg',
+            // Photos are only visible to the group, so shared caches must not keep them
+            'Cache-Control': req.query.v ? 'private, max-age=31536000, immutable' : 'private, max-age=3600',
+            'ETag': etag
+        });
+        if (req.headers['if-none-match'] === etag) {
+            return res.status(304).end();
+        }
+        
+        db.photos.openDownloadStream(person.photoId)
+            .on('error', () => res.end())
+            .pipe(res);
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Delete person
+app.delete('/api/persons/:id', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const existing = await db.collection('persons').findOne(inGroup(req, { _id: new ObjectId(id) }));
+        if (existing && isStale(existing, req.query.expectedUpdatedAt)) {
+            return sendStale(res);
+        }
+        
+        const person = await db.collection('persons').findOneAndDelete(inGroup(req, { _id: new ObjectId(id) }));
+        if (!person) {
+            return sendError(res, 404, 'Person not found');
+        }
+        // Saved configurations keep listing the player (as deleted) with their saved rating
+        const savedTeamCount = await db.collection('savedTeams')
+            .countDocuments(inGroup(req, { $or: [{ 'teams.members._id': id }, { 'bench._id': id }] }));
+        
+        await deletePhoto(person.photoId);
+        await db.collection('sessions').updateMany(inGroup(req), { $pull: { presentIds: id } });
+        await db.collection('statHistory').deleteMany(inGroup(req, { personId: id }));
+        await db.collection('peerRatings').deleteMany(inGroup(req, { personId: id }));
+        // Rules left with fewer than two players no longer mean anything
+        await db.collection('constraints').updateMany(inGroup(req), { $pull: { personIds: id } });
+        await db.collection('constraints').deleteMany(inGroup(req, { 'personIds.1': { $exists: false } }));
+        publish(req, 'persons', { id });
+        res.json({
+            message: 'Person deleted successfully',
+            savedTeamCount,
+            warning: savedTeamCount > 0
+                ? `${person.name} is still listed as a deleted player in ${savedTeamCount} saved configuration(s).`
+                : null
+        });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// ----------------------------------------------------------------------
+// Peer Ratings (members rate each other's stats; the consensus becomes the stats)
+// ----------------------------------------------------------------------
+
+// Votes needed before the consensus replaces the stats typed into the player form
+const MIN_PEER_VOTES = 3;
+// Share of the remaining votes dropped from each end before averaging
+const PEER_TRIM_SHARE = 0.2;
+// A vote is an outlier on a stat when it sits this many median absolute deviations
+// from the median, and at least this share of the stat's range away
+const OUTLIER_MADS = 3;
+const OUTLIER_MIN_SHARE = 0.15;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function trimmedMean(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const cut = Math.floor(sorted.length * PEER_TRIM_SHARE);
+    const kept = sorted.slice(cut, sorted.length - cut);
+    return kept.reduce((sum, value) => sum + value, 0) / kept.length;
+}
+
+// Per stat: the spread of votes, which of them are outliers and the trimmed mean of
+// the rest. stats is the consensus, or null until enough members have voted.
+function aggregatePeerRatings(votes, statDefs) {
+    const outliers = new Map(votes.map(vote => [vote, []]));
+    const distribution = statDefs.map(({ key, min, max }) => {
+        const rated = votes.filter(vote => Number.isFinite(vote.stats?.[key]));
+        const values = rated.map(vote => vote.stats[key]);
+        if (values.length === 0) {
+            return { key, votes: 0, median: null, mean: null, outliers: 0 };
+        }
+        const middle = median(values);
+        const deviation = median(values.map(value => Math.abs(value - middle)));
+        const limit = Math.max(OUTLIER_MADS * deviation, OUTLIER_MIN_SHARE * (max - min));
+        const kept = rated.filter(vote => {
+            if (Math.abs(vote.stats[key] - middle) <= limit) return true;
+            outliers.get(vote).push(key);
+            return false;
+        }).map(vote => vote.stats[key]);
+        const mean = Math.min(max, Math.max(min, Math.round(trimmedMean(kept))));
+        return { key, votes: values.length, median: middle, mean, outliers: values.length - kept.length };
+    });
+    const stats = votes.length >= MIN_PEER_VOTES && distribution.every(stat => stat.mean !== null)
+        ? Object.fromEntries(distribution.map(stat => [stat.key, stat.mean]))
+        : null;
+    return { stats, distribution, outliers };
+}
+
+// What a member sees about a player's ratings. Votes are anonymous to other members;
+// admins get each vote with who cast it, so abuse can be traced.
+async function peerRatingSummary(req, person, sport) {
+    const votes = await db.collection('peerRatings')
+        .find(inGroup(req, { personId: String(person._id) }), { sort: { updatedAt: -1 } });
+    const { stats, distribution, outliers } = aggregatePeerRatings(votes, sport.stats);
+    const mine = votes.find(vote => String(vote.raterId) === String(req.user._id));
+    const summary = {
+        personId: String(person._id),
+        voteCount: votes.length,
+        minVotes: MIN_PEER_VOTES,
+        stats,
+        myVote: mine ? mine.stats : null
+    };
+    if (req.role === 'admin') {
+        summary.distribution = distribution;
+        summary.votes = votes.map(vote => ({
+            raterId: vote.raterId,
+            raterName: vote.raterName,
+            stats: vote.stats,
+            outliers: outliers.get(vote),
+            updatedAt: vote.updatedAt
+        }));
+    }
+    return summary;
+}
+
+// Writes the consensus into the player's stats once there are enough votes, so the
+// roster and the generator use it; below the threshold the stats are left as they are
+async function applyPeerRatings(req, person, sport) {
+    const summary = await peerRatingSummary(req, person, sport);
+    const peerRating = { votes: summary.voteCount, applied: summary.stats !== null };
+    const updateData = { peerRating, updatedAt: new Date() };
+    if (summary.stats) {
+        updateData.stats = summary.stats;
+    }
+    await db.collection('persons').updateOne({ _id: person._id }, { $set: updateData });
+    await recordStatEdit(person, updateData);
+    publish(req, 'persons', { id: String(person._id) });
+    return summary;
+}
+
+async function loadRatedPerson(req, res) {
+    const person = await db.collection('persons').findOne(inGroup(req, { _id: new ObjectId(req.params.id) }));
+    if (!person) {
+        sendError(res, 404, 'Person not found');
+        return null;
+    }
+    return { person, sport: await loadSport(req, person.sportId) };
+}
+
+// The consensus and the requester's own vote (plus every vote, for admins)
+app.get('/api/persons/:id/ratings', async (req, res) => {
+    try {
+        const rated = await loadRatedPerson(req, res);
+        if (!rated) return;
+        res.json(await peerRatingSummary(req, rated.person, rated.sport));
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Cast or change the requester's vote; each member has one vote per player
+app.put('/api/persons/:id/ratings', async (req, res) => {
+    try {
+        const rated = await loadRatedPerson(req, res);
+        if (!rated) return;
+        const { value, errors } = parseStats(req.body.stats, rated.sport.stats);
+        if (errors) {
+            return sendValidationError(res, errors);
+        }
+        
+        const now = new Date();
+        await db.collection('peerRatings').updateOne(
+            inGroup(req, { personId: req.params.id, raterId: req.user._id }),
+            {
+                $set: { stats: value, raterName: req.user.username, updatedAt: now },
+                $setOnInsert: { createdAt: now }
+            },
+            { upsert: true }
+        );
+        res.json(await applyPeerRatings(req, rated.person, rated.sport));
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Withdraw the requester's own vote
+app.delete('/api/persons/:id/ratings', async (req, res) => {
+    try {
+        const rated = await loadRatedPerson(req, res);
+        if (!rated) return;
+        const removed = await db.collection('peerRatings')
+            .findOneAndDelete(inGroup(req, { personId: req.params.id, raterId: req.user._id }));
+        if (!removed) {
+            return sendError(res, 404, 'You have not rated this player');
+        }
+        res.json(await applyPeerRatings(req, rated.person, rated.sport));
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Admins can strike out a member's vote, e.g. one that keeps showing up as an outlier
+app.delete('/api/persons/:id/ratings/:userId', requireAdmin, async (req, res) => {
+    try {
+        const rated = await loadRatedPerson(req, res);
+        if (!rated) return;
+        const removed = await db.collection('peerRatings')
+            .findOneAndDelete(inGroup(req, { personId: req.params.id, raterId: new ObjectId(req.params.userId) }));
+        if (!removed) {
+            return sendError(res, 404, 'Rating not found');
+        }
+        res.json(await applyPeerRatings(req, rated.person, rated.sport));
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// ----------------------------------------------------------------------
+// Saved Team Details, Versions and Search
+// ----------------------------------------------------------------------
+
+const TEAM_DETAIL_FIELDS = ['name', 'notes', 'venue', 'matchDate', 'tags'];
+const MAX_NOTES_LENGTH = 1000;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_SAVED_TEAMS = 10;
+const MAX_TEAMS_PAGE = 100;
+
+// Tags are matched case-insensitively, so they are stored lower case; a comma-separated
+// string is accepted as well as a list
+function parseTags(tags) {
+    const list = typeof tags === 'string' ? tags.split(',') : tags;
+    if (!Array.isArray(list) || !list.every(tag => typeof tag === 'string')) {
+        return null;
+    }
+    const parsed = [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    return parsed.length <= MAX_TAGS && parsed.every(tag => tag.length <= MAX_TAG_LENGTH) ? parsed : null;
+}
+
+// Only the fields present in the body are checked and returned, so an update can change
+// one at a time; empty strings clear a field
+function validateTeamDetails(body) {
+    const errors = [];
+    const value = {};
+    const text = (field, maxLength) => {
+        if (body[field] === undefined) return;
+        if (body[field] !== null && typeof body[field] !== 'string') {
+            errors.push({ field, message: 'must be text' });
+            return;
+        }
+        const trimmed = (body[field] || '').trim();
+        if (trimmed.length > maxLength) {
+            errors.push({ field, message: `must be at most ${maxLength} characters` });
+        } else {
+            value[field] = trimmed || null;
+        }
+    };
+    
+    text('name', MAX_NAME_LENGTH);
+    text('venue', MAX_NAME_LENGTH);
+    text('notes', MAX_NOTES_LENGTH);
+    if (body.matchDate !== undefined) {
+        const matchDate = body.matchDate ? new Date(body.matchDate) : null;
+        if (matchDate && isNaN(matchDate.getTime())) {
+            errors.push({ field: 'matchDate', message: 'must be a valid date' });
+        } else {
+            value.matchDate = matchDate;
+        }
+    }
+    if (body.tags !== undefined) {
+        const tags = body.tags === null ? [] : parseTags(body.tags);
+        if (!tags) {
+            errors.push({ field: 'tags', message: `must be up to ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters` });
+        } else {
+            value.tags = tags;
+        }
+    }
+    
+    return errors.length > 0 ? { errors } : { value };
+}
+
+// Teams as the client shows them: named teams of players, plus substitutes. Nobody may
+// appear twice.
+function validateLineup(teams, bench = []) {
+    const isMember = member => member && typeof member === 'object' && typeof member.name === 'string'
+        && isObjectIdString(String(member._id));
+    if (!Array.isArray(teams) || teams.length < 1 || teams.length > MAX_SAVED_TEAMS
+        || !teams.every(team => team && typeof team.name === 'string' && Array.isArray(team.members) && team.members.every(isMember))) {
+        return { errors: [{ field: 'teams', message: `must be 1 to ${MAX_SAVED_TEAMS} named teams of players` }] };
+    }
+    if (teams.some(team => team.name.trim().length > MAX_NAME_LENGTH)) {
+        return { errors: [{ field: 'teams', message: `team names must be at most ${MAX_NAME_LENGTH} characters` }] };
+    }
+    if (!Array.isArray(bench) || !bench.every(isMember)) {
+        return { errors: [{ field: 'bench', message: 'must be a list of players' }] };
+    }
+    const ids = [...teams.flatMap(team => team.members), ...bench].map(member => String(member._id));
+    if (new Set(ids).size !== ids.length) {
+        return { errors: [{ field: 'teams', message: 'must not list a player more than once' }] };
+    }
+    return { value: { teams: teams.map(team => ({ ...team, name: team.name.trim() })), bench } };
+}
+
+// The inputs of a draw as returned by /api/teams/generate (or the offline generator),
+// kept so the draw can be re-run from its seed
+function validateDraw(draw) {
+    const invalid = message => ({ errors: [{ field: 'draw', message }] });
+    if (!draw || typeof draw !== 'object' || Array.isArray(draw)) {
+        return invalid('must be the draw details returned with the generated teams');
+    }
+    if (!SEED_PATTERN.test(String(draw.seed))) {
+        return invalid('seed may only use letters, digits, - and _ (up to 64 characters)');
+    }
+    if (!Number.isInteger(draw.numTeams) || draw.numTeams < 2 || !['bench', 'uneven'].includes(draw.unevenMode)
+        || !RATING_MODES.includes(draw.ratingMode) || !STRATEGIES.includes(draw.strategy)
+        || !Number.isFinite(draw.variety) || draw.variety < 0 || draw.variety > 100
+        || (draw.formation !== null && typeof draw.formation !== 'string')) {
+        return invalid('has missing or unknown draw options');
+    }
+    if (!draw.pins || typeof draw.pins !== 'object' || !Array.isArray(draw.constraints) || !Array.isArray(draw.history)) {
+        return invalid('needs the pins, pairing rules and history the draw used');
+    }
+    const { seed, numTeams, unevenMode, formation, ratingMode, strategy, variety, pins, constraints, history } = draw;
+    return {
+        value: {
+            seed: String(seed), numTeams, unevenMode, formation, ratingMode, strategy, variety, pins,
+            constraints: constraints.map(({ type, personIds }) => ({ type, personIds })),
+            history
+        }
+    };
+}
+
+// Where each player sits in a configuration: a team name or the substitutes
+function placements(config) {
+    const places = new Map();
+    config.teams.forEach(team => team.members.forEach(member => {
+        places.set(String(member._id), { name: memberName(member), place: team.name });
+    }));
+    (config.bench || []).forEach(member => places.set(String(member._id), { name: memberName(member), place: 'Substitutes' }));
+    return places;
+}
+
+// Who moved between two versions; from or to is null for players added or dropped
+function diffLineups(before, after) {
+    const from = placements(before);
+    const to = placements(after);
+    return [...new Set([...from.keys(), ...to.keys()])]
+        .map(personId => ({
+            personId,
+            name: (to.get(personId) || from.get(personId)).name,
+            from: from.get(personId)?.place ?? null,
+            to: to.get(personId)?.place ?? null
+        }))
+        .filter(move => move.from !== move.to);
+}
+
+// Line-up changes that move nobody: teams added, dropped, renamed or reordered, and a new balance
+function diffLineupShape(before, after) {
+    const changes = [];
+    const teamNames = config => config.teams.map(team => team.name);
+    if (JSON.stringify(teamNames(before)) !== JSON.stringify(teamNames(after))) {
+        changes.push({ field: 'teams', from: teamNames(before), to: teamNames(after) });
+    }
+    if (JSON.stringify(before.balance ?? null) !== JSON.stringify(after.balance ?? null)) {
+        changes.push({ field: 'balance', from: before.balance?.score ?? null, to: after.balance?.score ?? null });
+    }
+    return changes;
+}
+
+function versionSnapshot(saved) {
+    const { teams, bench = [], balance = null, name = null, notes = null, venue = null, matchDate = null, tags = [] } = saved;
+    return { version: saved.version || 1, teams, bench, balance, name, notes, venue, matchDate, tags };
+}
+
+// ----------------------------------------------------------------------
+// Saved Team Players (stored as ids plus the rating they had when saved)
+// ----------------------------------------------------------------------
+
+const ASSIGNED_POSITIONS = [...POSITIONS, 'SUB'];
+
+// What a stored member looks like: the person id, the position they were drawn into,
+// and a snapshot of their name and ratings at the time, taken from the stored player
+// (never from what the client sent). Current details are looked up on read, so edits
+// to the player show up in old configurations too.
+function storedMember(member, person, statDefs, previous) {
+    const stored = { _id: String(member._id) };
+    if (ASSIGNED_POSITIONS.includes(member.assignedPosition)) {
+        stored.assignedPosition = member.assignedPosition;
+    }
+    stored.snapshot = previous?.snapshot || {
+        name: person.name,
+        overall: person.stats ? round1(overallRating(person.stats, statDefs, person.positions?.primary)) : null,
+        elo: person.rating ?? ELO_BASE,
+        // What the generator rated them on, so a seeded draw can be re-run
+        stats: person.stats || null,
+        positions: person.positions || null
+    };
+    return stored;
+}
+
+function lineupMembers({ teams, bench = [] }) {
+    return [...teams.flatMap(team => team.members), ...(bench || [])];
+}
+
+// The stored players a posted line-up names. Players already in the configuration
+// may have been deleted since; anyone else has to be on the group's roster.
+async function loadLineupPlayers(req, lineup, existing = null) {
+    const kept = new Set(existing ? lineupMembers(existing).map(member => String(member._id)) : []);
+    const ids = [...new Set(lineupMembers(lineup).map(member => String(member._id)))];
+    const persons = await db.collection('persons')
+        .find(inGroup(req, { _id: { $in: ids.map(id => new ObjectId(id)) } }));
+    const byId = new Map(persons.map(person => [String(person._id), person]));
+    const unknown = ids.filter(id => !byId.has(id) && !kept.has(id));
+    if (unknown.length > 0) {
+        return { errors: [{ field: 'teams', message: `lists players who are not on your roster: ${unknown.join(', ')}` }] };
+    }
+    return { value: byId };
+}
+
+// Players already in the configuration keep the snapshot from when they were first saved
+function toStoredLineup({ teams, bench = [] }, statDefs, persons, existing = null) {
+    const previous = new Map();
+    if (existing) {
+        lineupMembers(existing).forEach(member => previous.set(String(member._id), member));
+    }
+    const store = member => storedMember(member, persons.get(String(member._id)), statDefs, previous.get(String(member._id)));
+    return {
+        teams: teams.map(team => ({ ...team, members: team.members.map(store) })),
+        bench: bench.map(store)
+    };
+}
+
+function memberName(member) {
+    return member.name ?? member.snapshot?.name ?? 'Unknown player';
+}
+
+// Fill in who each stored player is now. Players deleted since keep their saved name and
+// rating and are flagged with deleted: true.
+async function resolveSavedTeams(groupId, savedList) {
+    const ids = new Set(savedList.flatMap(saved => [...saved.teams.flatMap(team => team.members), ...(saved.bench || [])])
+        .map(member => String(member._id))
+        .filter(isObjectIdString));
+    const persons = ids.size === 0 ? [] : await db.collection('persons')
+        .find({ groupId, _id: { $in: [...ids].map(id => new ObjectId(id)) } });
+    const byId = new Map(persons.map(person => [String(person._id), person]));
+
+    const resolve = member => {
+        const { snapshot = null, assignedPosition } = member;
+        const person = byId.get(String(member._id));
+        if (!person) {
+            return { _id: String(member._id), name: memberName(member), assignedPosition, snapshot, deleted: true };
+        }
+        return { ...person, _id: String(person._id), assignedPosition, snapshot };
+    };
+    return savedList.map(saved => ({
+        ...saved,
+        teams: saved.teams.map(team => ({ ...team, members: team.members.map(resolve) })),
+        bench: (saved.bench || []).map(resolve)
+    }));
+}
+
+// One-off: configurations saved before players were stored by id embed whole player
+// objects (always with stats). Their embedded copy is the best record of the rating at
+// the time, so it becomes the snapshot.
+async function migrateSavedTeamPlayers() {
+    const legacy = await db.collection('savedTeams').find({ $or: [{ 'teams.members.stats': { $exists: true } }, { 'bench.stats': { $exists: true } }] });
+    for (const saved of legacy) {
+        const embedded = new Map(lineupMembers(saved).map(member => [String(member._id), member]));
+        const lineup = toStoredLineup(saved, saved.ratingModel || DEFAULT_STATS, embedded);
+        await db.collection('savedTeams').updateOne({ _id: saved._id }, { $set: lineup });
+    }
+    if (legacy.length > 0) {
+        app.locals.log(`Stored players by id in ${legacy.length} saved configuration(s)`);
+    }
+}
+
+// ?from= and ?to= (the match date, or the saved date for configurations without one),
+// ?tag=, ?personId= (played or was a substitute) and ?limit= / ?offset= for paging
+function parseTeamsQuery(query) {
+    const errors = [];
+    const clauses = [];
+    
+    const range = {};
+    [['from', '$gte'], ['to', '$lte']].forEach(([field, operator]) => {
+        if (!query[field]) return;
+        const date = new Date(query[field]);
+        if (isNaN(date.getTime())) {
+            errors.push({ field, message: 'must be a valid date' });
+            return;
+        }
+        // A bare day includes everything on it
+        if (field === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+            date.setUTCHours(23, 59, 59, 999);
+        }
+        range[operator] = date;
+    });
+    if (Object.keys(range).length > 0) {
+        clauses.push({ $or: [
+            { matchDate: range },
+            { matchDate: null, createdAt: range },
+            { matchDate: { $exists: false }, createdAt: range }
+        ] });
+    }
+    if (query.tag) {
+        clauses.push({ tags: String(query.tag).trim().toLowerCase() });
+    }
+    if (query.personId) {
+        if (!isObjectIdString(query.personId)) {
+            errors.push({ field: 'personId', message: 'must be a player id' });
+        } else {
+            clauses.push({ $or: [{ 'teams.members._id': query.personId }, { 'bench._id': query.personId }] });
+        }
+    }
+    
+    const limit = query.limit === undefined ? undefined : Number(query.limit);
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_TEAMS_PAGE)) {
+        errors.push({ field: 'limit', message: `must be a whole number from 1 to ${MAX_TEAMS_PAGE}` });
+    }
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+        errors.push({ field: 'offset', message: 'must be a whole number from 0' });
+    }
+    
+    return errors.length > 0 ? { errors } : { value: { clauses, limit, offset } };
+}
+
+// Get all saved teams (or one filtered page of them)
+app.get('/api/teams', async (req, res) => {
+    try {
+        const { value, errors } = parseTeamsQuery(req.query);
+        if (errors) {
+            return sendValidationError(res, errors);
+        }
+        
+        const filter = inGroup(req, value.clauses.length > 0 ? { $and: value.clauses } : {});
+        const [teams, total] = await Promise.all([
+            db.collection('savedTeams').find(filter, { sort: { createdAt: -1 }, skip: value.offset, limit: value.limit }),
+            db.collection('savedTeams').countDocuments(filter)
+        ]);
+        res.set('X-Total-Count', String(total)).json(await resolveSavedTeams(req.groupId, teams));
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// One saved configuration
+app.get('/api/teams/:id', async (req, res) => {
+    try {
+        const saved = await db.collection('savedTeams').findOne(inGroup(req, { _id: new ObjectId(req.params.id) }));
+        if (!saved) {
+            return sendError(res, 404, 'Saved team not found');
+        }
+        const [resolved] = await resolveSavedTeams(req.groupId, [saved]);
+        res.json(resolved);
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Every saved version of a configuration, newest first
+app.get('/api/teams/:id/versions', async (req, res) => {
+    try {
+        const saved = await db.collection('savedTeams').findOne(inGroup(req, { _id: new ObjectId(req.params.id) }));
+        if (!saved) {
+            return sendError(res, 404, 'Saved team not found');
+        }
+        const versions = await db.collection('teamVersions')
+            .find(inGroup(req, { savedTeamId: req.params.id }), { sort: { version: -1 } });
+        res.json(versions);
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// How many recent saved configurations fair rotation may look back over
+const MAX_ROTATION_WINDOW = 20;
+
+// Generate balanced teams from the selected players
+app.post('/api/teams/generate', async (req, res) => {
+    try {
+        const { playerIds, numTeams, unevenMode = 'bench', formation, ratingMode = 'stats', strategy = 'overall' } = req.body;
+        const teamCount = parseInt(numTeams);
+        // Fair rotation: 0 ignores history, 100 trades the most balance (within tolerance) for new pairings
+        const variety = Number(req.body.variety ?? 0);
+        const rotationWindow = Number(req.body.rotationWindow ?? DEFAULT_ROTATION_WINDOW);
+        // Players locked to a team by hand: { personId: teamIndex }
+        const pins = req.body.pins ?? {};
+
+        const errors = [];
+        const selected = parseIdList(playerIds, 'playerIds');
+        if (selected.errors) {
+            errors.push(...selected.errors);
+        } else if (selected.value.length === 0) {
+            errors.push({ field: 'playerIds', message: 'must include at least one player' });
+        }
+        if (!Number.isInteger(teamCount) || teamCount < 2) {
+            errors.push({ field: 'numTeams', message: 'must be a whole number of at least 2' });
+        }
+        if (!['bench', 'uneven'].includes(unevenMode)) {
+            errors.push({ field: 'unevenMode', message: 'must be bench or uneven' });
+        }
+        if (!RATING_MODES.includes(ratingMode)) {
+            errors.push({ field: 'ratingMode', message: `must be one of ${RATING_MODES.join(', ')}` });
+        }
+        if (!pins || typeof pins !== 'object' || Array.isArray(pins) || Object.entries(pins).some(([id, team]) =>
+            !selected.value?.includes(id) || !Number.isInteger(team) || team < 0 || team >= teamCount)) {
+            errors.push({ field: 'pins', message: 'must map selected player ids to a team index from 0 to numTeams - 1' });
+        }
+        if (formation && !parseFormation(formation)) {
+            errors.push({ field: 'formation', message: 'must look like "1-2-2" (keeper first)' });
+        }
+        if (!Number.isFinite(variety) || variety < 0 || variety > 100) {
+            errors.push({ field: 'variety', message: 'must be a number from 0 to 100' });
+        }
+        if (!Number.isInteger(rotationWindow) || rotationWindow < 1 || rotationWindow > MAX_ROTATION_WINDOW) {
+            errors.push({ field: 'rotationWindow', message: `must be a whole number of games from 1 to ${MAX_ROTATION_WINDOW}` });
+        }
+        // A given seed replays a draw exactly; without one the generator picks its own
+        if (req.body.seed !== undefined && !SEED_PATTERN.test(String(req.body.seed))) {
+            errors.push({ field: 'seed', message: 'may only use letters, digits, - and _ (up to 64 characters)' });
+        }
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        const sport = await loadSport(req, req.body.sportId);
+        if (!sport) {
+            return sendUnknownSport(res);
+        }
+        const strategyProblem = strategyError(strategy, sport.stats);
+        if (strategyProblem) {
+            return sendValidationError(res, [{ field: 'strategy', message: strategyProblem }]);
+        }
+
+        const players = await db.collection('persons')
+            .find(inGroup(req, { _id: { $in: selected.value.map(id => new ObjectId(id)) } }));
+
+        if (players.length < teamCount) {
+            return sendValidationError(res, [{
+                field: 'playerIds',
+                message: `must include at least ${teamCount} of your players to make ${teamCount} teams`
+            }]);
+        }
+
+        const constraints = await db.collection('constraints')
+            .find(inGroup(req, { personIds: { $in: selected.value } }));
+        const recent = await db.collection('savedTeams').find(
+            inGroup(req, { sportId: sport._id }),
+            { projection: { teams: 1 }, sort: { createdAt: -1 }, limit: rotationWindow }
+        );
+
+        const history = pairingHistory(recent, rotationWindow);
+        const result = generateTeams(players, {
+            numTeams: teamCount, unevenMode, formation, ratingMode, constraints, pins, stats: sport.stats, strategy,
+            history,
+            variety: variety / 100,
+            seed: req.body.seed
+        });
+        if (result.error) {
+            return sendError(res, 409, result.error);
+        }
+        // The stat list and weights the draw used, so a saved copy can explain itself later,
+        // and every other input, so it can be re-run from its seed
+        res.json({
+            ...result,
+            sportId: sport._id,
+            ratingModel: sport.stats,
+            draw: {
+                seed: result.seed,
+                numTeams: teamCount,
+                unevenMode,
+                formation: formation || null,
+                ratingMode,
+                strategy,
+                variety,
+                pins,
+                constraints: constraints.map(({ type, personIds }) => ({ type, personIds })),
+                history
+            }
+        });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Save teams
+app.post('/api/teams', requireAdmin, async (req, res) => {
+    try {
+        const { teams, balance, bench, sessionId, formation, ratingMode, strategy = 'overall' } = req.body;
+        const sport = await loadSport(req, req.body.sportId);
+        if (!sport) {
+            return sendUnknownSport(res);
+        }
+        if (!STRATEGIES.includes(strategy)) {
+            return sendValidationError(res, [{ field: 'strategy', message: `must be one of ${STRATEGIES.join(', ')}` }]);
+        }
+        // Teams drawn offline bring the weights they were drawn with; otherwise use the sport's current ones
+        const ratingModel = req.body.ratingModel === undefined
+            ? { value: sport.stats }
+            : validateStatList(req.body.ratingModel, 'ratingModel');
+        if (ratingModel.errors) {
+            return sendValidationError(res, ratingModel.errors);
+        }
+        const details = validateTeamDetails(req.body);
+        const lineup = validateLineup(teams, Array.isArray(bench) ? bench : []);
+        const draw = req.body.draw === undefined || req.body.draw === null ? { value: null } : validateDraw(req.body.draw);
+        const errors = [...(details.errors || []), ...(lineup.errors || []), ...(draw.errors || [])];
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        const players = await loadLineupPlayers(req, lineup.value);
+        if (players.errors) {
+            return sendValidationError(res, players.errors);
+        }
+        
+        const savedTeam = {
+            groupId: req.groupId,
+            sportId: sport._id,
+            name: null,
+            notes: null,
+            venue: null,
+            matchDate: null,
+            tags: [],
+            ...details.value,
+            ...toStoredLineup(lineup.value, ratingModel.value, players.value),
+            balance: balance || null,
+            sessionId: sessionId || null,
+            formation: formation || null,
+            ratingMode: ratingMode || 'stats',
+            strategy,
+            ratingModel: ratingModel.value,
+            draw: draw.value,
+            version: 1,
+            createdAt: new Date()
+        };
+        
+        const result = await db.collection('savedTeams').insertOne(savedTeam);
+        publish(req, 'savedTeams', { id: String(result.insertedId) });
+        const [resolved] = await resolveSavedTeams(req.groupId, [{ ...savedTeam, _id: result.insertedId }]);
+        res.status(201).json(resolved);
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Re-run a saved draw from its seed and inputs, with the players as they were when saved,
+// and compare the result with the teams that were saved
+app.get('/api/teams/:id/verify', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const saved = await db.collection('savedTeams').findOne(inGroup(req, { _id: new ObjectId(id) }));
+        if (!saved) {
+            return sendError(res, 404, 'Saved team not found');
+        }
+        if (!saved.draw) {
+            return sendError(res, 409, 'These teams were saved without a seed, so the draw cannot be re-run.');
+        }
+        
+        // Compare with the line-up as drawn, before any later edits
+        const [firstEdit] = await db.collection('teamVersions')
+            .find(inGroup(req, { savedTeamId: id }), { sort: { version: 1 }, limit: 1 });
+        const drawn = firstEdit ? firstEdit.previous : saved;
+        const members = [...drawn.teams.flatMap(team => team.members), ...(drawn.bench || [])];
+        if (members.some(member => !member.snapshot?.stats)) {
+            return sendError(res, 409, 'Some players were saved without their stats, so the draw cannot be re-run.');
+        }
+        
+        const players = members.map(member => ({
+            _id: String(member._id),
+            name: member.snapshot.name,
+            stats: member.snapshot.stats,
+            positions: member.snapshot.positions,
+            rating: member.snapshot.elo
+        }));
+        const { draw } = saved;
+        const rerun = generateTeams(players, {
+            numTeams: draw.numTeams,
+            unevenMode: draw.unevenMode,
+            formation: draw.formation,
+            ratingMode: draw.ratingMode,
+            constraints: draw.constraints,
+            pins: draw.pins,
+            stats: saved.ratingModel || DEFAULT_STATS,
+            strategy: draw.strategy,
+            history: draw.history,
+            variety: draw.variety / 100,
+            seed: draw.seed
+        });
+        if (rerun.error) {
+            return sendError(res, 409, rerun.error);
+        }
+        
+        const names = new Map(players.map(player => [player._id, player.name]));
+        const idsOf = list => list.map(member => String(member._id)).sort();
+        const differences = [];
+        [...rerun.teams.map(team => team.members), rerun.bench].forEach((list, i) => {
+            const savedList = i < rerun.teams.length ? drawn.teams[i]?.members || [] : drawn.bench || [];
+            const expected = idsOf(list);
+            const actual = idsOf(savedList);
+            if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+                differences.push({
+                    team: i < rerun.teams.length ? drawn.teams[i]?.name || `Team ${i + 1}` : 'Substitutes',
+                    drawn: expected.map(personId => names.get(personId)),
+                    saved: actual.map(personId => names.get(personId))
+                });
+            }
+        });
+        
+        res.json({
+            seed: draw.seed,
+            matches: differences.length === 0,
+            editedSince: Boolean(firstEdit),
+            differences
+        });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Rename, annotate or re-arrange a saved configuration. Every change is kept as a new
+// version, with the earlier state and who moved where.
+app.put('/api/teams/:id', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const existing = await db.collection('savedTeams').findOne(inGroup(req, { _id: new ObjectId(id) }));
+        if (!existing) {
+            return sendError(res, 404, 'Saved team not found');
+        }
+        
+        const details = validateTeamDetails(req.body);
+        const lineup = req.body.teams === undefined ? null : validateLineup(req.body.teams, req.body.bench);
+        const errors = [...(details.errors || []), ...(lineup?.errors || [])];
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        if (isStale(existing, req.body.expectedUpdatedAt)) {
+            return sendStale(res);
+        }
+        const players = lineup ? await loadLineupPlayers(req, lineup.value, existing) : null;
+        if (players?.errors) {
+            return sendValidationError(res, players.errors);
+        }
+        
+        const updateData = { ...details.value };
+        if (lineup) {
+            Object.assign(updateData, toStoredLineup(lineup.value, existing.ratingModel || DEFAULT_STATS, players.value, existing));
+            updateData.balance = req.body.balance || existing.balance || null;
+        }
+        const fields = TEAM_DETAIL_FIELDS
+            .filter(field => field in updateData && JSON.stringify(updateData[field]) !== JSON.stringify(existing[field] ?? null))
+            .map(field => ({ field, from: existing[field] ?? null, to: updateData[field] }));
+        if (lineup) {
+            fields.push(...diffLineupShape(existing, updateData));
+        }
+        const moves = lineup ? diffLineups(existing, updateData) : [];
+        if (fields.length === 0 && moves.length === 0) {
+            const [resolved] = await resolveSavedTeams(req.groupId, [existing]);
+            return res.json(resolved);
+        }
+        // Ratings were already moved by the recorded score, so the players (and the teams
+        // the score lists) stay put
+        if (existing.result && (moves.length > 0 || (lineup && updateData.teams.length !== existing.teams.length))) {
+            return sendError(res, 409, 'This configuration has a recorded result, so its players cannot be moved.');
+        }
+        
+        const updatedAt = new Date();
+        const version = (existing.version || 1) + 1;
+        await db.collection('savedTeams').updateOne({ _id: existing._id }, { $set: { ...updateData, version, updatedAt } });
+        await db.collection('teamVersions').insertOne({
+            groupId: req.groupId,
+            savedTeamId: id,
+            version,
+            changes: fields,
+            moves,
+            previous: versionSnapshot(existing),
+            editedBy: req.user.username,
+            editedAt: updatedAt
+        });
+        
+        publish(req, 'savedTeams', { id });
+        const [resolved] = await resolveSavedTeams(req.groupId, [{ ...existing, ...updateData, version, updatedAt }]);
+        res.json(resolved);
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Record (or correct) the final score of a saved configuration and update player ratings
+app.post('/api/teams/:id/result', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { scores } = req.body;
+        
+        const saved = await db.collection('savedTeams').findOne(inGroup(req, { _id: new ObjectId(id) }));
+        if (!saved) {
+            return sendError(res, 404, 'Saved team not found');
+        }
+        if (saved.teams.length < 2) {
+            return sendError(res, 409, 'A result needs at least two teams to have played each other.');
+        }
+        
+        if (!Array.isArray(scores) || scores.length !== saved.teams.length
+            || !scores.every(score => Number.isInteger(score) && score >= 0)) {
+            return sendError(res, 400, `Provide one non-negative whole-number score for each of the ${saved.teams.length} teams.`);
+        }
+        
+        // Correcting a result: take the old rating changes back out first
+        if (saved.result) {
+            await applyRatingChanges(req.groupId, saved.result.ratingChanges || [], -1);
+        }
+        
+        const memberIds = saved.teams.flatMap(team => team.members.map(member => String(member._id)))
+            .filter(isObjectIdString);
+        const persons = await db.collection('persons')
+            .find(inGroup(req, { _id: { $in: memberIds.map(memberId => new ObjectId(memberId)) } }));
+        const ratings = new Map(persons.map(person => [String(person._id), person.rating ?? ELO_BASE]));
+        
+        const ratingChanges = computeRatingChanges(saved.teams, scores, ratings);
+        await applyRatingChanges(req.groupId, ratingChanges);
+        
+        const result = { scores, ratingChanges, recordedAt: new Date() };
+        await db.collection('savedTeams').updateOne({ _id: saved._id }, { $set: { result, updatedAt: result.recordedAt } });
+        // Ratings moved with the result
+        publish(req, 'savedTeams', { id });
+        publish(req, 'persons');
+        
+        const [resolved] = await resolveSavedTeams(req.groupId, [{ ...saved, result, updatedAt: result.recordedAt }]);
+        res.json(resolved);
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Create (or return the existing) public share link for a saved configuration
+app.post('/api/teams/:id/share', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const saved = await db.collection('savedTeams').findOne(inGroup(req, { _id: new ObjectId(id) }));
+        
+        if (!saved) {
+            return sendError(res, 404, 'Saved team not found');
+        }
+        
+        const share = saved.share || { token: crypto.randomBytes(16).toString('hex'), createdAt: new Date() };
+        if (!saved.share) {
+            await db.collection('savedTeams').updateOne({ _id: saved._id }, { $set: { share } });
+            publish(req, 'savedTeams', { id });
+        }
+        
+        res.json({ ...share, url: `${req.protocol}://${req.get('host')}/share/${share.token}` });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Revoke the share link; the old URL stops working immediately
+app.delete('/api/teams/:id/share', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const result = await db.collection('savedTeams').updateOne(
+            inGroup(req, { _id: new ObjectId(id) }),
+            { $unset: { share: '' } }
+        );
+        
+        if (result.matchedCount === 0) {
+            return sendError(res, 404, 'Saved team not found');
+        }
+        
+        publish(req, 'savedTeams', { id });
+        res.json({ message: 'Share link revoked' });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Delete saved team
+app.delete('/api/teams/:id', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const existing = await db.collection('savedTeams').findOne(inGroup(req, { _id: new ObjectId(id) }));
+        if (existing && isStale(existing, req.query.expectedUpdatedAt)) {
+            return sendStale(res);
+        }
+        
+        const result = await db.collection('savedTeams').deleteOne(inGroup(req, { _id: new ObjectId(id) }));
+        if (result.deletedCount === 0) {
+            return sendError(res, 404, 'Saved team not found');
+        }
+        
+        await db.collection('teamVersions').deleteMany(inGroup(req, { savedTeamId: id }));
+        // A deleted game no longer counts towards anyone's form rating
+        if (existing?.result) {
+            await applyRatingChanges(req.groupId, existing.result.ratingChanges || [], -1);
+            publish(req, 'persons');
+        }
+        publish(req, 'savedTeams', { id });
+        res.json({ message: 'Saved team deleted successfully' });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// ----------------------------------------------------------------------
+// Match Day Sessions (who is available to play)
+// ----------------------------------------------------------------------
+
+// Get all sessions
+app.get('/api/sessions', async (req, res) => {
+    try {
+        const sessions = await db.collection('sessions').find(inGroup(req), { sort: { date: -1, createdAt: -1 } });
+        res.json(sessions);
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Create session
+app.post('/api/sessions', requireAdmin, async (req, res) => {
+    try {
+        const { date, presentIds = [] } = req.body;
+        
+        // A blank name falls back to one made from the date
+        const name = isBlank(req.body.name) ? { value: null } : parseName(req.body.name);
+        const present = parseIdList(presentIds, 'presentIds');
+        const sessionDate = date ? new Date(date) : new Date();
+        const errors = [...(name.errors || []), ...(present.errors || [])];
+        if (isNaN(sessionDate.getTime())) {
+            errors.push({ field: 'date', message: 'must be a valid date' });
+        }
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        const session = {
+            groupId: req.groupId,
+            name: name.value || `Match day ${sessionDate.toLocaleDateString()}`,
+            date: sessionDate,
+            presentIds: present.value,
+            createdAt: new Date()
+        };
+        
+        const result = await db.collection('sessions').insertOne(session);
+        publish(req, 'sessions', { id: String(result.insertedId) });
+        res.status(201).json({ ...session, _id: result.insertedId });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Update session (rename or change who is checked in)
+app.put('/api/sessions/:id', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, presentIds } = req.body;
+        
+        const updateData = { updatedAt: new Date() };
+        const errors = [];
+        if (name !== undefined) {
+            const parsed = parseName(name);
+            errors.push(...(parsed.errors || []));
+            updateData.name = parsed.value;
+        }
+        if (presentIds !== undefined) {
+            const parsed = parseIdList(presentIds, 'presentIds');
+            errors.push(...(parsed.errors || []));
+            updateData.presentIds = parsed.value;
+        }
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        const session = await db.collection('sessions').findOneAndUpdate(
+            inGroup(req, { _id: new ObjectId(id) }),
+            { $set: updateData },
+            { returnDocument: 'after' }
+        );
+        
+        if (!session) {
+            return sendError(res, 404, 'Session not found');
+        }
+        
+        publish(req, 'sessions', { id });
+        res.json(session);
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Delete session
+app.delete('/api/sessions/:id', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const result = await db.collection('sessions').deleteOne(inGroup(req, { _id: new ObjectId(id) }));
+        
+        if (result.deletedCount === 0) {
+            return sendError(res, 404, 'Session not found');
+        }
+        
+        publish(req, 'sessions', { id });
+        res.json({ message: 'Session deleted successfully' });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// ----------------------------------------------------------------------
+// Pairing Rule Routes (keep together / keep apart)
+// ----------------------------------------------------------------------
+
+const CONSTRAINT_TYPES = ['together', 'apart'];
+
+// Checks a pairing rule's type, players and note together
+function validateConstraint({ type, personIds, note }) {
+    const errors = [];
+    if (!CONSTRAINT_TYPES.includes(type)) {
+        errors.push({ field: 'type', message: `must be one of ${CONSTRAINT_TYPES.join(', ')}` });
+    }
+    const ids = parseIdList(personIds, 'personIds');
+    if (ids.errors) {
+        errors.push(...ids.errors);
+    } else if (ids.value.length < 2) {
+        errors.push({ field: 'personIds', message: 'must name at least two different players' });
+    }
+    if (!isBlank(note) && typeof note !== 'string') {
+        errors.push({ field: 'note', message: 'must be text' });
+    } else if ((note || '').trim().length > MAX_NOTES_LENGTH) {
+        errors.push({ field: 'note', message: `must be at most ${MAX_NOTES_LENGTH} characters` });
+    }
+    if (errors.length > 0) {
+        return { errors };
+    }
+    return { value: { type, personIds: ids.value, note: (note || '').trim() } };
+}
+
+// Get all pairing rules
+app.get('/api/constraints', async (req, res) => {
+    try {
+        const constraints = await db.collection('constraints').find(inGroup(req), { sort: { createdAt: 1 } });
+        res.json(constraints);
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Create pairing rule
+app.post('/api/constraints', requireAdmin, async (req, res) => {
+    try {
+        const { value, errors } = validateConstraint(req.body);
+        if (errors) {
+            return sendValidationError(res, errors);
+        }
+        
+        const constraint = {
+            groupId: req.groupId,
+            ...value,
+            createdAt: new Date()
+        };
+        
+        const result = await db.collection('constraints').insertOne(constraint);
+        res.status(201).json({ ...constraint, _id: result.insertedId });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Update pairing rule
+app.put('/api/constraints/:id', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { value, errors } = validateConstraint(req.body);
+        if (errors) {
+            return sendValidationError(res, errors);
+        }
+        
+        const constraint = await db.collection('constraints').findOneAndUpdate(
+            inGroup(req, { _id: new ObjectId(id) }),
+            { $set: { ...value, updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        
+        if (!constraint) {
+            return sendError(res, 404, 'Rule not found');
+        }
+        
+        res.json(constraint);
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Delete pairing rule
+app.delete('/api/constraints/:id', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const result = await db.collection('constraints').deleteOne(inGroup(req, { _id: new ObjectId(id) }));
+        
+        if (result.deletedCount === 0) {
+            return sendError(res, 404, 'Rule not found');
+        }
+        
+        res.json({ message: 'Rule deleted successfully' });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// ----------------------------------------------------------------------
+// Live Updates (Server-Sent Events per group)
+// ----------------------------------------------------------------------
+
+const LIVE_HEARTBEAT_MS = 25000;
+const MAX_LIVE_TEAMS = 10;
+// groupId -> open event streams, and the draw most recently shared with the group
+const liveStreams = new Map();
+const liveDraws = new Map();
+
+function sendEvent(res, type, data) {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Tell every browser watching the group that something changed. `origin` is the
+// X-Client-Id of the browser that made the change, so it can skip its own echo;
+// `by` lets the others say who it was.
+function publish(req, type, data = {}) {
+    const streams = liveStreams.get(String(req.groupId));
+    if (!streams) return;
+    const event = { ...data, origin: req.get('X-Client-Id') || null, by: req.user.username, at: new Date() };
+    streams.forEach(res => sendEvent(res, type, event));
+}
+
+// Event stream for the active group; newcomers get the current draw straight away
+app.get('/api/events', (req, res) => {
+    const key = String(req.groupId);
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+    if (liveDraws.has(key)) {
+        sendEvent(res, 'teams', liveDraws.get(key));
+    }
+
+    if (!liveStreams.has(key)) {
+        liveStreams.set(key, new Set());
+    }
+    liveStreams.get(key).add(res);
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), LIVE_HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        const streams = liveStreams.get(key);
+        streams.delete(res);
+        if (streams.size === 0) {
+            liveStreams.delete(key);
+        }
+    });
+});
+
+// Share the draw on the organiser's screen (generated or adjusted, not yet saved)
+app.put('/api/live/teams', requireAdmin, (req, res) => {
+    const { teams, bench = [] } = req.body;
+    // Every listener renders these, so they get the same checks as a saved line-up
+    const lineup = validateLineup(teams, bench);
+    if (lineup.errors) {
+        return sendValidationError(res, lineup.errors);
+    }
+    if (teams.length > MAX_LIVE_TEAMS) {
+        return sendValidationError(res, [{ field: 'teams', message: `must be 1 to ${MAX_LIVE_TEAMS} teams with members` }]);
+    }
+
+    const draw = {
+        teams: lineup.value.teams,
+        bench,
+        balance: req.body.balance || null,
+        formation: req.body.formation || null,
+        ratingMode: req.body.ratingMode || 'stats',
+        sportId: req.body.sportId || null,
+        strategy: req.body.strategy || 'overall',
+        ratingModel: Array.isArray(req.body.ratingModel) ? req.body.ratingModel : null,
+        violations: Array.isArray(req.body.violations) ? req.body.violations : [],
+        origin: req.get('X-Client-Id') || null,
+        by: req.user.username,
+        at: new Date()
+    };
+    liveDraws.set(String(req.groupId), draw);
+    const streams = liveStreams.get(String(req.groupId));
+    if (streams) {
+        streams.forEach(stream => sendEvent(stream, 'teams', draw));
+    }
+    res.json({ message: 'Teams shared', listeners: streams ? streams.size : 0 });
+});
+
+// ----------------------------------------------------------------------
+// Tournaments (fixtures and standings between saved teams)
+// ----------------------------------------------------------------------
+
+const TOURNAMENT_FORMATS = ['round-robin', 'knockout'];
+const POINTS_FOR = { win: 3, draw: 1, loss: 0 };
+const MAX_PITCHES = 10;
+const MAX_SCORE = 99;
+
+// Circle method: every team meets every other once; with an odd count one team sits out each round
+function roundRobinRounds(teamCount) {
+    const slots = [...Array(teamCount).keys()];
+    if (teamCount % 2 === 1) slots.push(null);
+    const rounds = [];
+    for (let r = 0; r < slots.length - 1; r++) {
+        const pairs = [];
+        for (let i = 0; i < slots.length / 2; i++) {
+            const [a, b] = [slots[i], slots[slots.length - 1 - i]];
+            if (a !== null && b !== null) {
+                // Alternate who is listed first so nobody is always the home side
+                pairs.push(r % 2 === 0 ? { home: a, away: b } : { home: b, away: a });
+            }
+        }
+        rounds.push({ name: `Round ${r + 1}`, fixtures: pairs });
+        slots.splice(1, 0, slots.pop());
+    }
+    return rounds;
+}
+
+// Seed order for a bracket of `size` so the top two seeds can only meet in the final
+function bracketOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const mirror = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, mirror - seed]);
+    }
+    return order;
+}
+
+function knockoutRoundName(entrants) {
+    return { 2: 'Final', 4: 'Semi-finals', 8: 'Quarter-finals' }[entrants] || `Round of ${entrants}`;
+}
+
+// Single elimination seeded by average rating. Top seeds get byes when the team count is
+// not a power of two; later fixtures name the fixtures whose winners fill them.
+function knockoutRounds(seeds) {
+    const size = 2 ** Math.ceil(Math.log2(seeds.length));
+    let entries = bracketOrder(size).map(seed => (seed <= seeds.length ? { team: seeds[seed - 1] } : null));
+    const rounds = [];
+    let number = 1;
+    while (entries.length > 1) {
+        const fixtures = [];
+        const next = [];
+        for (let i = 0; i < entries.length; i += 2) {
+            const [a, b] = [entries[i], entries[i + 1]];
+            if (!a || !b) {
+                next.push(a || b);
+                continue;
+            }
+            const id = `r${number}-m${fixtures.length + 1}`;
+            fixtures.push({
+                id,
+                home: a.team ?? null,
+                away: b.team ?? null,
+                homeFrom: a.from ?? null,
+                awayFrom: b.from ?? null
+            });
+            next.push({ from: id });
+        }
+        rounds.push({ name: knockoutRoundName(entries.length), fixtures });
+        entries = next;
+        number++;
+    }
+    return rounds;
+}
+
+// Lay fixtures out on the pitches round by round, one kick-off slot at a time
+function scheduleFixtures(rounds, { pitches, matchMinutes, breakMinutes, startAt }) {
+    const fixtures = [];
+    let slot = 0;
+    rounds.forEach((round, r) => {
+        round.fixtures.forEach((fixture, i) => {
+            if (i > 0 && i % pitches === 0) slot++;
+            fixtures.push({
+                id: fixture.id || `r${r + 1}-m${i + 1}`,
+                round: r + 1,
+                roundName: round.name,
+                pitch: (i % pitches) + 1,
+                startsAt: new Date(startAt.getTime() + slot * (matchMinutes + breakMinutes) * 60000),
+                home: fixture.home,
+                away: fixture.away,
+                homeFrom: fixture.homeFrom ?? null,
+                awayFrom: fixture.awayFrom ?? null,
+                homeScore: null,
+                awayScore: null,
+                winner: null
+            });
+        });
+        if (round.fixtures.length > 0) slot++;
+    });
+    return fixtures;
+}
+
+function validateTournament(body) {
+    const errors = [];
+    const wholeNumber = (field, fallback, min, max) => {
+        const value = body[field] === undefined || body[field] === '' ? fallback : Number(body[field]);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            errors.push({ field, message: `must be a whole number from ${min} to ${max}` });
+        }
+        return value;
+    };
+
+    if (!isObjectIdString(body.savedTeamId)) {
+        errors.push({ field: 'savedTeamId', message: 'must be the id of a saved team configuration' });
+    }
+    const format = body.format || 'round-robin';
+    if (!TOURNAMENT_FORMATS.includes(format)) {
+        errors.push({ field: 'format', message: `must be one of ${TOURNAMENT_FORMATS.join(', ')}` });
+    }
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (name.length > MAX_NAME_LENGTH) {
+        errors.push({ field: 'name', message: `must be at most ${MAX_NAME_LENGTH} characters` });
+    }
+    const pitches = wholeNumber('pitches', 1, 1, MAX_PITCHES);
+    const matchMinutes = wholeNumber('matchMinutes', 15, 1, 180);
+    const breakMinutes = wholeNumber('breakMinutes', 5, 0, 60);
+    const startAt = body.startAt ? new Date(body.startAt) : new Date();
+    if (Number.isNaN(startAt.getTime())) {
+        errors.push({ field: 'startAt', message: 'must be a valid date and time' });
+    }
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+    return { value: { savedTeamId: body.savedTeamId, format, name, pitches, matchMinutes, breakMinutes, startAt } };
+}
+
+// { homeScore, awayScore } as whole numbers, both null to clear a result. Knockout
+// fixtures cannot end level, so a draw also needs winner: 'home' | 'away' (penalties).
+function validateScore(body, knockout) {
+    const { homeScore = null, awayScore = null, winner = null } = body;
+    if (homeScore === null && awayScore === null) {
+        return { value: { homeScore: null, awayScore: null, winner: null } };
+    }
+    const errors = [];
+    [['homeScore', homeScore], ['awayScore', awayScore]].forEach(([field, value]) => {
+        if (!Number.isInteger(value) || value < 0 || value > MAX_SCORE) {
+            errors.push({ field, message: `must be a whole number from 0 to ${MAX_SCORE}` });
+        }
+    });
+    if (errors.length > 0) {
+        return { errors };
+    }
+    if (homeScore !== awayScore) {
+        return { value: { homeScore, awayScore, winner: homeScore > awayScore ? 'home' : 'away' } };
+    }
+    if (!knockout) {
+        return { value: { homeScore, awayScore, winner: 'draw' } };
+    }
+    if (!['home', 'away'].includes(winner)) {
+        return { errors: [{ field: 'winner', message: 'must be home or away when a knockout fixture ends level' }] };
+    }
+    return { value: { homeScore, awayScore, winner } };
+}
+
+function winningTeam(fixture) {
+    if (fixture.winner === 'home') return fixture.home;
+    if (fixture.winner === 'away') return fixture.away;
+    return null;
+}
+
+function pointsFor(fixture, team) {
+    if (fixture.winner === 'draw') return POINTS_FOR.draw;
+    return winningTeam(fixture) === team ? POINTS_FOR.win : POINTS_FOR.loss;
+}
+
+// Points, then goal difference, goals scored, head-to-head points among the teams
+// still level, and finally name
+function computeStandings(tournament) {
+    const rows = tournament.teams.map((team, index) => ({
+        team: index,
+        name: team.name,
+        played: 0, won: 0, drawn: 0, lost: 0,
+        goalsFor: 0, goalsAgainst: 0, goalDifference: 0, points: 0
+    }));
+    const played = tournament.fixtures.filter(fixture => fixture.winner !== null);
+    played.forEach(fixture => {
+        [[fixture.home, fixture.homeScore, fixture.awayScore], [fixture.away, fixture.awayScore, fixture.homeScore]]
+            .forEach(([team, scored, conceded]) => {
+                const row = rows[team];
+                const points = pointsFor(fixture, team);
+                row.played++;
+                row.goalsFor += scored;
+                row.goalsAgainst += conceded;
+                row.goalDifference = row.goalsFor - row.goalsAgainst;
+                row.points += points;
+                if (fixture.winner === 'draw') row.drawn++;
+                else if (points === POINTS_FOR.win) row.won++;
+                else row.lost++;
+            });
+    });
+
+    const levelKey = row => `${row.points}|${row.goalDifference}|${row.goalsFor}`;
+    rows.forEach(row => {
+        const level = new Set(rows.filter(other => levelKey(other) === levelKey(row)).map(other => other.team));
+        row.headToHead = played
+            .filter(fixture => level.has(fixture.home) && level.has(fixture.away) && (fixture.home === row.team || fixture.away === row.team))
+            .reduce((sum, fixture) => sum + pointsFor(fixture, row.team), 0);
+    });
+    rows.sort((a, b) => b.points - a.points
+        || b.goalDifference - a.goalDifference
+        || b.goalsFor - a.goalsFor
+        || b.headToHead - a.headToHead
+        || a.name.localeCompare(b.name));
+    return rows.map((row, i) => ({ position: i + 1, ...row }));
+}
+
+function withStandings(tournament) {
+    const final = tournament.format === 'knockout' ? tournament.fixtures[tournament.fixtures.length - 1] : null;
+    const champion = final ? winningTeam(final) : null;
+    return {
+        ...tournament,
+        standings: computeStandings(tournament),
+        champion: champion === null ? null : tournament.teams[champion].name
+    };
+}
+
+// Get all tournaments, newest first
+app.get('/api/tournaments', async (req, res) => {
+    try {
+        const tournaments = await db.collection('tournaments').find(inGroup(req), { sort: { createdAt: -1 } });
+        res.json(tournaments.map(withStandings));
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Get one tournament with its live standings
+app.get('/api/tournaments/:id', async (req, res) => {
+    try {
+        const tournament = await db.collection('tournaments').findOne(inGroup(req, { _id: new ObjectId(req.params.id) }));
+        if (!tournament) {
+            return sendError(res, 404, 'Tournament not found');
+        }
+        res.json(withStandings(tournament));
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Create a tournament and its fixtures from a saved team configuration
+app.post('/api/tournaments', requireAdmin, async (req, res) => {
+    try {
+        const { value, errors } = validateTournament(req.body);
+        if (errors) {
+            return sendValidationError(res, errors);
+        }
+        const stored = await db.collection('savedTeams').findOne(inGroup(req, { _id: new ObjectId(value.savedTeamId) }));
+        if (!stored) {
+            return sendError(res, 404, 'Saved team not found');
+        }
+        const [saved] = await resolveSavedTeams(req.groupId, [stored]);
+        if (!Array.isArray(saved.teams) || saved.teams.length < 2) {
+            return sendValidationError(res, [{ field: 'savedTeamId', message: 'needs at least two teams' }]);
+        }
+
+        const teams = saved.teams.map(team => ({
+            name: team.name,
+            averageRating: team.averages ? round1(team.averages.overall) : null,
+            members: team.members.map(member => ({ _id: member._id, name: member.name }))
+        }));
+        const seeds = teams.map((team, index) => index)
+            .sort((a, b) => (teams[b].averageRating ?? 0) - (teams[a].averageRating ?? 0));
+        const rounds = value.format === 'knockout' ? knockoutRounds(seeds) : roundRobinRounds(teams.length);
+
+        const tournament = {
+            groupId: req.groupId,
+            savedTeamId: saved._id,
+            name: value.name || `${value.format === 'knockout' ? 'Knockout' : 'League'} – ${value.startAt.toLocaleDateString('en-GB')}`,
+            format: value.format,
+            teams,
+            settings: {
+                pitches: value.pitches,
+                matchMinutes: value.matchMinutes,
+                breakMinutes: value.breakMinutes,
+                startAt: value.startAt
+            },
+            fixtures: scheduleFixtures(rounds, value),
+            createdAt: new Date()
+        };
+        const result = await db.collection('tournaments').insertOne(tournament);
+        publish(req, 'tournaments', { id: String(result.insertedId) });
+        res.status(201).json(withStandings({ ...tournament, _id: result.insertedId }));
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Record, correct or clear the score of one fixture. Knockout winners move on to the
+// fixture their result feeds.
+app.put('/api/tournaments/:id/fixtures/:fixtureId', requireAdmin, async (req, res) => {
+    try {
+        const tournament = await db.collection('tournaments').findOne(inGroup(req, { _id: new ObjectId(req.params.id) }));
+        if (!tournament) {
+            return sendError(res, 404, 'Tournament not found');
+        }
+        const fixture = tournament.fixtures.find(f => f.id === req.params.fixtureId);
+        if (!fixture) {
+            return sendError(res, 404, 'Fixture not found');
+        }
+        if (fixture.home === null || fixture.away === null) {
+            return sendError(res, 409, 'The teams for this fixture are not decided yet.');
+        }
+        const { value, errors } = validateScore(req.body, tournament.format === 'knockout');
+        if (errors) {
+            return sendValidationError(res, errors);
+        }
+
+        const before = winningTeam(fixture);
+        Object.assign(fixture, value);
+        const after = winningTeam(fixture);
+        if (before !== after) {
+            const fed = tournament.fixtures.filter(f => f.homeFrom === fixture.id || f.awayFrom === fixture.id);
+            if (fed.some(f => f.winner !== null)) {
+                return sendError(res, 409, 'A later fixture already has a result. Clear that score first.');
+            }
+            fed.forEach(f => {
+                if (f.homeFrom === fixture.id) f.home = after;
+                if (f.awayFrom === fixture.id) f.away = after;
+            });
+        }
+
+        const updatedAt = new Date();
+        await db.collection('tournaments').updateOne(
+            { _id: tournament._id },
+            { $set: { fixtures: tournament.fixtures, updatedAt } }
+        );
+        publish(req, 'tournaments', { id: req.params.id });
+        res.json(withStandings({ ...tournament, updatedAt }));
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Delete a tournament
+app.delete('/api/tournaments/:id', requireAdmin, async (req, res) => {
+    try {
+        const result = await db.collection('tournaments').deleteOne(inGroup(req, { _id: new ObjectId(req.params.id) }));
+        if (result.deletedCount === 0) {
+            return sendError(res, 404, 'Tournament not found');
+        }
+        publish(req, 'tournaments', { id: req.params.id });
+        res.json({ message: 'Tournament deleted successfully' });
+    } catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Malformed JSON bodies and anything a route didn't catch still get the usual error shape
+app.use('/api', (req, res) => {
+    sendError(res, 404, `No route for ${req.method} ${req.originalUrl}`);
+});
+
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        return sendValidationError(res, [{ field: 'body', message: 'must be valid JSON' }]);
+    }
+    sendError(res, error.status || 500, error.message);
+});
+
+// ----------------------------------------------------------------------
+// VERCEL COMPATIBILITY FIX: Export the Express app instance
+
+module.exports = app;
 
-module.exports = app;
\ No newline at end of file
+// `npm start` runs a plain local server; on Vercel the exported app is used instead
+if (require.main === module) {
+    app.listen(PORT, () => console.log(`Team Generator running on http://localhost:${PORT}`));
+}
\ No newline at end of file
@@ -0,0 +1,173 @@
+// Zero-dependency backend: every collection is a JSON file in DATA_DIR, and
+// photos are plain JPEG files next to them. Meant for running on a laptop or
+// in tests, where a single process owns the data; not for serverless hosting.
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { ObjectId, BSON } = require('mongodb');
+const { clone, matches, applyUpdate, seedFromFilter, project, sortComparator } = require('./query');
+
+// Extended JSON keeps ObjectIds and Dates as their real types across restarts
+const { EJSON } = BSON;
+
+function createFileCollection(file) {
+    let docs = null;
+    let writing = Promise.resolve();
+
+    function load() {
+        if (docs === null) {
+            // Relaxed parsing turns $numberInt/$numberDouble back into plain numbers; Dates and
+            // ObjectIds come back as themselves either way
+            docs = fs.existsSync(file) ? EJSON.parse(fs.readFileSync(file, 'utf8'), { relaxed: true }) : [];
+        }
+        return docs;
+    }
+
+    // Writes go to a temp file first so a crash never leaves half a collection behind.
+    // They are chained so two requests can't interleave their writes.
+    function persist() {
+        const snapshot = EJSON.stringify(docs, null, 2, { relaxed: false });
+        writing = writing.then(async () => {
+            const temp = `${file}.tmp`;
+            await fs.promises.writeFile(temp, snapshot);
+            await fs.promises.rename(temp, file);
+        });
+        return writing;
+    }
+
+    function select(filter, { sort, skip = 0, limit = 0 } = {}) {
+        let found = load().filter(doc => matches(doc, filter));
+        if (sort) found = found.sort(sortComparator(sort));
+        if (skip) found = found.slice(skip);
+        if (limit) found = found.slice(0, limit);
+        return found;
+    }
+
+    async function updateMatching(filter, update, { upsert = false, many = false } = {}) {
+        const found = select(filter, { limit: many ? 0 : 1 });
+        found.forEach(doc => applyUpdate(doc, update));
+        if (found.length === 0 && upsert) {
+            const doc = applyUpdate(seedFromFilter(filter), update, true);
+            if (doc._id === undefined) doc._id = new ObjectId();
+            load().push(doc);
+            await persist();
+            return { matchedCount: 0, modifiedCount: 0, upsertedId: doc._id };
+        }
+        if (found.length > 0) await persist();
+        return { matchedCount: found.length, modifiedCount: found.length, upsertedId: null };
+    }
+
+    async function deleteMatching(filter, { many = false } = {}) {
+        const found = select(filter, { limit: many ? 0 : 1 });
+        if (found.length > 0) {
+            docs = load().filter(doc => !found.includes(doc));
+            await persist();
+        }
+        return found;
+    }
+
+    return {
+        async find(filter = {}, { projection, ...options } = {}) {
+            return select(filter, options).map(doc => project(clone(doc), projection));
+        },
+
+        async findOne(filter = {}, { projection } = {}) {
+            const [doc] = select(filter, { limit: 1 });
+            return doc ? project(clone(doc), projection) : null;
+        },
+
+        async countDocuments(filter = {}) {
+            return select(filter).length;
+        },
+
+        async insertOne(doc) {
+            if (doc._id === undefined) doc._id = new ObjectId();
+            load().push(clone(doc));
+            await persist();
+            return { insertedId: doc._id };
+        },
+
+        updateOne(filter, update, options = {}) {
+            return updateMatching(filter, update, options);
+        },
+
+        updateMany(filter, update) {
+            return updateMatching(filter, update, { many: true });
+        },
+
+        async findOneAndUpdate(filter, update, { returnDocument = 'before' } = {}) {
+            const [doc] = select(filter, { limit: 1 });
+            if (!doc) return null;
+            const before = clone(doc);
+            applyUpdate(doc, update);
+            await persist();
+            return returnDocument === 'after' ? clone(doc) : before;
+        },
+
+        async deleteOne(filter) {
+            return { deletedCount: (await deleteMatching(filter)).length };
+        },
+
+        async deleteMany(filter = {}) {
+            return { deletedCount: (await deleteMatching(filter, { many: true })).length };
+        },
+
+        async findOneAndDelete(filter) {
+            const [doc] = await deleteMatching(filter);
+            return doc ? clone(doc) : null;
+        }
+    };
+}
+
+function createFilePhotoStore(dir) {
+    const fileFor = id => path.join(dir, `${String(id)}.jpg`);
+
+    return {
+        async save(buffer) {
+            const id = new ObjectId();
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.writeFile(fileFor(id), buffer);
+            return id;
+        },
+
+        async exists(id) {
+            return fs.existsSync(fileFor(id));
+        },
+
+        openDownloadStream(id) {
+            return fs.existsSync(fileFor(id))
+                ? fs.createReadStream(fileFor(id))
+                : Readable.from([]);
+        },
+
+        async delete(id) {
+            await fs.promises.unlink(fileFor(id));
+        }
+    };
+}
+
+async function createFileStorage(dataDir) {
+    await fs.promises.mkdir(dataDir, { recursive: true });
+    const collections = new Map();
+
+    return {
+        name: 'file',
+
+        collection(name) {
+            if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+                throw new Error(`Invalid collection name "${name}"`);
+            }
+            if (!collections.has(name)) {
+                collections.set(name, createFileCollection(path.join(dataDir, `${name}.json`)));
+            }
+            return collections.get(name);
+        },
+
+        photos: createFilePhotoStore(path.join(dataDir, 'photos')),
+
+        async close() {}
+    };
+}
+
+module.exports = { createFileStorage };
@@ -0,0 +1,26 @@
+// Picks the storage backend from the environment. Both backends expose the same
+// shape: collection(name) with the find/insert/update/delete methods server.js
+// uses, a photos store, and close().
+//
+//   STORAGE_BACKEND=mongo (default)  MONGODB_URI=mongodb://...
+//   STORAGE_BACKEND=file             DATA_DIR=./data
+
+const path = require('path');
+const { createMongoStorage } = require('./mongo');
+const { createFileStorage } = require('./file');
+
+const BACKENDS = ['mongo', 'file'];
+
+async function createStorage(env = process.env) {
+    const backend = env.STORAGE_BACKEND || 'mongo';
+    switch (backend) {
+        case 'mongo':
+            return createMongoStorage(env.MONGODB_URI || 'mongodb://localhost:27017/teamgenerator');
+        case 'file':
+            return createFileStorage(path.resolve(env.DATA_DIR || path.join(__dirname, '..', 'data')));
+        default:
+            throw new Error(`STORAGE_BACKEND must be one of ${BACKENDS.join(', ')} (got "${backend}").`);
+    }
+}
+
+module.exports = { createStorage, BACKENDS };
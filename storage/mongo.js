@@ -0,0 +1,99 @@
+// MongoDB backend: collections map straight onto the driver, photos live in GridFS.
+
+const { MongoClient, GridFSBucket } = require('mongodb');
+
+function createMongoCollection(collection) {
+    return {
+        find(filter = {}, { projection, sort, skip, limit } = {}) {
+            let cursor = collection.find(filter, { projection });
+            if (sort) cursor = cursor.sort(sort);
+            if (skip) cursor = cursor.skip(skip);
+            if (limit) cursor = cursor.limit(limit);
+            return cursor.toArray();
+        },
+
+        findOne(filter = {}, options) {
+            return collection.findOne(filter, options);
+        },
+
+        countDocuments(filter = {}) {
+            return collection.countDocuments(filter);
+        },
+
+        insertOne(doc) {
+            return collection.insertOne(doc);
+        },
+
+        updateOne(filter, update, options) {
+            return collection.updateOne(filter, update, options);
+        },
+
+        updateMany(filter, update) {
+            return collection.updateMany(filter, update);
+        },
+
+        findOneAndUpdate(filter, update, options) {
+            return collection.findOneAndUpdate(filter, update, options);
+        },
+
+        deleteOne(filter) {
+            return collection.deleteOne(filter);
+        },
+
+        deleteMany(filter = {}) {
+            return collection.deleteMany(filter);
+        },
+
+        findOneAndDelete(filter) {
+            return collection.findOneAndDelete(filter);
+        }
+    };
+}
+
+function createGridFsPhotoStore(db) {
+    const bucket = new GridFSBucket(db, { bucketName: 'photos' });
+
+    return {
+        save(buffer, { filename = 'photo.jpg', contentType = 'image/jpeg' } = {}) {
+            return new Promise((resolve, reject) => {
+                const stream = bucket.openUploadStream(filename, { metadata: { contentType } });
+                stream.on('error', reject);
+                stream.on('finish', () => resolve(stream.id));
+                stream.end(buffer);
+            });
+        },
+
+        exists(id) {
+            return bucket.find({ _id: id }).hasNext();
+        },
+
+        openDownloadStream(id) {
+            return bucket.openDownloadStream(id);
+        },
+
+        delete(id) {
+            return bucket.delete(id);
+        }
+    };
+}
+
+async function createMongoStorage(uri) {
+    const client = await MongoClient.connect(uri);
+    const db = client.db();
+
+    return {
+        name: 'mongo',
+
+        collection(name) {
+            return createMongoCollection(db.collection(name));
+        },
+
+        photos: createGridFsPhotoStore(db),
+
+        close() {
+            return client.close();
+        }
+    };
+}
+
+module.exports = { createMongoStorage };
@@ -0,0 +1,259 @@
+// The subset of MongoDB's query and update language that server.js uses, for
+// backends that keep documents in memory. Anything outside the subset throws
+// rather than silently matching the wrong documents.
+
+const { ObjectId } = require('mongodb');
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+        && !(value instanceof Date) && !(value instanceof ObjectId) && !Buffer.isBuffer(value);
+}
+
+// Deep copy that keeps Dates, ObjectIds and Buffers intact, so callers can never
+// mutate what is stored
+function clone(value) {
+    if (Array.isArray(value)) return value.map(clone);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (value instanceof ObjectId) return new ObjectId(value.toHexString());
+    if (Buffer.isBuffer(value)) return Buffer.from(value);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+}
+
+function valuesEqual(a, b) {
+    if (a instanceof ObjectId || b instanceof ObjectId) {
+        return a instanceof ObjectId && b instanceof ObjectId && a.equals(b);
+    }
+    if (a instanceof Date || b instanceof Date) {
+        return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, i) => valuesEqual(item, b[i]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => valuesEqual(a[key], b[key]));
+    }
+    return a === b;
+}
+
+// null/undefined < numbers < strings < objects < ObjectIds < Dates, as in MongoDB's sort order
+function typeRank(value) {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'number') return 1;
+    if (typeof value === 'string') return 2;
+    if (value instanceof ObjectId) return 4;
+    if (value instanceof Date) return 5;
+    return 3;
+}
+
+function compareValues(a, b) {
+    const rankA = typeRank(a);
+    const rankB = typeRank(b);
+    if (rankA !== rankB) return rankA - rankB;
+    if (rankA === 0 || rankA === 3) return 0;
+    if (rankA === 4) return a.toHexString().localeCompare(b.toHexString());
+    if (rankA === 5) return a.getTime() - b.getTime();
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Every value a dotted path can refer to, walking into arrays the way MongoDB does
+// ("teams.members._id" looks at every member of every team)
+function valuesAt(value, segments) {
+    if (segments.length === 0) {
+        return Array.isArray(value) ? [value, ...value] : [value];
+    }
+    if (value === null || value === undefined) return [];
+    const [head, ...rest] = segments;
+    if (Array.isArray(value)) {
+        if (/^\d+$/.test(head)) {
+            return Number(head) < value.length ? valuesAt(value[Number(head)], rest) : [];
+        }
+        return value.flatMap(item => valuesAt(item, segments));
+    }
+    if (typeof value !== 'object' || !(head in value)) return [];
+    return valuesAt(value[head], rest);
+}
+
+function isOperatorObject(value) {
+    return isPlainObject(value) && Object.keys(value).some(key => key.startsWith('$'));
+}
+
+// As in MongoDB, null matches a missing field as well as an explicit null
+function equalsAny(values, operand) {
+    if (operand === null) {
+        return values.length === 0 || values.some(value => value === null);
+    }
+    return values.some(value => valuesEqual(value, operand));
+}
+
+function matchesCondition(values, condition) {
+    if (!isOperatorObject(condition)) {
+        return equalsAny(values, condition);
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case '$eq':
+                return equalsAny(values, operand);
+            case '$ne':
+                return !equalsAny(values, operand);
+            case '$in':
+                return operand.some(item => equalsAny(values, item));
+            case '$nin':
+                return !operand.some(item => equalsAny(values, item));
+            case '$exists':
+                return (values.length > 0) === Boolean(operand);
+            case '$gt':
+                return values.some(value => typeRank(value) === typeRank(operand) && compareValues(value, operand) > 0);
+            case '$gte':
+                return values.some(value => typeRank(value) === typeRank(operand) && compareValues(value, operand) >= 0);
+            case '$lt':
+                return values.some(value => typeRank(value) === typeRank(operand) && compareValues(value, operand) < 0);
+            case '$lte':
+                return values.some(value => typeRank(value) === typeRank(operand) && compareValues(value, operand) <= 0);
+            default:
+                throw new Error(`Unsupported query operator ${operator}`);
+        }
+    });
+}
+
+function matches(doc, filter = {}) {
+    return Object.entries(filter).every(([key, condition]) => {
+        switch (key) {
+            case '$and':
+                return condition.every(part => matches(doc, part));
+            case '$or':
+                return condition.some(part => matches(doc, part));
+            default:
+                if (key.startsWith('$')) throw new Error(`Unsupported query operator ${key}`);
+                return matchesCondition(valuesAt(doc, key.split('.')), condition);
+        }
+    });
+}
+
+function setPath(doc, path, value) {
+    const segments = path.split('.');
+    const last = segments.pop();
+    let target = doc;
+    segments.forEach(segment => {
+        if (target[segment] === null || typeof target[segment] !== 'object') {
+            target[segment] = {};
+        }
+        target = target[segment];
+    });
+    target[last] = clone(value);
+}
+
+function unsetPath(doc, path) {
+    const segments = path.split('.');
+    const last = segments.pop();
+    const target = segments.reduce((value, segment) => (value && typeof value === 'object' ? value[segment] : undefined), doc);
+    if (target && typeof target === 'object') {
+        delete target[last];
+    }
+}
+
+function getPath(doc, path) {
+    return path.split('.').reduce((value, segment) => (value && typeof value === 'object' ? value[segment] : undefined), doc);
+}
+
+// $pull treats a plain condition on an array of documents as a query on each
+// document, so { personId: id } removes every entry for that player
+function pullMatches(item, condition) {
+    if (isPlainObject(item) && isPlainObject(condition) && !isOperatorObject(condition)) {
+        return matches(item, condition);
+    }
+    return matchesCondition([item], condition);
+}
+
+// Applies an update document in place. $setOnInsert only counts when an upsert inserts.
+function applyUpdate(doc, update, inserting = false) {
+    Object.entries(update).forEach(([operator, fields]) => {
+        Object.entries(fields).forEach(([path, value]) => {
+            switch (operator) {
+                case '$set':
+                    setPath(doc, path, value);
+                    break;
+                case '$setOnInsert':
+                    if (inserting) setPath(doc, path, value);
+                    break;
+                case '$unset':
+                    unsetPath(doc, path);
+                    break;
+                case '$inc':
+                    setPath(doc, path, (getPath(doc, path) || 0) + value);
+                    break;
+                case '$push': {
+                    const list = getPath(doc, path);
+                    setPath(doc, path, [...(Array.isArray(list) ? list : []), value]);
+                    break;
+                }
+                case '$pull': {
+                    const list = getPath(doc, path);
+                    if (Array.isArray(list)) {
+                        setPath(doc, path, list.filter(item => !pullMatches(item, value)));
+                    }
+                    break;
+                }
+                default:
+                    throw new Error(`Unsupported update operator ${operator}`);
+            }
+        });
+    });
+    return doc;
+}
+
+// The document an upsert starts from: the plain equality fields of its filter
+function seedFromFilter(filter) {
+    const doc = {};
+    Object.entries(filter).forEach(([key, condition]) => {
+        if (!key.startsWith('$') && !isOperatorObject(condition)) {
+            setPath(doc, key, condition);
+        }
+    });
+    return doc;
+}
+
+// { name: 1 } keeps only _id and name; { passwordHash: 0 } drops that field
+function project(doc, projection) {
+    if (!projection || Object.keys(projection).length === 0) return doc;
+    const entries = Object.entries(projection);
+    const including = entries.some(([key, value]) => key !== '_id' && value);
+    if (!including) {
+        const result = clone(doc);
+        entries.forEach(([key]) => unsetPath(result, key));
+        return result;
+    }
+    const result = {};
+    if (projection._id !== 0 && doc._id !== undefined) {
+        result._id = doc._id;
+    }
+    entries.forEach(([key, value]) => {
+        if (key === '_id' || !value) return;
+        const found = getPath(doc, key);
+        if (found !== undefined) setPath(result, key, found);
+    });
+    return result;
+}
+
+function sortComparator(sort) {
+    const keys = Object.entries(sort || {});
+    return (a, b) => {
+        for (const [key, direction] of keys) {
+            const order = compareValues(getPath(a, key), getPath(b, key));
+            if (order !== 0) return order * direction;
+        }
+        return 0;
+    };
+}
+
+module.exports = {
+    clone,
+    matches,
+    applyUpdate,
+    seedFromFilter,
+    project,
+    sortComparator
+};
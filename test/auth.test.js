@@ -0,0 +1,276 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const STATS = { pace: 50, shooting: 50, passing: 50, dribbling: 50, defending: 50, physical: 50 };
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+// An admin with their own group, and its invite code
+async function newGroup(username, groupName) {
+    const admin = server.client();
+    await admin.register(username, { groupName });
+    const me = await admin.get('/api/auth/me');
+    return { admin, groupId: me.body.groupId, inviteCode: me.body.groups[0].inviteCode };
+}
+
+async function addPlayer(client, name) {
+    const result = await client.post('/api/persons', { name, stats: STATS });
+    assert.equal(result.status, 201, JSON.stringify(result.body));
+    return result.body;
+}
+
+const names = async client => (await client.get('/api/persons')).body.map(person => person.name);
+
+test('registering checks the username, password and invite code', async () => {
+    const client = server.client();
+    const attempts = [
+        [{ username: 'ab', password: 'password1' }, 400],
+        [{ username: 'has space', password: 'password1' }, 400],
+        [{ username: 'shortpass', password: 'seven77' }, 400],
+        [{ username: 'invited', password: 'password1', inviteCode: 'nope' }, 404]
+    ];
+    for (const [body, status] of attempts) {
+        const result = await client.post('/api/auth/register', body);
+        assert.equal(result.status, status, JSON.stringify(body));
+    }
+
+    await client.register('Taken.Name');
+    const clash = await server.client().post('/api/auth/register', { username: 'taken.name', password: 'password1' });
+    assert.equal(clash.status, 409);
+    assert.equal(clash.body.error, 'That username is taken.');
+});
+
+test('an invite code must be a plain string, so operator objects never reach the lookup', async () => {
+    const { admin } = await newGroup('invite-victim', 'Private Group');
+    await addPlayer(admin, 'Private Player');
+
+    for (const inviteCode of [{ $ne: null }, { $exists: true }, ['x'], 12345678]) {
+        const result = await server.client().post('/api/auth/register', { username: 'invite-probe', password: 'password1', inviteCode });
+        assert.equal(result.status, 400, JSON.stringify(inviteCode));
+        assert.deepEqual(result.body.details, [{ field: 'inviteCode', message: 'must be the code from your group admin' }]);
+    }
+
+    const existing = server.client();
+    await existing.register('join-probe');
+    for (const inviteCode of [{ $exists: true }, { $ne: null }, undefined]) {
+        const result = await existing.post('/api/auth/groups/join', { inviteCode });
+        assert.equal(result.status, 400, JSON.stringify(inviteCode));
+    }
+    assert.equal((await existing.get('/api/persons')).status, 403);
+    assert.deepEqual((await existing.get('/api/auth/me')).body.groups, []);
+});
+
+test('a group name must be a non-empty string of at most 60 characters', async () => {
+    for (const groupName of [{ $gt: '' }, '   ', 'x'.repeat(61)]) {
+        const result = await server.client().post('/api/auth/register', { username: 'group-probe', password: 'password1', groupName });
+        assert.equal(result.status, 400, JSON.stringify(groupName));
+        assert.equal(result.body.details[0].field, 'groupName');
+    }
+    const client = server.client();
+    await client.register('group-namer');
+    assert.equal((await client.post('/api/auth/groups', { name: { $gt: '' } })).status, 400);
+    assert.equal((await client.post('/api/auth/groups', { name: 'y'.repeat(61) })).status, 400);
+});
+
+test('logging in needs the right password, and logging out ends the session', async () => {
+    await server.client().register('login-user', { groupName: 'Login FC' });
+
+    const client = server.client();
+    assert.equal((await client.post('/api/auth/login', { username: 'login-user', password: 'wrong-password' })).status, 401);
+    assert.equal((await client.post('/api/auth/login', { username: 'nobody-here', password: 'password1' })).status, 401);
+    assert.equal((await client.get('/api/auth/me')).status, 401);
+
+    // Usernames are matched ignoring case
+    const login = await client.post('/api/auth/login', { username: 'LOGIN-USER', password: 'password1' });
+    assert.equal(login.status, 200);
+    const me = await client.get('/api/auth/me');
+    assert.equal(me.body.user.username, 'login-user');
+    assert.equal(me.body.role, 'admin');
+    assert.equal(me.body.user.passwordHash, undefined);
+    assert.equal(me.body.user.salt, undefined);
+
+    assert.equal((await client.post('/api/auth/logout')).status, 200);
+    assert.equal((await client.get('/api/auth/me')).status, 401);
+    assert.equal((await client.get('/api/persons')).status, 401);
+});
+
+test('API routes need a session and an active group', async () => {
+    const anonymous = server.client();
+    const noSession = await anonymous.get('/api/persons');
+    assert.equal(noSession.status, 401);
+    assert.equal(noSession.body.error, 'Please log in.');
+
+    const loner = server.client();
+    await loner.register('no-group-yet');
+    const noGroup = await loner.get('/api/persons');
+    assert.equal(noGroup.status, 403);
+    assert.equal(noGroup.body.error, 'Create or join a group first.');
+
+    assert.equal((await loner.post('/api/auth/groups', { name: '  ' })).status, 400);
+    const created = await loner.post('/api/auth/groups', { name: ' Late Starters ' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.name, 'Late Starters');
+    assert.equal((await loner.get('/api/persons')).status, 200);
+});
+
+test('members can read and rate but not change the roster', async () => {
+    const { admin, inviteCode } = await newGroup('roster-admin', 'Roster FC');
+    const player = await addPlayer(admin, 'Read Only');
+
+    const member = server.client();
+    await member.register('roster-member', { inviteCode });
+    const me = await member.get('/api/auth/me');
+    assert.equal(me.body.role, 'member');
+    // Only admins get to see the invite code
+    assert.equal(me.body.groups[0].inviteCode, undefined);
+
+    assert.deepEqual(await names(member), ['Read Only']);
+    const forbidden = [
+        ['POST', '/api/persons', { name: 'Sneaky', stats: STATS }],
+        ['PUT', `/api/persons/${player._id}`, { name: 'Renamed', stats: STATS }],
+        ['DELETE', `/api/persons/${player._id}`],
+        ['POST', '/api/sessions', { name: 'Members night' }],
+        ['PUT', `/api/members/${me.body.user._id}`, { role: 'admin' }]
+    ];
+    for (const [method, route, body] of forbidden) {
+        const result = await member.request(method, route, body);
+        assert.equal(result.status, 403, `${method} ${route}`);
+        assert.equal(result.body.error, 'Only group admins can make changes.');
+    }
+    assert.deepEqual(await names(admin), ['Read Only']);
+
+    const vote = await member.put(`/api/persons/${player._id}/ratings`, { stats: { ...STATS, pace: 80 } });
+    assert.equal(vote.status, 200, JSON.stringify(vote.body));
+    // Votes are anonymous to members; admins see who cast each one
+    assert.equal(vote.body.votes, undefined);
+    const summary = await admin.get(`/api/persons/${player._id}/ratings`);
+    assert.deepEqual(summary.body.votes.map(entry => entry.raterName), ['roster-member']);
+});
+
+test('admins can promote members, but a group keeps at least one admin', async () => {
+    const { admin, inviteCode } = await newGroup('promote-admin', 'Promotions');
+    const member = server.client();
+    await member.register('promote-member', { inviteCode });
+    const memberId = (await member.get('/api/auth/me')).body.user._id;
+    const adminId = (await admin.get('/api/auth/me')).body.user._id;
+
+    assert.equal((await admin.put(`/api/members/${memberId}`, { role: 'owner' })).status, 400);
+    assert.equal((await admin.put('/api/members/aaaaaaaaaaaaaaaaaaaaaaaa', { role: 'admin' })).status, 404);
+
+    const lastAdmin = await admin.put(`/api/members/${adminId}`, { role: 'member' });
+    assert.equal(lastAdmin.status, 409);
+    assert.equal(lastAdmin.body.error, 'A group needs at least one admin.');
+
+    assert.equal((await admin.put(`/api/members/${memberId}`, { role: 'admin' })).status, 200);
+    assert.equal((await member.post('/api/persons', { name: 'Now Allowed', stats: STATS })).status, 201);
+
+    // With a second admin in place, the first can step down
+    assert.equal((await admin.put(`/api/members/${adminId}`, { role: 'member' })).status, 200);
+    assert.equal((await admin.post('/api/persons', { name: 'Not Any More', stats: STATS })).status, 403);
+    const roles = (await member.get('/api/members')).body.map(entry => `${entry.username}:${entry.role}`).sort();
+    assert.deepEqual(roles, ['promote-admin:member', 'promote-member:admin']);
+});
+
+test("one group never sees or changes another group's data", async () => {
+    const home = await newGroup('home-admin', 'Home');
+    const away = await newGroup('away-admin', 'Away');
+    const player = await addPlayer(home.admin, 'Home Only');
+    const saved = await home.admin.post('/api/teams', {
+        teams: [
+            { name: 'Bibs', members: [{ _id: player._id, name: player.name }] },
+            { name: 'Shirts', members: [] }
+        ]
+    });
+    assert.equal(saved.status, 201, JSON.stringify(saved.body));
+
+    assert.deepEqual(await names(away.admin), []);
+    assert.deepEqual((await away.admin.get('/api/teams')).body, []);
+    const crossGroup = [
+        ['PUT', `/api/persons/${player._id}`, { name: 'Stolen', stats: STATS }],
+        ['DELETE', `/api/persons/${player._id}`],
+        ['GET', `/api/persons/${player._id}/ratings`],
+        ['GET', `/api/teams/${saved.body._id}`],
+        ['DELETE', `/api/teams/${saved.body._id}`]
+    ];
+    for (const [method, route, body] of crossGroup) {
+        const result = await away.admin.request(method, route, body);
+        assert.equal(result.status, 404, `${method} ${route}`);
+    }
+
+    // Another group's players can't be slipped into a lineup either
+    const lineup = await away.admin.post('/api/teams', {
+        teams: [{ name: 'Borrowed', members: [{ _id: player._id, name: player.name }] }]
+    });
+    assert.equal(lineup.status, 400);
+
+    // A name only has to be unique within its own group
+    await addPlayer(away.admin, 'Home Only');
+    assert.deepEqual(await names(home.admin), ['Home Only']);
+    assert.equal((await home.admin.get(`/api/teams/${saved.body._id}`)).status, 200);
+});
+
+test('switching groups changes which roster you see', async () => {
+    const first = await newGroup('switcher', 'First Group');
+    await addPlayer(first.admin, 'First Player');
+
+    const second = await first.admin.post('/api/auth/groups', { name: 'Second Group' });
+    assert.equal(second.status, 201);
+    assert.deepEqual(await names(first.admin), []);
+    await addPlayer(first.admin, 'Second Player');
+
+    assert.equal((await first.admin.post(`/api/auth/groups/${first.groupId}/switch`)).status, 200);
+    assert.deepEqual(await names(first.admin), ['First Player']);
+    const me = await first.admin.get('/api/auth/me');
+    assert.deepEqual(me.body.groups.map(group => group.name).sort(), ['First Group', 'Second Group']);
+
+    // Only groups you belong to
+    const stranger = await newGroup('stranger', 'Elsewhere');
+    const refused = await first.admin.post(`/api/auth/groups/${stranger.groupId}/switch`);
+    assert.equal(refused.status, 404);
+    assert.equal(refused.body.error, 'Group not found');
+    assert.deepEqual(await names(first.admin), ['First Player']);
+
+    // Joining by invite code switches too, and joining twice keeps the original role
+    const joined = await first.admin.post('/api/auth/groups/join', { inviteCode: stranger.inviteCode });
+    assert.equal(joined.status, 200);
+    assert.equal((await first.admin.get('/api/auth/me')).body.role, 'member');
+    assert.equal((await first.admin.post('/api/auth/groups/join', { inviteCode: 'wrong' })).status, 404);
+    assert.equal((await stranger.admin.post('/api/auth/groups/join', { inviteCode: stranger.inviteCode })).status, 200);
+    assert.equal((await stranger.admin.get('/api/auth/me')).body.role, 'admin');
+});
+
+test('stats set by peer ratings cannot be overwritten by an edit or an import', async () => {
+    const { admin, inviteCode } = await newGroup('peer-admin', 'Peers');
+    const player = await addPlayer(admin, 'Peer Rated');
+    for (const username of ['peer-1', 'peer-2', 'peer-3']) {
+        const member = server.client();
+        await member.register(username, { inviteCode });
+        assert.equal((await member.put(`/api/persons/${player._id}/ratings`, { stats: { ...STATS, pace: 70 } })).status, 200);
+    }
+    const rated = (await admin.get('/api/persons')).body.find(person => person._id === player._id);
+    assert.equal(rated.stats.pace, 70);
+    assert.equal(rated.peerRating.applied, true);
+
+    const edit = await admin.put(`/api/persons/${player._id}`, { name: 'Peer Rated', stats: { ...STATS, pace: 99 } });
+    assert.equal(edit.status, 400);
+    assert.deepEqual(edit.body.details, [{ field: 'stats', message: 'are set by peer ratings for this player' }]);
+    // Leaving the stats as they are is still fine
+    const rename = await admin.put(`/api/persons/${player._id}`, { name: 'Peer Rated Too', stats: rated.stats });
+    assert.equal(rename.status, 200, JSON.stringify(rename.body));
+
+    const form = new FormData();
+    form.append('file', new Blob([JSON.stringify([{ name: 'Peer Rated Too', stats: { ...STATS, pace: 99 } }])]), 'roster.json');
+    form.append('mode', 'upsert');
+    const imported = await admin.post('/api/persons/import', form);
+    assert.equal(imported.status, 200, JSON.stringify(imported.body));
+    assert.equal(imported.body.rows[0].action, 'skip');
+    assert.deepEqual(imported.body.rows[0].errors, ['stats are set by peer ratings for this player']);
+    assert.equal((await admin.get('/api/persons')).body.find(person => person._id === player._id).stats.pace, 70);
+});
@@ -0,0 +1,81 @@
+// Shared setup for the route tests: the real app on the file backend in a
+// throwaway data directory, and a cookie-keeping client to call it with
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js reads the storage settings when it first connects, so they have to be
+// in place before the first request. Each test file runs in its own process.
+async function startServer() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'team-gen-test-'));
+    process.env.STORAGE_BACKEND = 'file';
+    process.env.DATA_DIR = dataDir;
+
+    const app = require('../server');
+    app.locals.log = () => {};
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        baseUrl,
+        client: () => createClient(baseUrl),
+        async close() {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+// Bodies are sent as JSON unless they are a string (sent as-is, to test malformed
+// JSON) or FormData. Responses come back as { status, body }.
+function createClient(baseUrl) {
+    let cookie = null;
+
+    async function request(method, route, body) {
+        const headers = {};
+        if (cookie) headers.cookie = cookie;
+        let payload = body;
+        if (typeof body === 'string') {
+            headers['content-type'] = 'application/json';
+        } else if (body !== undefined && !(body instanceof FormData)) {
+            headers['content-type'] = 'application/json';
+            payload = JSON.stringify(body);
+        }
+
+        const response = await fetch(baseUrl + route, { method, headers, body: payload });
+        const session = response.headers.getSetCookie().find(line => line.startsWith('tg_session='));
+        if (session) {
+            cookie = session.split(';')[0];
+        }
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            // Not JSON (an image, a CSV); the text is what the caller asked for
+        }
+        return { status: response.status, body: parsed };
+    }
+
+    return {
+        request,
+        get: route => request('GET', route),
+        post: (route, body) => request('POST', route, body),
+        put: (route, body) => request('PUT', route, body),
+        delete: (route, body) => request('DELETE', route, body),
+
+        async register(username, details = {}) {
+            const result = await request('POST', '/api/auth/register', { username, password: 'password1', ...details });
+            if (result.status !== 201) {
+                throw new Error(`Could not register ${username}: ${JSON.stringify(result.body)}`);
+            }
+            return result;
+        }
+    };
+}
+
+module.exports = { startServer, createClient };
@@ -0,0 +1,420 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { startServer } = require('./helpers');
+const { ELO_BASE } = require('../public/team-generator');
+
+const STATS = { pace: 50, shooting: 50, passing: 50, dribbling: 50, defending: 50, physical: 50 };
+const UNKNOWN_ID = 'aaaaaaaaaaaaaaaaaaaaaaaa';
+
+let server;
+let admin;
+
+before(async () => {
+    server = await startServer();
+    admin = server.client();
+    await admin.register('admin1', { groupName: 'Tuesday Five-a-side' });
+});
+
+after(() => server.close());
+
+async function addPlayer(name, stats = STATS) {
+    const result = await admin.post('/api/persons', { name, stats, positions: { primary: 'MID' } });
+    assert.equal(result.status, 201, JSON.stringify(result.body));
+    return result.body;
+}
+
+function assertValidationError(result, field, message) {
+    assert.equal(result.status, 400, JSON.stringify(result.body));
+    assert.equal(result.body.error, 'Validation failed');
+    const detail = result.body.details.find(entry => entry.field === field);
+    assert.ok(detail, `expected a detail for ${field}, got ${JSON.stringify(result.body.details)}`);
+    if (message) assert.equal(detail.message, message);
+}
+
+function assertStale(result) {
+    assert.equal(result.status, 409, JSON.stringify(result.body));
+    assert.deepEqual(result.body.details, [{ field: 'expectedUpdatedAt', message: 'does not match the current version' }]);
+}
+
+function importFile(contents, fields = {}) {
+    const form = new FormData();
+    form.append('file', new Blob([contents], { type: 'application/json' }), 'roster.json');
+    Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+    return form;
+}
+
+// Every route with an :id (or :userId) in its path, so a new route can't skip the check
+const ID_ROUTES = [
+    ['PUT', '/api/sports/:id'],
+    ['DELETE', '/api/sports/:id'],
+    ['PUT', '/api/persons/:id'],
+    ['DELETE', '/api/persons/:id'],
+    ['GET', '/api/persons/:id/history'],
+    ['GET', '/api/persons/:id/photo'],
+    ['GET', '/api/persons/:id/ratings'],
+    ['PUT', '/api/persons/:id/ratings'],
+    ['DELETE', '/api/persons/:id/ratings'],
+    ['GET', '/api/teams/:id'],
+    ['GET', '/api/teams/:id/versions'],
+    ['GET', '/api/teams/:id/verify'],
+    ['PUT', '/api/teams/:id'],
+    ['POST', '/api/teams/:id/result'],
+    ['POST', '/api/teams/:id/share'],
+    ['DELETE', '/api/teams/:id/share'],
+    ['DELETE', '/api/teams/:id'],
+    ['PUT', '/api/sessions/:id'],
+    ['DELETE', '/api/sessions/:id'],
+    ['PUT', '/api/constraints/:id'],
+    ['DELETE', '/api/constraints/:id'],
+    ['GET', '/api/tournaments/:id'],
+    ['DELETE', '/api/tournaments/:id'],
+    ['PUT', '/api/tournaments/:id/fixtures/0'],
+    ['POST', '/api/auth/groups/:id/switch']
+];
+
+test('a malformed id in the path is a 400 naming the parameter', async () => {
+    // The second is 12 characters, which ObjectId.isValid alone would accept
+    for (const badId of ['not-an-id', 'abcdefghijkl']) {
+        for (const [method, route] of ID_ROUTES) {
+            const result = await admin.request(method, route.replace(':id', badId), method === 'GET' ? undefined : {});
+            assertValidationError(result, 'id', 'must be a valid id');
+        }
+        assertValidationError(await admin.put(`/api/members/${badId}`, { role: 'admin' }), 'userId', 'must be a valid id');
+        assertValidationError(await admin.delete(`/api/persons/${UNKNOWN_ID}/ratings/${badId}`), 'userId', 'must be a valid id');
+    }
+});
+
+test('a well-formed id that matches nothing is a 404', async () => {
+    const routes = [
+        ['PUT', '/api/persons/:id', { name: 'Nobody', stats: STATS }],
+        ['DELETE', '/api/persons/:id'],
+        ['GET', '/api/teams/:id'],
+        ['GET', '/api/teams/:id/versions'],
+        ['DELETE', '/api/teams/:id'],
+        ['DELETE', '/api/sessions/:id'],
+        ['GET', '/api/tournaments/:id'],
+        ['POST', '/api/auth/groups/:id/switch']
+    ];
+    for (const [method, route, body] of routes) {
+        const result = await admin.request(method, route.replace(':id', UNKNOWN_ID), body);
+        assert.equal(result.status, 404, `${method} ${route}: ${JSON.stringify(result.body)}`);
+        assert.equal(typeof result.body.error, 'string');
+    }
+});
+
+test('a malformed JSON body is a 400 on the body', async () => {
+    for (const [method, route] of [['POST', '/api/persons'], ['POST', '/api/teams'], ['POST', '/api/auth/login']]) {
+        const result = await admin.request(method, route, '{"name": "Unclosed');
+        assertValidationError(result, 'body', 'must be valid JSON');
+    }
+});
+
+test('an unknown API route is a JSON 404', async () => {
+    const result = await admin.get('/api/nothing-here');
+    assert.equal(result.status, 404);
+    assert.equal(result.body.error, 'No route for GET /api/nothing-here');
+});
+
+test('stats out of range or with unknown keys are rejected field by field', async () => {
+    const result = await admin.post('/api/persons', { name: 'Out Of Range', stats: { ...STATS, pace: 0, shooting: 100, speed: 70 } });
+    assertValidationError(result, 'stats.pace', 'must be a whole number from 1 to 99');
+    assertValidationError(result, 'stats.shooting', 'must be a whole number from 1 to 99');
+    assertValidationError(result, 'stats.speed', 'is not a known stat');
+
+    assertValidationError(await admin.post('/api/persons', { name: 'Half Rated', stats: { ...STATS, passing: 12.5 } }),
+        'stats.passing', 'must be a whole number from 1 to 99');
+    assertValidationError(await admin.post('/api/persons', { stats: STATS }), 'name');
+
+    const player = await addPlayer('Range Check');
+    const update = await admin.put(`/api/persons/${player._id}`, { name: 'Range Check', stats: { ...STATS, defending: 150 } });
+    assertValidationError(update, 'stats.defending', 'must be a whole number from 1 to 99');
+    const stored = await admin.get(`/api/persons`);
+    assert.equal(stored.body.find(person => person._id === player._id).stats.defending, 50);
+});
+
+test('an unknown sport is rejected rather than filed under the default one', async () => {
+    assertValidationError(await admin.post('/api/persons', { name: 'Lost', stats: STATS, sportId: UNKNOWN_ID }),
+        'sportId', 'does not match one of your sports');
+});
+
+test('a duplicate player name is a 409, ignoring case and spacing', async () => {
+    const first = await addPlayer('Sam Keeper');
+    const clash = await admin.post('/api/persons', { name: '  sam keeper ', stats: STATS });
+    assert.equal(clash.status, 409);
+    assert.deepEqual(clash.body.details, [{ field: 'name', message: 'is already taken by another player' }]);
+
+    const other = await addPlayer('Alex Winger');
+    const rename = await admin.put(`/api/persons/${other._id}`, { name: 'SAM KEEPER', stats: STATS });
+    assert.equal(rename.status, 409);
+
+    // Saving a player under their own name is not a clash
+    const same = await admin.put(`/api/persons/${first._id}`, { name: 'Sam Keeper', stats: { ...STATS, pace: 60 } });
+    assert.equal(same.status, 200, JSON.stringify(same.body));
+});
+
+test('importing a name that already exists skips the row in create mode', async () => {
+    await addPlayer('Imported Twice');
+    const result = await admin.post('/api/persons/import', importFile(JSON.stringify([
+        { name: 'imported twice', stats: STATS },
+        { name: 'Fresh Import', stats: STATS }
+    ])));
+    assert.equal(result.status, 200, JSON.stringify(result.body));
+    assert.deepEqual(result.body.summary, { created: 1, updated: 0, skipped: 1 });
+    assert.deepEqual(result.body.rows[0].errors, ['a player with this name already exists (use upsert to update)']);
+});
+
+test('imported rows store the validated stats, not the raw record', async () => {
+    const result = await admin.post('/api/persons/import', importFile(JSON.stringify([
+        {
+            name: 'String Stats',
+            stats: JSON.stringify(STATS),
+            positions: JSON.stringify({ primary: 'DEF', secondary: 'GK' }),
+            extra: 'dropped'
+        }
+    ])));
+    assert.equal(result.status, 200, JSON.stringify(result.body));
+    assert.deepEqual(result.body.rows[0].errors, []);
+    assert.equal(result.body.summary.created, 1);
+
+    const person = (await admin.get('/api/persons')).body.find(entry => entry.name === 'String Stats');
+    assert.deepEqual(person.stats, STATS);
+    assert.deepEqual(person.positions, { primary: 'DEF', secondary: 'GK' });
+    assert.equal(person.extra, undefined);
+});
+
+test('editing a player with a stale expectedUpdatedAt is a 409', async () => {
+    const player = await addPlayer('Stale Edit');
+    const firstEdit = await admin.put(`/api/persons/${player._id}`, { name: 'Stale Edit', stats: { ...STATS, pace: 70 } });
+    assert.equal(firstEdit.status, 200);
+
+    // Replaying an offline edit made against the version from before firstEdit
+    const replay = await admin.put(`/api/persons/${player._id}`,
+        { name: 'Stale Edit', stats: { ...STATS, pace: 30 }, expectedUpdatedAt: player.createdAt });
+    assertStale(replay);
+    const remove = await admin.delete(`/api/persons/${player._id}?expectedUpdatedAt=${encodeURIComponent(player.createdAt)}`);
+    assertStale(remove);
+
+    const current = await admin.put(`/api/persons/${player._id}`,
+        { name: 'Stale Edit', stats: { ...STATS, pace: 75 }, expectedUpdatedAt: firstEdit.body.updatedAt });
+    assert.equal(current.status, 200, JSON.stringify(current.body));
+});
+
+test('editing or deleting saved teams with a stale expectedUpdatedAt is a 409', async () => {
+    const a = await addPlayer('Team Stale A');
+    const b = await addPlayer('Team Stale B');
+    const teams = [
+        { name: 'Bibs', members: [{ _id: a._id, name: a.name }] },
+        { name: 'Shirts', members: [{ _id: b._id, name: b.name }] }
+    ];
+    const saved = await admin.post('/api/teams', { teams });
+    assert.equal(saved.status, 201, JSON.stringify(saved.body));
+
+    const renamed = await admin.put(`/api/teams/${saved.body._id}`, { teams, name: 'Week one' });
+    assert.equal(renamed.status, 200, JSON.stringify(renamed.body));
+
+    assertStale(await admin.put(`/api/teams/${saved.body._id}`, { teams, name: 'Offline name', expectedUpdatedAt: saved.body.createdAt }));
+    assertStale(await admin.delete(`/api/teams/${saved.body._id}?expectedUpdatedAt=${encodeURIComponent(saved.body.createdAt)}`));
+    assert.equal((await admin.get(`/api/teams/${saved.body._id}`)).body.name, 'Week one');
+});
+
+test('a lineup naming players who are not on the roster is rejected', async () => {
+    const a = await addPlayer('Lineup Real');
+    const result = await admin.post('/api/teams', {
+        teams: [
+            { name: 'Bibs', members: [{ _id: a._id, name: a.name }] },
+            { name: 'Shirts', members: [{ _id: UNKNOWN_ID, name: 'Made Up' }] }
+        ]
+    });
+    assertValidationError(result, 'teams');
+    assert.match(result.body.details[0].message, /not on your roster/);
+
+    const malformed = await admin.post('/api/teams', { teams: [{ name: 'Bibs', members: [{ _id: 'x', name: 'Nope' }] }] });
+    assertValidationError(malformed, 'teams');
+});
+
+test('a bad result is a 400 and deleting a recorded result takes its rating changes back out', async () => {
+    const a = await addPlayer('Result Winner');
+    const b = await addPlayer('Result Loser');
+    const saved = await admin.post('/api/teams', {
+        teams: [
+            { name: 'Bibs', members: [{ _id: a._id, name: a.name }] },
+            { name: 'Shirts', members: [{ _id: b._id, name: b.name }] }
+        ]
+    });
+    assert.equal(saved.status, 201, JSON.stringify(saved.body));
+    const ratingsOf = async () => {
+        const persons = (await admin.get('/api/persons')).body;
+        return [a, b].map(player => persons.find(person => person._id === player._id).rating ?? ELO_BASE);
+    };
+    assert.deepEqual(await ratingsOf(), [ELO_BASE, ELO_BASE]);
+
+    const bad = await admin.post(`/api/teams/${saved.body._id}/result`, { scores: [3] });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.error, 'Provide one non-negative whole-number score for each of the 2 teams.');
+
+    const recorded = await admin.post(`/api/teams/${saved.body._id}/result`, { scores: [3, 1] });
+    assert.equal(recorded.status, 200, JSON.stringify(recorded.body));
+    const [winner, loser] = await ratingsOf();
+    assert.ok(winner > loser);
+
+    assert.equal((await admin.delete(`/api/teams/${saved.body._id}`)).status, 200);
+    assert.deepEqual(await ratingsOf(), [ELO_BASE, ELO_BASE]);
+});
+
+test('a result for a one-team configuration is refused and leaves ratings alone', async () => {
+    const a = await addPlayer('Solo One');
+    const b = await addPlayer('Solo Two');
+    const saved = await admin.post('/api/teams', {
+        teams: [{ name: 'Everyone', members: [{ _id: a._id, name: a.name }, { _id: b._id, name: b.name }] }]
+    });
+    assert.equal(saved.status, 201, JSON.stringify(saved.body));
+
+    const result = await admin.post(`/api/teams/${saved.body._id}/result`, { scores: [3] });
+    assert.equal(result.status, 409);
+    assert.equal(result.body.error, 'A result needs at least two teams to have played each other.');
+    const persons = (await admin.get('/api/persons')).body.filter(person => [a._id, b._id].includes(person._id));
+    persons.forEach(person => assert.equal(person.rating ?? ELO_BASE, ELO_BASE));
+});
+
+test('team names are trimmed and capped at 60 characters', async () => {
+    const a = await addPlayer('Named Team Player');
+    const members = [{ _id: a._id, name: a.name }];
+    const tooLong = await admin.post('/api/teams', { teams: [{ name: `<img src=x onerror=alert(1)>${'x'.repeat(60)}`, members }] });
+    assertValidationError(tooLong, 'teams', 'team names must be at most 60 characters');
+
+    const saved = await admin.post('/api/teams', { teams: [{ name: '  Bibs  ', members }, { name: 'Shirts', members: [] }] });
+    assert.equal(saved.status, 201, JSON.stringify(saved.body));
+    assert.deepEqual(saved.body.teams.map(team => team.name), ['Bibs', 'Shirts']);
+});
+
+function playerForm(name, photo, type = 'image/png') {
+    const form = new FormData();
+    form.append('name', name);
+    form.append('stats', JSON.stringify(STATS));
+    form.append('photo', new Blob([photo], { type }), 'photo.png');
+    return form;
+}
+
+test('a photo that is not a readable image is a 400 on the photo, not a 500', async () => {
+    const fake = Buffer.from('this is not really a png');
+    assertValidationError(await admin.post('/api/persons', playerForm('Fake Photo', fake)), 'photo', 'is not an image that can be read');
+    assert.ok(!(await admin.get('/api/persons')).body.some(person => person.name === 'Fake Photo'));
+
+    const player = await addPlayer('Photo Update');
+    assertValidationError(await admin.put(`/api/persons/${player._id}`, playerForm('Photo Update', fake)), 'photo');
+
+    const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#3366ff' } }).png().toBuffer();
+    const saved = await admin.post('/api/persons', playerForm('Real Photo', png));
+    assert.equal(saved.status, 201, JSON.stringify(saved.body));
+    assert.equal((await admin.get(saved.body.photo)).status, 200);
+});
+
+test('registering reports every bad field at once', async () => {
+    const result = await server.client().post('/api/auth/register', { username: 'x', password: 'short', groupName: { $gt: '' } });
+    assert.equal(result.status, 400);
+    assert.deepEqual(result.body.details.map(detail => detail.field), ['username', 'groupName', 'password']);
+    assertValidationError(result, 'password', 'must be at least 8 characters');
+});
+
+test('sessions check their name, date and check-in list', async () => {
+    const player = await addPlayer('Session Regular');
+    assertValidationError(await admin.post('/api/sessions', { name: { $gt: '' } }), 'name', 'is required');
+    assertValidationError(await admin.post('/api/sessions', { name: 'x'.repeat(61) }), 'name', 'must be at most 60 characters');
+    assertValidationError(await admin.post('/api/sessions', { date: 'not a date' }), 'date', 'must be a valid date');
+    // 12 characters passes ObjectId.isValid but is not an id this app ever hands out
+    assertValidationError(await admin.post('/api/sessions', { presentIds: ['abcdefghijkl'] }), 'presentIds', 'must be a list of player ids');
+    assertValidationError(await admin.post('/api/sessions', { presentIds: 'everyone' }), 'presentIds');
+
+    const created = await admin.post('/api/sessions', { name: '  Friday  ', presentIds: [player._id, player._id] });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    assert.equal(created.body.name, 'Friday');
+    assert.deepEqual(created.body.presentIds, [player._id]);
+    const unnamed = await admin.post('/api/sessions', {});
+    assert.match(unnamed.body.name, /^Match day /);
+
+    const route = `/api/sessions/${created.body._id}`;
+    assertValidationError(await admin.put(route, { name: '' }), 'name', 'is required');
+    assertValidationError(await admin.put(route, { presentIds: [{ $ne: null }] }), 'presentIds');
+    assert.equal((await admin.put(`/api/sessions/${UNKNOWN_ID}`, { name: 'Gone' })).status, 404);
+    const renamed = await admin.put(route, { name: 'Saturday', presentIds: [] });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.name, 'Saturday');
+});
+
+test('pairing rules check their type, players and note', async () => {
+    const a = await addPlayer('Rule One');
+    const b = await addPlayer('Rule Two');
+    const result = await admin.post('/api/constraints', { type: 'near', personIds: [a._id, a._id], note: { $gt: '' } });
+    assertValidationError(result, 'type', 'must be one of together, apart');
+    assertValidationError(result, 'personIds', 'must name at least two different players');
+    assertValidationError(result, 'note', 'must be text');
+    assertValidationError(await admin.post('/api/constraints', { type: 'apart', personIds: [a._id, 'abcdefghijkl'] }),
+        'personIds', 'must be a list of player ids');
+
+    const created = await admin.post('/api/constraints', { type: 'apart', personIds: [a._id, b._id], note: ' rivals ' });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    assert.equal(created.body.note, 'rivals');
+    assertValidationError(await admin.put(`/api/constraints/${created.body._id}`, { type: 'together', personIds: [a._id] }),
+        'personIds', 'must name at least two different players');
+    assert.equal((await admin.put(`/api/constraints/${UNKNOWN_ID}`, { type: 'together', personIds: [a._id, b._id] })).status, 404);
+});
+
+test('generating teams checks every option', async () => {
+    const players = [await addPlayer('Gen One'), await addPlayer('Gen Two'), await addPlayer('Gen Three')];
+    const playerIds = players.map(player => player._id);
+
+    const bad = await admin.post('/api/teams/generate', {
+        playerIds: [...playerIds, 'abcdefghijkl'], numTeams: 1, unevenMode: 'sideways', ratingMode: 'vibes',
+        formation: 'all attack', variety: 101, rotationWindow: 0, seed: 'no spaces allowed'
+    });
+    for (const field of ['playerIds', 'numTeams', 'unevenMode', 'ratingMode', 'formation', 'variety', 'rotationWindow', 'seed']) {
+        assertValidationError(bad, field);
+    }
+    assertValidationError(await admin.post('/api/teams/generate', { playerIds: [], numTeams: 2 }),
+        'playerIds', 'must include at least one player');
+    assertValidationError(await admin.post('/api/teams/generate', { playerIds, numTeams: 2, pins: { [UNKNOWN_ID]: 0 } }), 'pins');
+    assertValidationError(await admin.post('/api/teams/generate', { playerIds, numTeams: 2, strategy: 'nonsense' }), 'strategy');
+    assertValidationError(await admin.post('/api/teams/generate', { playerIds: [playerIds[0], UNKNOWN_ID], numTeams: 2 }),
+        'playerIds', 'must include at least 2 of your players to make 2 teams');
+
+    const drawn = await admin.post('/api/teams/generate', { playerIds, numTeams: 2, seed: 'route-test' });
+    assert.equal(drawn.status, 200, JSON.stringify(drawn.body));
+    assert.equal(drawn.body.teams.length, 2);
+});
+
+test('line-up changes that move nobody are still saved as a new version', async () => {
+    const a = await addPlayer('Shape One');
+    const b = await addPlayer('Shape Two');
+    const teams = [
+        { name: 'Bibs', members: [{ _id: a._id, name: a.name }] },
+        { name: 'Shirts', members: [{ _id: b._id, name: b.name }] }
+    ];
+    const saved = await admin.post('/api/teams', { teams, balance: { score: 80 } });
+    assert.equal(saved.status, 201, JSON.stringify(saved.body));
+    const route = `/api/teams/${saved.body._id}`;
+
+    const added = await admin.put(route, { teams: [...teams, { name: 'Skins', members: [] }] });
+    assert.equal(added.status, 200, JSON.stringify(added.body));
+    assert.deepEqual(added.body.teams.map(team => team.name), ['Bibs', 'Shirts', 'Skins']);
+    assert.equal(added.body.version, 2);
+
+    const rebalanced = await admin.put(route, { teams: added.body.teams, balance: { score: 95 } });
+    assert.equal(rebalanced.body.version, 3);
+    assert.equal((await admin.get(route)).body.balance.score, 95);
+
+    const versions = (await admin.get(`${route}/versions`)).body;
+    assert.deepEqual(versions[0].changes, [{ field: 'balance', from: 80, to: 95 }]);
+    assert.deepEqual(versions[1].changes, [{ field: 'teams', from: ['Bibs', 'Shirts'], to: ['Bibs', 'Shirts', 'Skins'] }]);
+
+    // Sending back exactly what is stored changes nothing
+    const same = await admin.put(route, { teams: added.body.teams, balance: { score: 95 } });
+    assert.equal(same.body.version, 3);
+
+    // Once a score is recorded the number of teams it covers is fixed
+    assert.equal((await admin.put(route, { teams })).status, 200);
+    assert.equal((await admin.post(`${route}/result`, { scores: [2, 1] })).status, 200);
+    const extraTeam = await admin.put(route, { teams: [...teams, { name: 'Skins', members: [] }] });
+    assert.equal(extraTeam.status, 409);
+    assert.equal((await admin.put(route, { name: 'Renamed after the match' })).status, 200);
+});
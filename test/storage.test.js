@@ -0,0 +1,298 @@
+// One contract for both storage backends, so the file backend can't quietly drift
+// from what MongoDB does with the same queries. The MongoDB half needs a server to
+// talk to: set MONGODB_TEST_URI (a database it may write to) to run it.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+const { createFileStorage } = require('../storage/file');
+const { createMongoStorage } = require('../storage/mongo');
+
+const RUN = Date.now().toString(36);
+
+const BACKENDS = [
+    {
+        name: 'file',
+        setUp() {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'team-gen-storage-'));
+            return {
+                open: () => createFileStorage(dir),
+                tearDown: async () => fs.rmSync(dir, { recursive: true, force: true })
+            };
+        }
+    },
+    {
+        name: 'mongo',
+        skip: process.env.MONGODB_TEST_URI ? false : 'set MONGODB_TEST_URI to run against MongoDB',
+        setUp() {
+            return {
+                open: () => createMongoStorage(process.env.MONGODB_TEST_URI),
+                // Collections are named per run, so emptying them is enough
+                tearDown: async (storage, names) => {
+                    await Promise.all(names.map(name => storage.collection(name).deleteMany({})));
+                }
+            };
+        }
+    }
+];
+
+async function readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+const names = docs => docs.map(doc => doc.name);
+
+BACKENDS.forEach(backend => {
+    describe(`${backend.name} storage`, { skip: backend.skip }, () => {
+        let setup;
+        let storage;
+        const used = [];
+
+        // A fresh collection for each test
+        function collection(label) {
+            const name = `contract_${RUN}_${label}`;
+            used.push(name);
+            return storage.collection(name);
+        }
+
+        before(async () => {
+            setup = backend.setUp();
+            storage = await setup.open();
+        });
+
+        after(async () => {
+            await setup.tearDown(storage, used);
+            await storage.close();
+        });
+
+        test('insertOne assigns an _id and reads hand back copies', async () => {
+            const people = collection('insert');
+            const doc = { name: 'Ada', stats: { pace: 70 } };
+            const { insertedId } = await people.insertOne(doc);
+            assert.ok(insertedId instanceof ObjectId);
+            assert.ok(doc._id.equals(insertedId));
+
+            const found = await people.findOne({ _id: insertedId });
+            found.stats.pace = 1;
+            assert.equal((await people.findOne({ _id: insertedId })).stats.pace, 70);
+            assert.equal(await people.findOne({ name: 'Nobody' }), null);
+        });
+
+        test('$or and $and combine with each other and with plain fields', async () => {
+            const people = collection('or_and');
+            for (const [name, group, pace] of [['A', 'g1', 40], ['B', 'g1', 80], ['C', 'g2', 80], ['D', 'g1', 60]]) {
+                await people.insertOne({ name, group, pace });
+            }
+            const sort = { sort: { name: 1 } };
+            assert.deepEqual(names(await people.find({ group: 'g1', $or: [{ pace: 40 }, { pace: 80 }] }, sort)), ['A', 'B']);
+            assert.deepEqual(names(await people.find({ $and: [{ pace: { $gte: 50 } }, { pace: { $lt: 90 } }] }, sort)), ['B', 'C', 'D']);
+            assert.deepEqual(names(await people.find({
+                $or: [{ $and: [{ group: 'g2' }, { pace: 80 }] }, { name: 'A' }]
+            }, sort)), ['A', 'C']);
+            assert.equal(await people.countDocuments({ $or: [{ group: 'g2' }, { pace: { $lt: 50 } }] }), 2);
+        });
+
+        test('dotted paths reach into arrays of documents and by index', async () => {
+            const teams = collection('dotted');
+            await teams.insertOne({
+                name: 'one',
+                teams: [{ members: [{ _id: 'p1' }, { _id: 'p2' }] }, { members: [{ _id: 'p3' }] }],
+                personIds: ['p1', 'p2']
+            });
+            await teams.insertOne({ name: 'two', teams: [{ members: [{ _id: 'p4' }] }], personIds: ['p4'] });
+
+            assert.deepEqual(names(await teams.find({ 'teams.members._id': 'p3' })), ['one']);
+            const either = await teams.find({ 'teams.members._id': { $in: ['p2', 'p4'] } }, { sort: { name: 1 } });
+            assert.deepEqual(names(either), ['one', 'two']);
+            assert.deepEqual(names(await teams.find({ 'personIds.1': { $exists: false } })), ['two']);
+            assert.deepEqual(names(await teams.find({ 'teams.1.members.0._id': 'p3' })), ['one']);
+            // An array field matches one of its elements, or the whole array
+            assert.deepEqual(names(await teams.find({ personIds: 'p2' })), ['one']);
+            assert.deepEqual(names(await teams.find({ personIds: ['p4'] })), ['two']);
+        });
+
+        test('null matches a missing field, and $exists and $ne tell them apart', async () => {
+            const docs = collection('nulls');
+            await docs.insertOne({ name: 'missing' });
+            await docs.insertOne({ name: 'null', sportId: null });
+            await docs.insertOne({ name: 'set', sportId: 's1' });
+            const sort = { sort: { name: 1 } };
+
+            assert.deepEqual(names(await docs.find({ sportId: null }, sort)), ['missing', 'null']);
+            assert.deepEqual(names(await docs.find({ sportId: { $ne: null } }, sort)), ['set']);
+            assert.deepEqual(names(await docs.find({ sportId: { $exists: false } }, sort)), ['missing']);
+            assert.deepEqual(names(await docs.find({ sportId: { $exists: true } }, sort)), ['null', 'set']);
+            assert.deepEqual(names(await docs.find({ sportId: { $in: [null, 's1'] } }, sort)), ['missing', 'null', 'set']);
+        });
+
+        test('ObjectIds, strings and Dates compare by type as well as value', async () => {
+            const docs = collection('types');
+            const id = new ObjectId();
+            await docs.insertOne({ name: 'object', ref: id, at: new Date('2024-03-01T10:00:00Z') });
+            await docs.insertOne({ name: 'string', ref: String(id), at: new Date('2024-05-01T10:00:00Z') });
+
+            assert.deepEqual(names(await docs.find({ ref: id })), ['object']);
+            assert.deepEqual(names(await docs.find({ ref: String(id) })), ['string']);
+            assert.deepEqual(names(await docs.find({ ref: { $in: [new ObjectId(String(id))] } })), ['object']);
+            assert.deepEqual(names(await docs.find({ at: { $gt: new Date('2024-04-01T00:00:00Z') } })), ['string']);
+        });
+
+        test('$pull removes matching values, and matching documents by their fields', async () => {
+            const docs = collection('pull');
+            await docs.insertOne({
+                name: 'a',
+                presentIds: ['p1', 'p2', 'p1', 'p3'],
+                votes: [{ personId: 'p1', score: 3 }, { personId: 'p2', score: 4 }]
+            });
+            await docs.insertOne({ name: 'b', presentIds: ['p2'] });
+
+            const pulled = await docs.updateMany({}, { $pull: { presentIds: 'p1' } });
+            assert.equal(pulled.matchedCount, 2);
+            await docs.updateOne({ name: 'a' }, { $pull: { presentIds: { $in: ['p3'] }, votes: { personId: 'p1' } } });
+
+            const a = await docs.findOne({ name: 'a' });
+            assert.deepEqual(a.presentIds, ['p2']);
+            assert.deepEqual(a.votes, [{ personId: 'p2', score: 4 }]);
+            assert.deepEqual((await docs.findOne({ name: 'b' })).presentIds, ['p2']);
+        });
+
+        test('updates set, unset, increment and push, including dotted paths', async () => {
+            const docs = collection('updates');
+            await docs.insertOne({ name: 'a', stats: { pace: 50, shooting: 40 }, tags: ['x'], temp: true });
+
+            const result = await docs.updateOne({ name: 'a' }, {
+                $set: { 'stats.pace': 60, note: 'hi' },
+                $unset: { temp: '' },
+                $inc: { games: 2 },
+                $push: { tags: 'y' }
+            });
+            assert.equal(result.matchedCount, 1);
+            const a = await docs.findOne({ name: 'a' }, { projection: { _id: 0 } });
+            assert.deepEqual(a, { name: 'a', stats: { pace: 60, shooting: 40 }, tags: ['x', 'y'], note: 'hi', games: 2 });
+
+            const missing = await docs.updateOne({ name: 'nobody' }, { $set: { note: 'x' } });
+            assert.equal(missing.matchedCount, 0);
+            assert.equal(missing.upsertedId, null);
+            assert.equal(await docs.countDocuments(), 1);
+        });
+
+        test('an upsert inserts from the filter and $setOnInsert, then only updates', async () => {
+            const votes = collection('upsert');
+            const raterId = new ObjectId();
+            const vote = (stats, now) => votes.updateOne(
+                { groupId: 'g1', personId: 'p1', raterId },
+                { $set: { stats, updatedAt: now }, $setOnInsert: { createdAt: now } },
+                { upsert: true }
+            );
+
+            const first = await vote({ pace: 60 }, new Date('2024-01-01T00:00:00Z'));
+            assert.equal(first.matchedCount, 0);
+            assert.ok(first.upsertedId instanceof ObjectId);
+
+            const second = await vote({ pace: 70 }, new Date('2024-02-01T00:00:00Z'));
+            assert.equal(second.matchedCount, 1);
+            assert.equal(second.upsertedId, null);
+
+            const stored = await votes.find({ personId: 'p1' });
+            assert.equal(stored.length, 1);
+            assert.ok(stored[0]._id.equals(first.upsertedId));
+            assert.ok(stored[0].raterId.equals(raterId));
+            assert.equal(stored[0].groupId, 'g1');
+            assert.deepEqual(stored[0].stats, { pace: 70 });
+            assert.equal(stored[0].createdAt.toISOString(), '2024-01-01T00:00:00.000Z');
+            assert.equal(stored[0].updatedAt.toISOString(), '2024-02-01T00:00:00.000Z');
+        });
+
+        test('findOneAndUpdate, findOneAndDelete and deletes report what they touched', async () => {
+            const docs = collection('find_and');
+            for (const name of ['a', 'b', 'c']) await docs.insertOne({ name, kind: 'x', count: 1 });
+
+            const before = await docs.findOneAndUpdate({ name: 'a' }, { $inc: { count: 1 } });
+            assert.equal(before.count, 1);
+            const afterUpdate = await docs.findOneAndUpdate({ name: 'a' }, { $inc: { count: 1 } }, { returnDocument: 'after' });
+            assert.equal(afterUpdate.count, 3);
+
+            const removed = await docs.findOneAndDelete({ name: 'b' });
+            assert.equal(removed.name, 'b');
+            assert.equal(await docs.findOneAndDelete({ name: 'b' }), null);
+
+            assert.equal((await docs.deleteOne({ name: 'nobody' })).deletedCount, 0);
+            assert.equal((await docs.deleteMany({ kind: 'x' })).deletedCount, 2);
+            assert.equal(await docs.countDocuments(), 0);
+        });
+
+        test('projection includes or excludes fields, dotted ones too', async () => {
+            const users = collection('projection');
+            const { insertedId } = await users.insertOne({
+                username: 'ada', passwordHash: 'h', salt: 's', profile: { city: 'Leeds', age: 30 }
+            });
+
+            const included = await users.findOne({ _id: insertedId }, { projection: { username: 1, 'profile.city': 1 } });
+            assert.deepEqual(Object.keys(included).sort(), ['_id', 'profile', 'username']);
+            assert.deepEqual(included.profile, { city: 'Leeds' });
+
+            const [excluded] = await users.find({}, { projection: { passwordHash: 0, salt: 0, 'profile.age': 0 } });
+            assert.deepEqual(Object.keys(excluded).sort(), ['_id', 'profile', 'username']);
+            assert.deepEqual(excluded.profile, { city: 'Leeds' });
+
+            assert.deepEqual(await users.findOne({}, { projection: { _id: 0, username: 1 } }), { username: 'ada' });
+        });
+
+        test('find sorts on several keys, then skips and limits', async () => {
+            const docs = collection('paging');
+            const rows = [['e', 2, 5], ['a', 1, 3], ['d', 2, 9], ['b', 1, 7], ['c', 1, 1]];
+            for (const [name, version, score] of rows) await docs.insertOne({ name, version, score });
+
+            assert.deepEqual(names(await docs.find({}, { sort: { version: -1, score: 1 } })), ['e', 'd', 'c', 'a', 'b']);
+            assert.deepEqual(names(await docs.find({}, { sort: { name: 1 }, skip: 1, limit: 2 })), ['b', 'c']);
+            assert.deepEqual(names(await docs.find({ version: 1 }, { sort: { score: -1 }, limit: 1 })), ['b']);
+            assert.deepEqual(names(await docs.find({}, { sort: { name: 1 }, skip: 4 })), ['e']);
+            assert.deepEqual(await docs.find({}, { skip: 10 }), []);
+        });
+
+        test('photos can be saved, read back and deleted', async () => {
+            const photo = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3, 4]);
+            const id = await storage.photos.save(photo, { filename: 'face.jpg', contentType: 'image/jpeg' });
+            assert.ok(id instanceof ObjectId);
+            assert.equal(await storage.photos.exists(id), true);
+            assert.deepEqual(await readStream(storage.photos.openDownloadStream(id)), photo);
+
+            await storage.photos.delete(id);
+            assert.equal(await storage.photos.exists(id), false);
+        });
+
+        test('everything, types included, is still there after reopening', async () => {
+            const docs = collection('reload');
+            const id = new ObjectId();
+            const when = new Date('2024-06-01T18:30:00Z');
+            await docs.insertOne({
+                _id: id,
+                name: 'kept',
+                at: when,
+                ref: new ObjectId(id.toHexString()),
+                stats: { pace: 70, weight: 1.5, big: 3000000000 },
+                list: [1, 'two', null]
+            });
+            const photo = Buffer.from('not really a jpeg');
+            const photoId = await storage.photos.save(photo);
+
+            await storage.close();
+            storage = await setup.open();
+
+            const reloaded = await storage.collection(`contract_${RUN}_reload`).findOne({ _id: id });
+            assert.ok(reloaded.at instanceof Date);
+            assert.equal(reloaded.at.getTime(), when.getTime());
+            assert.ok(reloaded.ref instanceof ObjectId);
+            assert.deepEqual(reloaded.stats, { pace: 70, weight: 1.5, big: 3000000000 });
+            Object.values(reloaded.stats).forEach(value => assert.equal(typeof value, 'number'));
+            assert.deepEqual(reloaded.list, [1, 'two', null]);
+            assert.deepEqual(await readStream(storage.photos.openDownloadStream(photoId)), photo);
+            await storage.photos.delete(photoId);
+        });
+    });
+});
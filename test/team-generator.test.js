@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRandom, shuffle, pickBench, generateTeams } = require('../public/team-generator');
+
+function player(i, stats = {}) {
+    return {
+        _id: `p${String(i).padStart(2, '0')}`,
+        name: `Player ${i}`,
+        stats: { pace: 50, shooting: 50, passing: 50, dribbling: 50, defending: 50, physical: 50, ...stats }
+    };
+}
+
+function roster(count) {
+    return Array.from({ length: count }, (_, i) => player(i, { pace: 20 + i * 7, defending: 90 - i * 5 }));
+}
+
+const memberIds = result => result.teams.map(team => team.members.map(member => member._id));
+
+// Every count within this share of the expected count; about five standard deviations at these sizes
+const TOLERANCE = 0.15;
+
+function assertEven(counts, expected) {
+    counts.forEach((count, key) => {
+        assert.ok(Math.abs(count - expected) <= expected * TOLERANCE, `${key} came up ${count} times, expected about ${expected}`);
+    });
+}
+
+test('shuffle gives every ordering equally often across seeds', () => {
+    const runs = 6000;
+    const counts = new Map();
+    for (let seed = 0; seed < runs; seed++) {
+        const key = shuffle(['a', 'b', 'c'], createRandom(`seed-${seed}`)).join('');
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    assert.equal(counts.size, 6);
+    assertEven(counts, runs / 6);
+});
+
+test('shuffle puts each item in each position equally often', () => {
+    const runs = 4000;
+    const items = ['a', 'b', 'c', 'd'];
+    const counts = new Map();
+    for (let seed = 0; seed < runs; seed++) {
+        shuffle(items, createRandom(`position-${seed}`)).forEach((item, i) => {
+            counts.set(`${item}@${i}`, (counts.get(`${item}@${i}`) || 0) + 1);
+        });
+    }
+    assert.equal(counts.size, 16);
+    assertEven(counts, runs / 4);
+});
+
+test('shuffle keeps the input intact', () => {
+    const items = [1, 2, 3, 4, 5];
+    const shuffled = shuffle(items, createRandom('keep'));
+    assert.deepEqual(items, [1, 2, 3, 4, 5]);
+    assert.deepEqual([...shuffled].sort(), items);
+});
+
+test('pickBench benches every player equally often', () => {
+    const runs = 5000;
+    const players = roster(5);
+    const counts = new Map(players.map(p => [p._id, 0]));
+    for (let seed = 0; seed < runs; seed++) {
+        const { bench } = pickBench(players, 2, new Set(), new Set(), createRandom(`bench-${seed}`));
+        bench.forEach(p => counts.set(p._id, counts.get(p._id) + 1));
+    }
+    assertEven(counts, runs / 5);
+});
+
+test('random strategy puts each player on each team equally often', () => {
+    const runs = 2000;
+    const players = roster(6);
+    const counts = new Map(players.map(p => [p._id, 0]));
+    for (let seed = 0; seed < runs; seed++) {
+        const result = generateTeams(players, { numTeams: 2, strategy: 'random', seed: `team-${seed}` });
+        result.teams[0].members.forEach(member => counts.set(member._id, counts.get(member._id) + 1));
+    }
+    assertEven(counts, runs / 2);
+});
+
+test('the same seed gives the same teams whatever order the players arrive in', () => {
+    const players = roster(9);
+    const first = generateTeams(players, { numTeams: 2, seed: 'repeat-me', variety: 0 });
+    const again = generateTeams([...players].reverse(), { numTeams: 2, seed: 'repeat-me', variety: 0 });
+    assert.equal(first.seed, 'repeat-me');
+    assert.deepEqual(memberIds(again), memberIds(first));
+    assert.deepEqual(again.bench.map(p => p._id), first.bench.map(p => p._id));
+});
+
+test('different seeds give different draws', () => {
+    const players = roster(10);
+    const draws = new Set(Array.from({ length: 10 }, (_, i) =>
+        JSON.stringify(memberIds(generateTeams(players, { numTeams: 2, strategy: 'random', seed: `other-${i}` })))));
+    assert.ok(draws.size > 1);
+});
+
+test('a seed is chosen and returned when none is given', () => {
+    const result = generateTeams(roster(4), { numTeams: 2 });
+    assert.match(result.seed, /^[0-9a-f]{16}$/);
+});
+
+test('a seed outside the allowed characters is an error', () => {
+    assert.match(generateTeams(roster(4), { numTeams: 2, seed: 'not ok!' }).error, /seed/);
+});
+
+test('more teams than players is an error, in either uneven mode', () => {
+    ['bench', 'uneven'].forEach(unevenMode => {
+        const result = generateTeams(roster(3), { numTeams: 5, unevenMode });
+        assert.equal(result.error, 'You need at least 5 players to create 5 teams!');
+    });
+});
+
+test('fewer than two teams is an error', () => {
+    [0, 1, -2, 2.5, undefined].forEach(numTeams => {
+        assert.equal(generateTeams(roster(4), { numTeams }).error, 'Number of teams must be at least 2.');
+    });
+});
+
+test('uneven counts go to the bench in bench mode', () => {
+    const result = generateTeams(roster(7), { numTeams: 2, unevenMode: 'bench', seed: 'bench' });
+    assert.deepEqual(result.teams.map(team => team.members.length), [3, 3]);
+    assert.equal(result.bench.length, 1);
+});
+
+test('uneven counts are spread over the teams in uneven mode', () => {
+    const result = generateTeams(roster(11), { numTeams: 3, unevenMode: 'uneven', seed: 'uneven' });
+    assert.deepEqual(result.teams.map(team => team.members.length).sort(), [3, 4, 4]);
+    assert.equal(result.bench.length, 0);
+});
+
+test('exactly one player per team still makes a draw', () => {
+    const result = generateTeams(roster(3), { numTeams: 3, seed: 'one-each' });
+    assert.deepEqual(result.teams.map(team => team.members.length), [1, 1, 1]);
+});